@@ -95,9 +95,13 @@ const AnimatedRoutes = () => {
     );
   }
 
+  // Search results are the home page's grid, so searching from the home page
+  // (or refining a search) doesn't replay the page transition and lose the search box
+  const routeKey = location.pathname === '/search' ? '/' : location.pathname;
+
   return (
     <AnimatePresence mode="wait">
-      <Routes location={location} key={location.pathname}>
+      <Routes location={location} key={routeKey}>
         <Route path="/" element={
           <motion.div
             initial="initial"
@@ -109,6 +113,17 @@ const AnimatedRoutes = () => {
             <HomePage />
           </motion.div>
         } />
+        <Route path="/search" element={
+          <motion.div
+            initial="initial"
+            animate="in"
+            exit="out"
+            variants={pageVariants}
+            transition={pageTransition}
+          >
+            <HomePage />
+          </motion.div>
+        } />
         <Route path="/profile" element={
           <ProtectedRoute>
             <motion.div
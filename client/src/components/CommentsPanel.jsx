@@ -0,0 +1,573 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import useCommentAPI from '../hooks/useCommentAPI';
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Formats a comment timestamp for display
+ *
+ * @param {string} date - ISO date string
+ * @returns {string} Short date label
+ */
+const formatCommentDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * CommentsPanel Component
+ * Shows the threaded comments of a pin with cursor-based "load more",
+ * posts comments and replies optimistically and lets authors edit or delete
+ * their comments (pin owners and admins can delete any comment)
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.imageId - ID of the image the comments belong to
+ * @param {string} props.imageOwnerId - ID of the user who owns the image
+ * @param {number} props.commentCount - Total number of comments on the image
+ * @param {Function} [props.onCountChange] - Called with +1 or -1 when a comment is added or removed
+ * @returns {JSX.Element} CommentsPanel component
+ */
+const CommentsPanel = ({ imageId, imageOwnerId, commentCount = 0, onCountChange }) => {
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [threads, setThreads] = useState({});
+  const [newComment, setNewComment] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const { isAuthenticated, isAdmin, user } = useAuth();
+  const { getComments, addComment, updateComment, deleteComment } = useCommentAPI();
+
+  // Load the first page of comments whenever the image changes
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadComments = async () => {
+      setIsLoading(true);
+      const data = await getComments(imageId);
+      if (cancelled) return;
+
+      setComments(data.comments);
+      setNextCursor(data.pagination.nextCursor);
+      setHasMore(data.pagination.hasMore);
+      setThreads({});
+      setIsLoading(false);
+    };
+
+    loadComments();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [imageId, getComments]);
+
+  /**
+   * Loads the next page of top-level comments
+   */
+  const loadMoreComments = async () => {
+    setIsLoadingMore(true);
+    const data = await getComments(imageId, { after: nextCursor });
+    setComments(prev => [...prev, ...data.comments]);
+    setNextCursor(data.pagination.nextCursor);
+    setHasMore(data.pagination.hasMore);
+    setIsLoadingMore(false);
+  };
+
+  /**
+   * Updates the reply thread state of a top-level comment
+   *
+   * @param {string} parentId - ID of the top-level comment
+   * @param {Function} update - Receives the current thread and returns the new one
+   */
+  const updateThread = useCallback((parentId, update) => {
+    setThreads(prev => {
+      const thread = prev[parentId] || { replies: [], nextCursor: null, hasMore: false, expanded: false, loading: false };
+      return { ...prev, [parentId]: update(thread) };
+    });
+  }, []);
+
+  /**
+   * Updates a single top-level comment in place
+   *
+   * @param {string} commentId - ID of the comment
+   * @param {Function} update - Receives the comment and returns the new one
+   */
+  const updateTopLevel = (commentId, update) => {
+    setComments(prev => prev.map(comment => comment._id === commentId ? update(comment) : comment));
+  };
+
+  /**
+   * Fetches the next page of replies for a thread and expands it
+   *
+   * @param {string} parentId - ID of the top-level comment
+   */
+  const loadReplies = async (parentId) => {
+    const thread = threads[parentId];
+    updateThread(parentId, current => ({ ...current, loading: true, expanded: true }));
+
+    const data = await getComments(imageId, { parent: parentId, after: thread?.nextCursor || undefined });
+
+    updateThread(parentId, current => {
+      const knownIds = new Set(current.replies.map(reply => reply._id));
+      return {
+        ...current,
+        loading: false,
+        replies: [...current.replies, ...data.comments.filter(reply => !knownIds.has(reply._id))],
+        nextCursor: data.pagination.nextCursor,
+        hasMore: data.pagination.hasMore
+      };
+    });
+  };
+
+  /**
+   * Shows or hides the replies of a thread, fetching them on first open
+   *
+   * @param {Object} comment - Top-level comment
+   */
+  const toggleReplies = (comment) => {
+    const thread = threads[comment._id];
+
+    if (thread?.expanded) {
+      updateThread(comment._id, current => ({ ...current, expanded: false }));
+    } else if (thread?.replies.length) {
+      updateThread(comment._id, current => ({ ...current, expanded: true }));
+    } else {
+      loadReplies(comment._id);
+    }
+  };
+
+  /**
+   * Adds a comment to the list right away and reconciles it with the server
+   * response, removing it again if the request fails
+   *
+   * @param {string} text - Comment text
+   * @param {string|null} parentId - Top-level comment being replied to, if any
+   * @returns {Promise<boolean>} Whether the comment was posted
+   */
+  const postComment = async (text, parentId = null) => {
+    const tempId = `temp-${Date.now()}`;
+    const optimisticComment = {
+      _id: tempId,
+      text,
+      parent: parentId,
+      user: {
+        _id: user._id,
+        username: user.username,
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl
+      },
+      replyCount: 0,
+      createdAt: new Date().toISOString(),
+      pending: true
+    };
+
+    if (parentId) {
+      updateThread(parentId, current => ({ ...current, expanded: true, replies: [...current.replies, optimisticComment] }));
+      updateTopLevel(parentId, comment => ({ ...comment, replyCount: comment.replyCount + 1 }));
+    } else {
+      setComments(prev => [optimisticComment, ...prev]);
+    }
+    onCountChange?.(1);
+
+    try {
+      const savedComment = await addComment(imageId, text, parentId);
+
+      if (parentId) {
+        updateThread(parentId, current => ({
+          ...current,
+          replies: current.replies.map(reply => reply._id === tempId ? savedComment : reply)
+        }));
+      } else {
+        setComments(prev => prev.map(comment => comment._id === tempId ? savedComment : comment));
+      }
+      return true;
+    } catch {
+      // Error toast is already shown by useCommentAPI; roll back the optimistic comment
+      if (parentId) {
+        updateThread(parentId, current => ({
+          ...current,
+          replies: current.replies.filter(reply => reply._id !== tempId)
+        }));
+        updateTopLevel(parentId, comment => ({ ...comment, replyCount: Math.max(comment.replyCount - 1, 0) }));
+      } else {
+        setComments(prev => prev.filter(comment => comment._id !== tempId));
+      }
+      onCountChange?.(-1);
+      return false;
+    }
+  };
+
+  /**
+   * Submits the new top-level comment form
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmitComment = async (e) => {
+    e.preventDefault();
+    const text = newComment.trim();
+    if (!text) return;
+
+    setNewComment('');
+    const posted = await postComment(text);
+
+    // Give the text back so it isn't lost when posting fails
+    if (!posted) setNewComment(text);
+  };
+
+  /**
+   * Opens the reply form for a thread, mentioning the author when replying to a reply
+   *
+   * @param {Object} comment - Comment being replied to
+   */
+  const startReply = (comment) => {
+    const parentId = comment.parent || comment._id;
+
+    // Load the existing replies first so the new one shows up in context
+    if (!comment.parent && comment.replyCount > 0 && !threads[parentId]) {
+      loadReplies(parentId);
+    }
+
+    setReplyingTo(parentId);
+    setReplyText(comment.parent && comment.user ? `@${comment.user.username} ` : '');
+  };
+
+  /**
+   * Submits the reply form
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmitReply = async (e) => {
+    e.preventDefault();
+    const text = replyText.trim();
+    if (!text) return;
+
+    const parentId = replyingTo;
+    setReplyingTo(null);
+    setReplyText('');
+
+    const posted = await postComment(text, parentId);
+    if (!posted) {
+      setReplyingTo(parentId);
+      setReplyText(text);
+    }
+  };
+
+  /**
+   * Saves an edited comment
+   *
+   * @param {Event} e - Form submit event
+   * @param {Object} comment - Comment being edited
+   */
+  const handleSaveEdit = async (e, comment) => {
+    e.preventDefault();
+    const text = editText.trim();
+    if (!text) return;
+
+    const updatedComment = await updateComment(imageId, comment._id, text);
+    if (!updatedComment) return;
+
+    if (comment.parent) {
+      updateThread(comment.parent, current => ({
+        ...current,
+        replies: current.replies.map(reply => reply._id === comment._id ? updatedComment : reply)
+      }));
+    } else {
+      updateTopLevel(comment._id, current => ({ ...current, ...updatedComment }));
+    }
+    setEditingId(null);
+  };
+
+  /**
+   * Deletes a comment. Comments that still have replies come back blanked out
+   * and stay in the list as a placeholder for the thread
+   *
+   * @param {Object} comment - Comment to delete
+   */
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    const result = await deleteComment(imageId, comment._id);
+    if (!result) return;
+
+    onCountChange?.(-1);
+
+    if (!result.removed) {
+      updateTopLevel(comment._id, current => ({ ...current, isDeleted: true, text: '', user: null }));
+      return;
+    }
+
+    if (!comment.parent) {
+      setComments(prev => prev.filter(item => item._id !== comment._id));
+      return;
+    }
+
+    updateThread(comment.parent, current => ({
+      ...current,
+      replies: current.replies.filter(reply => reply._id !== comment._id)
+    }));
+
+    // A deleted parent disappears together with its last reply
+    setComments(prev => prev
+      .map(item => item._id === comment.parent ? { ...item, replyCount: Math.max(item.replyCount - 1, 0) } : item)
+      .filter(item => !(item._id === comment.parent && item.isDeleted && item.replyCount === 0)));
+  };
+
+  /**
+   * Renders the author avatar of a comment
+   *
+   * @param {Object|null} author - Comment author
+   * @returns {JSX.Element} Avatar element
+   */
+  const renderAvatar = (author) => {
+    if (author?.avatarUrl) {
+      return (
+        <img
+          src={author.avatarUrl}
+          alt={author.username}
+          className="rounded-circle me-2 flex-shrink-0"
+          width="28"
+          height="28"
+          style={{ objectFit: 'cover' }}
+        />
+      );
+    }
+
+    return (
+      <div
+        className={`rounded-circle me-2 flex-shrink-0 d-flex align-items-center justify-content-center text-white ${author ? 'bg-danger' : 'bg-secondary'}`}
+        style={{ width: '28px', height: '28px', fontSize: '12px' }}
+      >
+        {author ? author.username[0].toUpperCase() : '?'}
+      </div>
+    );
+  };
+
+  /**
+   * Renders a compact text form used for replies and edits
+   *
+   * @param {Object} options - Form options
+   * @param {string} options.value - Current text
+   * @param {Function} options.onChange - Text change handler
+   * @param {Function} options.onSubmit - Submit handler
+   * @param {Function} options.onCancel - Cancel handler
+   * @param {string} options.submitLabel - Label of the submit button
+   * @returns {JSX.Element} Inline comment form
+   */
+  const renderInlineForm = ({ value, onChange, onSubmit, onCancel, submitLabel }) => (
+    <form onSubmit={onSubmit} className="mt-2">
+      <textarea
+        className="form-control form-control-sm mb-2"
+        rows="2"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        autoFocus
+      ></textarea>
+      <div className="d-flex gap-2">
+        <button type="submit" className="btn btn-danger btn-sm" disabled={!value.trim()}>
+          {submitLabel}
+        </button>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  /**
+   * Renders a single comment or reply with its actions
+   *
+   * @param {Object} comment - Comment to render
+   * @returns {JSX.Element} Comment element
+   */
+  const renderComment = (comment) => {
+    const isAuthor = !!user && comment.user?._id === user._id;
+    const canDelete = !comment.pending && !comment.isDeleted &&
+      (isAuthor || imageOwnerId === user?._id || isAdmin);
+    const canEdit = !comment.pending && !comment.isDeleted && isAuthor;
+    const isEditing = editingId === comment._id;
+
+    return (
+      <div className={`d-flex ${comment.pending ? 'opacity-50' : ''}`}>
+        {renderAvatar(comment.user)}
+        <div className="flex-grow-1 min-w-0">
+          <div className="small">
+            {comment.user ? (
+              <Link to={`/user/${comment.user.username}`} className="fw-medium text-decoration-none me-2">
+                {comment.user.displayName || comment.user.username}
+              </Link>
+            ) : (
+              <span className="fw-medium text-secondary me-2">[deleted]</span>
+            )}
+            <span className="text-secondary">
+              {comment.pending ? 'Posting...' : formatCommentDate(comment.createdAt)}
+              {comment.updatedAt && !comment.isDeleted && ' · edited'}
+            </span>
+          </div>
+
+          {isEditing ? renderInlineForm({
+            value: editText,
+            onChange: setEditText,
+            onSubmit: (e) => handleSaveEdit(e, comment),
+            onCancel: () => setEditingId(null),
+            submitLabel: 'Save'
+          }) : (
+            <p className={`mb-1 text-break ${comment.isDeleted ? 'text-secondary fst-italic' : ''}`} style={{ whiteSpace: 'pre-wrap' }}>
+              {comment.isDeleted ? 'This comment was deleted' : comment.text}
+            </p>
+          )}
+
+          {!isEditing && !comment.pending && (
+            <div className="d-flex gap-3 small">
+              {isAuthenticated && !comment.isDeleted && (
+                <button type="button" className="btn btn-link btn-sm p-0 text-secondary text-decoration-none" onClick={() => startReply(comment)}>
+                  Reply
+                </button>
+              )}
+              {canEdit && (
+                <button
+                  type="button"
+                  className="btn btn-link btn-sm p-0 text-secondary text-decoration-none"
+                  onClick={() => {
+                    setEditingId(comment._id);
+                    setEditText(comment.text);
+                  }}
+                >
+                  Edit
+                </button>
+              )}
+              {canDelete && (
+                <button type="button" className="btn btn-link btn-sm p-0 text-danger text-decoration-none" onClick={() => handleDelete(comment)}>
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Renders a top-level comment together with its replies and reply form
+   *
+   * @param {Object} comment - Top-level comment
+   * @returns {JSX.Element} Thread element
+   */
+  const renderThread = (comment) => {
+    const thread = threads[comment._id];
+
+    return (
+      <li key={comment._id} className="mb-3">
+        {renderComment(comment)}
+
+        <div className="ms-4 ps-2">
+          {comment.replyCount > 0 && !comment.pending && (
+            <button
+              type="button"
+              className="btn btn-link btn-sm p-0 mt-1 text-decoration-none"
+              onClick={() => toggleReplies(comment)}
+              disabled={thread?.loading}
+            >
+              {thread?.expanded
+                ? 'Hide replies'
+                : `View ${comment.replyCount} ${comment.replyCount === 1 ? 'reply' : 'replies'}`}
+            </button>
+          )}
+
+          {thread?.expanded && (
+            <ul className="list-unstyled mt-2 mb-0">
+              {thread.replies.map(reply => (
+                <li key={reply._id} className="mb-2">
+                  {renderComment(reply)}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {thread?.expanded && thread.hasMore && (
+            <button
+              type="button"
+              className="btn btn-link btn-sm p-0 text-decoration-none"
+              onClick={() => loadReplies(comment._id)}
+              disabled={thread.loading}
+            >
+              {thread.loading ? 'Loading...' : 'Load more replies'}
+            </button>
+          )}
+
+          {replyingTo === comment._id && renderInlineForm({
+            value: replyText,
+            onChange: setReplyText,
+            onSubmit: handleSubmitReply,
+            onCancel: () => setReplyingTo(null),
+            submitLabel: 'Reply'
+          })}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="card border-0 shadow-sm rounded-3 p-4 mt-4">
+      <h2 className="fs-5 fw-bold mb-3">
+        Comments
+        <span className="badge bg-light text-dark ms-2">{commentCount}</span>
+      </h2>
+
+      {isAuthenticated ? (
+        <form onSubmit={handleSubmitComment} className="mb-4">
+          <textarea
+            className="form-control mb-2"
+            rows="2"
+            placeholder="Add a comment"
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            maxLength={MAX_COMMENT_LENGTH}
+          ></textarea>
+          <div className="d-flex justify-content-end">
+            <button type="submit" className="btn btn-danger btn-sm" disabled={!newComment.trim()}>
+              Post
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="text-secondary small mb-4">Log in to join the conversation.</p>
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-3">
+          <div className="spinner-border spinner-border-sm text-danger" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-secondary small mb-0">No comments yet. Be the first to share what you think!</p>
+      ) : (
+        <ul className="list-unstyled mb-0">
+          {comments.map(renderThread)}
+        </ul>
+      )}
+
+      {hasMore && !isLoading && (
+        <button
+          type="button"
+          className="btn btn-outline-secondary btn-sm mt-2"
+          onClick={loadMoreComments}
+          disabled={isLoadingMore}
+        >
+          {isLoadingMore ? 'Loading...' : 'Load more comments'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CommentsPanel;
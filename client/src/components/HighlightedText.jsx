@@ -0,0 +1,45 @@
+/**
+ * Builds a pattern matching the start of each word of a search query
+ *
+ * @param {string} query - Search query as typed
+ * @returns {RegExp|null} Pattern with one capturing group, or null when there is nothing to mark
+ */
+const getHighlightPattern = (query) => {
+  // Excluded words (-word) aren't marked; quotes only group words for the server
+  const words = (query || '')
+    .split(/\s+/)
+    .filter(word => !word.startsWith('-'))
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return words.length ? new RegExp(`(\\b(?:${words.join('|')}))`, 'gi') : null;
+};
+
+/**
+ * Shows text with the words of a search query marked
+ * Words match from their start, so searching "cat" also marks "cats"
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to show
+ * @param {string} [props.query] - Search query whose words are marked
+ * @returns {JSX.Element} HighlightedText component
+ */
+const HighlightedText = ({ text, query }) => {
+  const pattern = getHighlightPattern(query);
+  if (!pattern) return <>{text}</>;
+
+  // Splitting on a capturing pattern puts the matches at the odd indexes
+  return (
+    <>
+      {text.split(pattern).map((part, index) => (
+        index % 2 === 1
+          ? <mark key={index} className="p-0 bg-warning-subtle text-reset">{part}</mark>
+          : part
+      ))}
+    </>
+  );
+};
+
+export default HighlightedText;
@@ -2,6 +2,10 @@ import { useState, useRef, useEffect, memo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import useImageLoader from '../hooks/useImageLoader';
 import useToast from '../hooks/useToast';
+import useAuth from '../hooks/useAuth';
+import useImageAPI from '../hooks/useImageAPI';
+import HighlightedText from './HighlightedText';
+import { GRID_IMAGE_SIZES, getImageSrcSet, getTileRatio } from '../utils/imageSources';
 import axios from 'axios';
 import 'bootstrap/dist/css/bootstrap.min.css';
 
@@ -15,26 +19,45 @@ import 'bootstrap/dist/css/bootstrap.min.css';
  * @param {boolean} props.showUser - Whether to show user info
  * @param {boolean} props.canDelete - Whether user can delete this image
  * @param {Function} props.refreshImages - Function to refresh images after action
+ * @param {Function} [props.onSaveChange] - Called with (imageId, savedByMe) after the image is saved or unsaved
+ * @param {string} [props.sizes] - sizes hint for the responsive image, matching the grid the card is rendered in
+ * @param {string} [props.highlight] - Search query whose words are marked in the title, description and tags
  * @returns {JSX.Element} ImageCard component
  */
-const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages }) => {
+const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages, onSaveChange, sizes = GRID_IMAGE_SIZES, highlight }) => {
   const [isHovered, setIsHovered] = useState(false);
   const [showFullDescription, setShowFullDescription] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [imageDimensions, setImageDimensions] = useState({ width: 0, height: 0 });
-  const [imageRatio, setImageRatio] = useState(1);
+  // Pins processed on upload know their size up front; older pins are measured after load
+  const hasKnownSize = image?.width > 0 && image?.height > 0;
+  const [imageDimensions, setImageDimensions] = useState(
+    hasKnownSize ? { width: image.width, height: image.height } : { width: 0, height: 0 }
+  );
+  const [imageRatio, setImageRatio] = useState(hasKnownSize ? image.height / image.width : 1);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [likeState, setLikeState] = useState({
+    likeCount: image?.likeCount ?? image?.likes?.length ?? 0,
+    likedByMe: !!image?.likedByMe
+  });
+  const [isLiking, setIsLiking] = useState(false);
+  const [savedByMe, setSavedByMe] = useState(!!image?.savedByMe);
+  const [isSaving, setIsSaving] = useState(false);
 
   const navigate = useNavigate();
   const imageRef = useRef(null);
   const { showSuccess, showError } = useToast();
+  const { isAuthenticated } = useAuth();
+  const { toggleLikeImage, toggleSaveImage } = useImageAPI();
+  
+  const srcSet = getImageSrcSet(image);
   
   // Use custom hook for image loading with fallback
   const { currentSrc, error: imageError, loading: imageLoading } = useImageLoader(
     image?.imageUrl || '', 
-    '', 
-    'https://via.placeholder.com/300?text=Image+Not+Found'
+    image?.placeholder || '', 
+    'https://via.placeholder.com/300?text=Image+Not+Found',
+    { srcSet, sizes }
   );
   
   // Update local state based on the hook
@@ -76,6 +99,61 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
     }
   };
 
+  /**
+   * Like or unlike the image and sync the count with the server response
+   * 
+   * @param {Event} e - Click event
+   */
+  const handleToggleLike = async (e) => {
+    e.stopPropagation();
+
+    if (!isAuthenticated) {
+      showError('Please log in to like pins');
+      return;
+    }
+
+    if (isLiking) return;
+
+    try {
+      setIsLiking(true);
+      const result = await toggleLikeImage(image._id, likeState.likedByMe);
+      setLikeState({ likeCount: result.likeCount, likedByMe: result.likedByMe });
+    } catch {
+      // Error toast is already shown by useImageAPI
+    } finally {
+      setIsLiking(false);
+    }
+  };
+
+  /**
+   * Save or unsave the image for the current user
+   * 
+   * @param {Event} e - Click event
+   */
+  const handleToggleSave = async (e) => {
+    e.stopPropagation();
+
+    if (!isAuthenticated) {
+      showError('Please log in to save pins');
+      return;
+    }
+
+    if (isSaving) return;
+
+    try {
+      setIsSaving(true);
+      const result = await toggleSaveImage(image._id, savedByMe);
+      setSavedByMe(result.savedByMe);
+      if (onSaveChange) {
+        onSaveChange(image._id, result.savedByMe);
+      }
+    } catch {
+      // Error toast is already shown by useImageAPI
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   /**
    * Toggle description expansion state
    */
@@ -176,12 +254,20 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
       }`} style={{zIndex: 20, transform: isHovered ? 'translateY(0)' : 'translateY(8px)', transition: 'all 0.2s'}}>
         <button 
           className="btn btn-sm btn-light rounded-circle shadow-sm p-2"
-          aria-label="Save image"
-          onClick={(e) => e.stopPropagation()}
+          aria-label={savedByMe ? 'Unsave image' : 'Save image'}
+          aria-pressed={savedByMe}
+          onClick={handleToggleSave}
+          disabled={isSaving}
         >
-          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-bookmark-fill text-danger" viewBox="0 0 16 16">
-            <path d="M2 2v13.5a.5.5 0 0 0 .74.439L8 13.069l5.26 2.87A.5.5 0 0 0 14 15.5V2a2 2 0 0 0-2-2H4a2 2 0 0 0-2 2z"/>
-          </svg>
+          {savedByMe ? (
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-bookmark-fill text-danger" viewBox="0 0 16 16">
+              <path d="M2 2v13.5a.5.5 0 0 0 .74.439L8 13.069l5.26 2.87A.5.5 0 0 0 14 15.5V2a2 2 0 0 0-2-2H4a2 2 0 0 0-2 2z"/>
+            </svg>
+          ) : (
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-bookmark text-danger" viewBox="0 0 16 16">
+              <path d="M2 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v13.5a.5.5 0 0 1-.777.416L8 13.101l-5.223 2.815A.5.5 0 0 1 2 15.5V2zm2-1a1 1 0 0 0-1 1v12.566l4.723-2.482a.5.5 0 0 1 .554 0L13 14.566V2a1 1 0 0 0-1-1H4z"/>
+            </svg>
+          )}
         </button>
         
         <button 
@@ -207,7 +293,7 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
     
     return (
       <h3 className="h6 mb-2">
-        {image.title}
+        <HighlightedText text={image.title} query={highlight} />
       </h3>
     );
   };
@@ -228,7 +314,7 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
     return (
       <div>
         <p className="text-muted small mb-1">
-          {displayText}
+          <HighlightedText text={displayText} query={highlight} />
         </p>
         
         {shouldTruncate && (
@@ -259,7 +345,7 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
             key={index}
             className="badge bg-light text-secondary rounded-pill px-2 py-1"
           >
-            #{tag}
+            #<HighlightedText text={tag} query={highlight} />
           </span>
         ))}
         {image.tags.length > 3 && (
@@ -288,6 +374,18 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
     return '240px';
   };
 
+  /**
+   * Size the image box before the image loads when the pin's dimensions are known,
+   * so the grid doesn't jump; older pins fall back to height buckets
+   * 
+   * @returns {Object} CSS sizing for the image box
+   */
+  const getImageBoxStyle = () => {
+    if (!hasKnownSize) return { height: getImageHeight() };
+
+    return { aspectRatio: `1 / ${getTileRatio(image)}` };
+  };
+
   /**
    * Handle card click to navigate
    */
@@ -335,6 +433,35 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
     );
   };
 
+  /**
+   * Renders the like button with the current like count
+   * 
+   * @returns {JSX.Element} Like button
+   */
+  const renderLikeButton = () => {
+    return (
+      <button
+        type="button"
+        className="btn btn-sm btn-link text-decoration-none text-secondary p-0 mt-2 ms-auto d-flex align-items-center gap-1"
+        aria-label={likeState.likedByMe ? 'Unlike image' : 'Like image'}
+        aria-pressed={likeState.likedByMe}
+        onClick={handleToggleLike}
+        disabled={isLiking}
+      >
+        {likeState.likedByMe ? (
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-heart-fill text-danger" viewBox="0 0 16 16">
+            <path fillRule="evenodd" d="M8 1.314C12.438-3.248 23.534 4.735 8 15-7.534 4.736 3.562-3.248 8 1.314z"/>
+          </svg>
+        ) : (
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-heart" viewBox="0 0 16 16">
+            <path d="m8 2.748-.717-.737C5.6.281 2.514.878 1.4 3.053c-.523 1.023-.641 2.5.314 4.385.92 1.815 2.834 3.989 6.286 6.357 3.452-2.368 5.365-4.542 6.286-6.357.955-1.886.838-3.362.314-4.385C13.486.878 10.4.28 8.717 2.01L8 2.748zM8 15C-7.333 4.868 3.279-3.04 7.824 1.143c.06.055.119.112.176.171a3.12 3.12 0 0 1 .176-.17C12.72-3.042 23.333 4.867 8 15z"/>
+          </svg>
+        )}
+        <span className="small">{likeState.likeCount}</span>
+      </button>
+    );
+  };
+
   return (
     <div 
       className="card rounded-3 border-0 shadow-sm h-100 overflow-hidden"
@@ -356,7 +483,7 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
         </div>
       )}
 
-      <div className="position-relative overflow-hidden">
+      <div className="position-relative overflow-hidden" style={{ backgroundColor: image.dominantColor || undefined }}>
         {/* Image overlay gradient on hover */}
         <div className="position-absolute top-0 start-0 w-100 h-100" 
           style={{ 
@@ -368,8 +495,8 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
         </div>
         
         {/* Loading skeleton */}
-        {loading && (
-          <div className="position-absolute top-0 start-0 w-100 h-100 bg-light" style={{height: getImageHeight()}}>
+        {loading && !image.placeholder && (
+          <div className="position-absolute top-0 start-0 w-100 h-100 bg-light" style={getImageBoxStyle()}>
             <div className="h-100 w-100 d-flex align-items-center justify-content-center">
               <div className="spinner-border text-secondary" role="status">
                 <span className="visually-hidden">Loading...</span>
@@ -381,18 +508,21 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
         <img
           ref={imageRef}
           src={currentSrc}
+          srcSet={srcSet && !loading && !imageError ? srcSet : undefined}
+          sizes={srcSet && !loading && !imageError ? sizes : undefined}
           alt={image.title || image.description || 'Image'}
-          className={`w-100 ${loading ? 'opacity-0' : 'opacity-100'}`}
+          className={`w-100 d-block ${loading && !image.placeholder ? 'opacity-0' : 'opacity-100'}`}
           style={{ 
-            height: getImageHeight(),
+            ...getImageBoxStyle(),
             objectFit: 'cover',
-            transition: 'transform 0.7s ease-in-out',
+            transition: 'transform 0.7s ease-in-out, filter 0.3s',
             transform: isHovered ? 'scale(1.1)' : 'scale(1)',
-            filter: isHovered ? 'brightness(0.95)' : 'brightness(1)'
+            // The blurred placeholder is only 16px wide, so soften its upscaling
+            filter: loading ? 'blur(12px)' : isHovered ? 'brightness(0.95)' : 'brightness(1)'
           }}
           loading="lazy"
           onLoad={() => {
-            if (imageRef.current) {
+            if (imageRef.current && !hasKnownSize) {
               const { naturalWidth, naturalHeight } = imageRef.current;
               setImageDimensions({ width: naturalWidth, height: naturalHeight });
               setImageRatio(naturalHeight / naturalWidth);
@@ -427,7 +557,10 @@ const ImageCard = ({ image, showUser = true, canDelete = false, refreshImages })
         {renderTitle()}
         {renderDescription()}
         {renderTags()}
-        {renderUserInfo()}
+        <div className="d-flex align-items-center justify-content-between">
+          {renderUserInfo()}
+          {renderLikeButton()}
+        </div>
       </div>
 
       {renderDeleteModal()}
@@ -1,20 +1,114 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import useAuth from '../hooks/useAuth';
 import useImageAPI from '../hooks/useImageAPI';
+import useBoardAPI from '../hooks/useBoardAPI';
+import useResumableUpload from '../hooks/useResumableUpload';
+import usePasteAndDrop from '../hooks/usePasteAndDrop';
+import { getTransferContent } from '../utils/transferContent';
+import UploadQueue from './UploadQueue';
+
+// Image types the server accepts; anything else is rejected with a 415
+const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+
+// Files sent per bulk upload request; the server accepts up to 20
+const BULK_BATCH_SIZE = 20;
+
+// Largest file sent in a single request, as in bulk uploads
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// A single file above this size is sent in resumable chunks, which also allows
+// files up to the larger limit below
+const RESUMABLE_THRESHOLD = 5 * 1024 * 1024;
+const MAX_RESUMABLE_BYTES = 50 * 1024 * 1024;
+
+// Pause after the last keystroke before a typed link is looked up
+const LINK_LOOKUP_DELAY = 500;
+
+/**
+ * Splits a comma-separated tag string into trimmed, non-empty tags
+ * 
+ * @param {string} value - Tags as typed by the user
+ * @returns {Array<string>} Tags
+ */
+const parseTags = (value) => value
+  .split(',')
+  .map(tag => tag.trim())
+  .filter(tag => tag !== '');
+
+/**
+ * Checks a file against the types and size the server accepts
+ * 
+ * @param {File} file - Selected file
+ * @param {number} [maxBytes] - Size limit that applies to the way the file will be sent
+ * @returns {string|null} Why the file can't be uploaded, or null if it can
+ */
+const getFileError = (file, maxBytes = MAX_FILE_BYTES) => {
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    return 'Please select a JPEG, PNG, GIF, WebP or AVIF image';
+  }
+  if (file.size > maxBytes) {
+    return `File size exceeds the ${maxBytes / (1024 * 1024)}MB limit`;
+  }
+  return null;
+};
+
+/**
+ * Creates a bulk upload queue entry, titled after the file name
+ * 
+ * @param {File} file - Selected file
+ * @param {Object} [details] - Title and tags to start with
+ * @returns {Object} Queue item
+ */
+const createQueueItem = (file, details = {}) => ({
+  id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2)}`,
+  file,
+  preview: URL.createObjectURL(file),
+  title: details.title ?? file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim().slice(0, 100),
+  tags: details.tags ?? '',
+  status: 'pending',
+  progress: 0,
+  message: null
+});
+
+/**
+ * Spreads the progress of a multipart request over the files it carries,
+ * which are sent one after another in order
+ * 
+ * @param {Array<File>} files - Files in the request, in order
+ * @param {Object} event - Axios upload progress event
+ * @returns {Array<number>} Percentage sent for each file
+ */
+const getFileProgress = (files, { loaded, total }) => {
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  const sent = total ? (loaded / total) * totalSize : 0;
+
+  let offset = 0;
+  return files.map(file => {
+    const fraction = Math.min(Math.max((sent - offset) / file.size, 0), 1);
+    offset += file.size;
+    return Math.round(fraction * 100);
+  });
+};
 
 /**
  * Enhanced Image Upload Form with modern UI/UX
  * Features drag-and-drop functionality, image preview, and progress indicators
- * Supports both URL linking and file uploading
+ * Supports both URL linking and file uploading; selecting or dropping several
+ * files switches to a bulk queue with a title and tags per file. Images and
+ * links pasted or dropped anywhere on the page open in the matching mode
  * 
  * @param {Object} props - Component props
  * @param {Function} props.onImageAdded - Callback function when an image is successfully added
+ * @param {Function} [props.onDone] - Called once everything submitted has been added
+ * @param {Object} [props.initialInput] - Pasted or dropped `{ files, url }` to start with
  * @returns {JSX.Element} Enhanced image upload form
  */
-const ImageUploadForm = ({ onImageAdded }) => {
+const ImageUploadForm = ({ onImageAdded, onDone, initialInput }) => {
   const { isAuthenticated } = useAuth();
-  const { uploadImage, addImageUrl } = useImageAPI();
+  const { uploadImage, uploadImages, addImageUrl, getLinkPreview } = useImageAPI();
+  const { getMyBoards } = useBoardAPI();
+  const { uploadResumable } = useResumableUpload();
   const navigate = useNavigate();
   
   const [expanded, setExpanded] = useState(false);
@@ -23,19 +117,76 @@ const ImageUploadForm = ({ onImageAdded }) => {
     title: '',
     description: '',
     tags: '',
-    imageUrl: ''
+    imageUrl: '',
+    boardId: '',
+    mirror: true,
+    shareExif: false
   });
   
+  const [boards, setBoards] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadComplete, setUploadComplete] = useState(false);
+  const [connectionLost, setConnectionLost] = useState(false);
   const [error, setError] = useState(null);
   const [isDragOver, setIsDragOver] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
+  const [queue, setQueue] = useState([]);
+  const [bulkTags, setBulkTags] = useState('');
+  const [linkLookup, setLinkLookup] = useState(null); // { url, status, preview, message }
+  const [selectedPageImage, setSelectedPageImage] = useState(null);
   
   const fileInputRef = useRef(null);
   const formRef = useRef(null);
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+  const abortControllerRef = useRef(null);
+  const appliedInputRef = useRef(null);
+
+  // Lookups for an earlier version of the link are ignored
+  const currentLookup = linkLookup?.url === formData.imageUrl.trim() ? linkLookup : null;
+  const linkedPage = currentLookup?.preview?.kind === 'page' ? currentLookup.preview : null;
+  const pageImageUrl = linkedPage?.images.some(image => image.url === selectedPageImage)
+    ? selectedPageImage
+    : linkedPage?.images[0]?.url;
+
+  // Stop any running upload and release the queue's preview URLs when the form goes away
+  useEffect(() => () => {
+    abortControllerRef.current?.abort();
+    queueRef.current.forEach(item => URL.revokeObjectURL(item.preview));
+  }, []);
+
+  /**
+   * Cancels the running file upload; the server discards anything it already stored
+   */
+  const cancelUpload = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Empties the bulk upload queue
+   */
+  const clearQueue = useCallback(() => {
+    queueRef.current.forEach(item => URL.revokeObjectURL(item.preview));
+    setQueue([]);
+    setBulkTags('');
+  }, []);
+
+  // Load the user's boards for the board picker the first time the form expands
+  useEffect(() => {
+    if (!expanded || !isAuthenticated || boards !== null) return;
+
+    let cancelled = false;
+    getMyBoards().then((myBoards) => {
+      if (!cancelled) setBoards(myBoards);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [expanded, isAuthenticated, boards, getMyBoards]);
   
   // Form expansion toggle
   const toggleExpand = () => {
@@ -57,6 +208,7 @@ const ImageUploadForm = ({ onImageAdded }) => {
     // Reset form state when switching modes
     setSelectedFile(null);
     setImagePreview(null);
+    clearQueue();
     setValidationErrors({});
     setError(null);
     setFormData(prev => ({
@@ -69,7 +221,7 @@ const ImageUploadForm = ({ onImageAdded }) => {
     }
     
     setUploadMode(mode);
-  }, [uploadMode]);
+  }, [uploadMode, clearQueue]);
   
   /**
    * Validates form data before submission
@@ -79,12 +231,22 @@ const ImageUploadForm = ({ onImageAdded }) => {
   const validateForm = useCallback(() => {
     const errors = {};
     
+    if (queue.length > 0) {
+      if (queue.some(item => item.status !== 'done' && !item.title.trim())) {
+        errors.queue = 'Please give every image a title';
+      }
+      setValidationErrors(errors);
+      return Object.keys(errors).length === 0;
+    }
+    
     if (uploadMode === 'file' && !selectedFile) {
       errors.file = 'Please select an image to upload';
     }
     
     if (uploadMode === 'url' && !formData.imageUrl.trim()) {
       errors.imageUrl = 'Please enter an image URL';
+    } else if (uploadMode === 'url' && linkedPage && !pageImageUrl) {
+      errors.imageUrl = 'No images were found on this page. Try a direct link to an image.';
     }
     
     if (!formData.title.trim()) {
@@ -93,7 +255,7 @@ const ImageUploadForm = ({ onImageAdded }) => {
     
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
-  }, [uploadMode, selectedFile, formData.imageUrl, formData.title]);
+  }, [queue, uploadMode, selectedFile, formData.imageUrl, formData.title, linkedPage, pageImageUrl]);
 
   /**
    * Handles image URL input change and preview generation
@@ -110,13 +272,70 @@ const ImageUploadForm = ({ onImageAdded }) => {
       setValidationErrors(prev => ({ ...prev, imageUrl: undefined }));
     }
     
-    // Generate preview for valid-looking URLs
-    if (url && url.match(/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|svg)/i)) {
+    // The preview comes back with the link lookup
+    setImagePreview(null);
+  }, [validationErrors.imageUrl]);
+
+  /**
+   * Shows what a looked-up link points at: the image itself, or the chosen image
+   * of a web page, whose title and description fill in any empty fields
+   * 
+   * @param {string} url - Link as entered
+   * @param {Object} preview - Result of getLinkPreview
+   */
+  const applyLinkPreview = useCallback((url, preview) => {
+    setLinkLookup({ url, status: 'done', preview });
+
+    if (preview.kind === 'image') {
       setImagePreview(url);
-    } else {
-      setImagePreview(null);
+      return;
     }
-  }, [validationErrors.imageUrl]);
+
+    setSelectedPageImage(preview.images[0]?.url || null);
+    setImagePreview(preview.images[0]?.url || null);
+    setFormData(prev => ({
+      ...prev,
+      title: prev.title || preview.title,
+      description: prev.description || preview.description
+    }));
+  }, []);
+
+  // Look up typed, pasted or dropped links once the user stops typing, so
+  // links to web pages can offer their images
+  useEffect(() => {
+    const url = formData.imageUrl.trim();
+    if (uploadMode !== 'url' || !/^https?:\/\/\S+$/i.test(url)) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLinkLookup({ url, status: 'loading' });
+      try {
+        applyLinkPreview(url, await getLinkPreview(url, { signal: controller.signal }));
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setLinkLookup({
+          url,
+          status: 'error',
+          message: err.response?.data?.message || 'The link could not be checked'
+        });
+      }
+    }, LINK_LOOKUP_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [formData.imageUrl, uploadMode, getLinkPreview, applyLinkPreview]);
+
+  /**
+   * Picks which of a web page's images becomes the pin
+   * 
+   * @param {string} url - Candidate image URL
+   */
+  const selectPageImage = useCallback((url) => {
+    setSelectedPageImage(url);
+    setImagePreview(url);
+  }, []);
 
   /**
    * Handles file selection for both input and drag-and-drop
@@ -127,17 +346,12 @@ const ImageUploadForm = ({ onImageAdded }) => {
     setError(null);
     setValidationErrors(prev => ({ ...prev, file: undefined }));
     
-    // Validate file type
+    // Validate file type and size
     if (!file) return;
     
-    if (!file.type.match('image.*')) {
-      setError('Please select an image file (JPEG, PNG, GIF, etc.)');
-      return;
-    }
-    
-    // Validate file size (10MB max)
-    if (file.size > 10 * 1024 * 1024) {
-      setError('File size exceeds the 10MB limit');
+    const fileError = getFileError(file, MAX_RESUMABLE_BYTES);
+    if (fileError) {
+      setError(fileError);
       return;
     }
 
@@ -152,15 +366,101 @@ const ImageUploadForm = ({ onImageAdded }) => {
     reader.readAsDataURL(file);
   }, []);
 
+  /**
+   * Handles one or more selected or dropped files. A single file uses the
+   * regular form; several files, or files added to an existing queue, go
+   * through the bulk queue
+   * 
+   * @param {FileList|Array<File>} fileList - Selected files
+   */
+  const handleFilesSelection = useCallback((fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    if (files.length === 1 && queue.length === 0 && !selectedFile) {
+      handleFileSelection(files[0]);
+      return;
+    }
+
+    setError(null);
+    setValidationErrors(prev => ({ ...prev, file: undefined }));
+
+    // A file already picked on its own joins the queue with what was typed for it,
+    // unless it's too large to go without resumable chunks
+    const carried = selectedFile && !getFileError(selectedFile)
+      ? [createQueueItem(selectedFile, { title: formData.title, tags: formData.tags })]
+      : [];
+
+    const accepted = files.filter(file => !getFileError(file));
+    const rejectedCount = files.length - accepted.length + (selectedFile && carried.length === 0 ? 1 : 0);
+    if (rejectedCount > 0) {
+      setError(`${rejectedCount} ${rejectedCount === 1 ? 'file was' : 'files were'} skipped: only JPEG, PNG, GIF, WebP and AVIF images up to 10MB can be uploaded together`);
+    }
+    if (accepted.length === 0 && carried.length === 0) return;
+
+    setQueue(prev => [...prev, ...carried, ...accepted.map(file => createQueueItem(file))]);
+    setSelectedFile(null);
+    setImagePreview(null);
+    setExpanded(true);
+  }, [queue.length, selectedFile, formData.title, formData.tags, handleFileSelection]);
+
   /**
    * Handles file input change
    * 
    * @param {Event} e - File input change event
    */
   const handleFileChange = useCallback((e) => {
-    const file = e.target.files[0];
-    handleFileSelection(file);
-  }, [handleFileSelection]);
+    handleFilesSelection(e.target.files);
+    // Allow the same files to be picked again after removing them
+    e.target.value = '';
+  }, [handleFilesSelection]);
+
+  /**
+   * Updates the title or tags of a queued file
+   * 
+   * @param {string} id - Queue item ID
+   * @param {Object} changes - Changed fields
+   */
+  const updateQueueItem = useCallback((id, changes) => {
+    setQueue(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  /**
+   * Removes a file from the bulk queue
+   * 
+   * @param {string} id - Queue item ID
+   */
+  const removeQueueItem = useCallback((id) => {
+    setQueue(prev => prev.filter(item => {
+      if (item.id !== id) return true;
+      URL.revokeObjectURL(item.preview);
+      return false;
+    }));
+  }, []);
+
+  /**
+   * Adds the bulk tags to every queued file that hasn't been uploaded yet,
+   * keeping the tags each file already has
+   */
+  const applyTagsToAll = useCallback(() => {
+    const tagsToAdd = parseTags(bulkTags);
+    if (tagsToAdd.length === 0) return;
+
+    setQueue(prev => prev.map(item => {
+      if (item.status === 'done') return item;
+
+      const tags = parseTags(item.tags);
+      const known = new Set(tags.map(tag => tag.toLowerCase()));
+      tagsToAdd.forEach(tag => {
+        if (!known.has(tag.toLowerCase())) {
+          known.add(tag.toLowerCase());
+          tags.push(tag);
+        }
+      });
+      return { ...item, tags: tags.join(', ') };
+    }));
+    setBulkTags('');
+  }, [bulkTags]);
 
   /**
    * Handles form input changes
@@ -168,11 +468,11 @@ const ImageUploadForm = ({ onImageAdded }) => {
    * @param {Event} e - Input change event
    */
   const handleChange = useCallback((e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     
     setFormData(prev => ({
       ...prev,
-      [name]: value,
+      [name]: type === 'checkbox' ? checked : value,
     }));
     
     // Clear validation error for this field
@@ -182,23 +482,104 @@ const ImageUploadForm = ({ onImageAdded }) => {
   }, [validationErrors]);
 
   /**
-   * Simulates upload progress
-   * Used for better user experience during upload
+   * Uploads every queued file that isn't uploaded yet, in batches, and keeps
+   * the files that failed in the queue so they can be fixed and retried
    */
-  const simulateProgress = useCallback(() => {
-    const interval = setInterval(() => {
-      setUploadProgress((prevProgress) => {
-        // Cap at 95% for actual server response
-        if (prevProgress >= 95) {
-          clearInterval(interval);
-          return 95;
+  const uploadQueue = useCallback(async () => {
+    const pending = queue.filter(item => item.status !== 'done');
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let failedCount = 0;
+
+    setError(null);
+    setIsUploading(true);
+
+    for (let start = 0; start < pending.length && !controller.signal.aborted; start += BULK_BATCH_SIZE) {
+      const batch = pending.slice(start, start + BULK_BATCH_SIZE);
+      const batchIds = batch.map(item => item.id);
+      const batchFiles = batch.map(item => item.file);
+
+      setQueue(prev => prev.map(item => (
+        batchIds.includes(item.id) ? { ...item, status: 'uploading', progress: 0, message: null } : item
+      )));
+
+      const uploadFormData = new FormData();
+      batch.forEach(item => uploadFormData.append('files', item.file));
+      uploadFormData.append('items', JSON.stringify(batch.map(item => ({
+        title: item.title.trim(),
+        tags: parseTags(item.tags)
+      }))));
+      if (formData.boardId) {
+        uploadFormData.append('boardId', formData.boardId);
+      }
+      uploadFormData.append('shareExif', String(formData.shareExif));
+
+      try {
+        const { results } = await uploadImages(uploadFormData, {
+          signal: controller.signal,
+          onUploadProgress: (event) => {
+            const progress = getFileProgress(batchFiles, event);
+            setQueue(prev => prev.map(item => {
+              const index = batchIds.indexOf(item.id);
+              return index === -1 ? item : { ...item, progress: progress[index] };
+            }));
+          }
+        });
+
+        const resultsById = new Map(results.map(result => [batchIds[result.index], result]));
+        setQueue(prev => prev.map(item => {
+          const result = resultsById.get(item.id);
+          if (!result) return item;
+          return result.image
+            ? { ...item, status: 'done', progress: 100 }
+            : { ...item, status: 'error', progress: 0, message: result.message };
+        }));
+
+        results.forEach(result => {
+          if (!result.image) {
+            failedCount += 1;
+          } else if (typeof onImageAdded === 'function') {
+            onImageAdded(result.image);
+          }
+        });
+      } catch (err) {
+        // Cancelled files go back to waiting in the queue
+        if (controller.signal.aborted) {
+          setQueue(prev => prev.map(item => (
+            batchIds.includes(item.id) ? { ...item, status: 'pending', progress: 0 } : item
+          )));
+          break;
         }
-        return prevProgress + Math.floor(Math.random() * 5) + 1;
-      });
-    }, 300);
 
-    return interval;
-  }, []);
+        failedCount += batch.length;
+        const message = err.response?.data?.message || err.message || 'Failed to upload image. Please try again.';
+        setQueue(prev => prev.map(item => (
+          batchIds.includes(item.id) ? { ...item, status: 'error', progress: 0, message } : item
+        )));
+      }
+    }
+
+    abortControllerRef.current = null;
+    setIsUploading(false);
+
+    if (controller.signal.aborted) return;
+
+    if (failedCount > 0) {
+      setError(`${failedCount} ${failedCount === 1 ? 'image' : 'images'} could not be uploaded. Fix or remove them and try again.`);
+      return;
+    }
+
+    // Reset form after a short delay to show completion
+    setTimeout(() => {
+      clearQueue();
+      setFormData(prev => ({ ...prev, boardId: '', shareExif: false }));
+      setExpanded(false);
+      
+      if (typeof onDone === 'function') {
+        onDone();
+      }
+    }, 1000);
+  }, [queue, formData.boardId, formData.shareExif, uploadImages, onImageAdded, onDone, clearQueue]);
 
   /**
    * Handles form submission for both URL and file uploads
@@ -221,19 +602,21 @@ const ImageUploadForm = ({ onImageAdded }) => {
       return;
     }
 
+    if (queue.length > 0) {
+      await uploadQueue();
+      return;
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     try {
       setError(null);
       setIsUploading(true);
       setUploadProgress(0);
       
-      // Start progress simulation
-      const progressInterval = simulateProgress();
-      
       // Process the tags as an array
-      const tagsArray = formData.tags
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag !== '');
+      const tagsArray = parseTags(formData.tags);
       
       let result;
       
@@ -244,22 +627,52 @@ const ImageUploadForm = ({ onImageAdded }) => {
         uploadFormData.append('title', formData.title);
         uploadFormData.append('description', formData.description);
         uploadFormData.append('tags', JSON.stringify(tagsArray));
+        if (formData.boardId) {
+          uploadFormData.append('boardId', formData.boardId);
+        }
+        uploadFormData.append('shareExif', String(formData.shareExif));
         
-        // Perform file upload
-        result = await uploadImage(uploadFormData);
+        // Perform file upload, reporting the bytes actually sent
+        const handleProgress = (event) => {
+          if (event.total) {
+            setUploadProgress(Math.round((event.loaded / event.total) * 100));
+          }
+        };
+        
+        if (selectedFile.size > RESUMABLE_THRESHOLD) {
+          // Large files go in chunks and pick up where they stopped after a dropped connection
+          result = await uploadResumable(selectedFile, {
+            title: formData.title,
+            description: formData.description,
+            tags: tagsArray,
+            boardId: formData.boardId || undefined,
+            shareExif: formData.shareExif
+          }, {
+            signal: controller.signal,
+            onUploadProgress: handleProgress,
+            onConnectionChange: (online) => setConnectionLost(!online)
+          });
+        } else {
+          result = await uploadImage(uploadFormData, {
+            signal: controller.signal,
+            onUploadProgress: handleProgress
+          });
+        }
       } else {
-        // URL mode
+        // URL mode; an image picked from a web page credits the page as its source
         result = await addImageUrl({
-          imageUrl: formData.imageUrl,
+          imageUrl: linkedPage ? pageImageUrl : formData.imageUrl,
+          sourceUrl: linkedPage ? formData.imageUrl.trim() : undefined,
           title: formData.title,
           description: formData.description,
-          tags: tagsArray
+          tags: tagsArray,
+          boardId: formData.boardId || undefined,
+          mirror: formData.mirror
         });
       }
       
-      // Cleanup
-      clearInterval(progressInterval);
       setUploadProgress(100);
+      setUploadComplete(true);
       
       // Notify parent component about new image
       if (typeof onImageAdded === 'function') {
@@ -272,21 +685,75 @@ const ImageUploadForm = ({ onImageAdded }) => {
           title: '',
           description: '',
           tags: '',
-          imageUrl: ''
+          imageUrl: '',
+          boardId: '',
+          mirror: true,
+          shareExif: false
         });
         setSelectedFile(null);
         setImagePreview(null);
         setIsUploading(false);
         setUploadProgress(0);
+        setUploadComplete(false);
         setExpanded(false);
+        
+        if (typeof onDone === 'function') {
+          onDone();
+        }
       }, 1000);
       
     } catch (err) {
-      setError(err.message || 'Failed to upload image. Please try again.');
+      // A cancelled upload keeps the file and details so it can be sent again
+      if (!controller.signal.aborted) {
+        // Prefer the server's explanation, e.g. the 415 sent for unsupported file types
+        setError(err.response?.data?.message || err.message || 'Failed to upload image. Please try again.');
+      }
+      // Submitted before the lookup finished and the link turned out to be a web page
+      if (err.response?.status === 422 && err.response.data.page) {
+        applyLinkPreview(formData.imageUrl.trim(), err.response.data.page);
+      }
       setUploadProgress(0);
       setIsUploading(false);
+    } finally {
+      abortControllerRef.current = null;
+      setConnectionLost(false);
+    }
+  }, [validateForm, validationErrors, queue.length, uploadQueue, formData, uploadMode, selectedFile, uploadImage, uploadResumable, addImageUrl, linkedPage, pageImageUrl, applyLinkPreview, onImageAdded, onDone]);
+
+  /**
+   * Routes pasted or dropped content to the matching mode: files go to file
+   * mode, a link goes to URL mode, filled in and previewed
+   * 
+   * @param {Object|null} content - `{ files, url }` from getTransferContent
+   */
+  const applyTransferContent = useCallback((content) => {
+    if (!content || isUploading) return;
+    
+    if (content.files.length > 0) {
+      if (uploadMode !== 'file') {
+        toggleUploadMode('file');
+      }
+      handleFilesSelection(content.files);
+      return;
+    }
+    
+    if (uploadMode !== 'url') {
+      toggleUploadMode('url');
     }
-  }, [validateForm, validationErrors, simulateProgress, formData, uploadMode, selectedFile, uploadImage, addImageUrl, onImageAdded]);
+    setFormData(prev => ({ ...prev, imageUrl: content.url }));
+    setValidationErrors(prev => ({ ...prev, imageUrl: undefined }));
+    setImagePreview(null);
+    setExpanded(true);
+  }, [isUploading, uploadMode, toggleUploadMode, handleFilesSelection]);
+  
+  usePasteAndDrop(applyTransferContent, isAuthenticated && !isUploading);
+  
+  // Open with whatever was pasted or dropped before the form was shown
+  useEffect(() => {
+    if (!initialInput || appliedInputRef.current === initialInput) return;
+    appliedInputRef.current = initialInput;
+    applyTransferContent(initialInput);
+  }, [initialInput, applyTransferContent]);
 
   /**
    * Handles drag events for the drop zone
@@ -315,16 +782,8 @@ const ImageUploadForm = ({ onImageAdded }) => {
     e.stopPropagation();
     setIsDragOver(false);
     
-    // Switch to file mode if in URL mode
-    if (uploadMode === 'url') {
-      toggleUploadMode('file');
-    }
-    
-    const files = e.dataTransfer.files;
-    if (files && files.length > 0) {
-      handleFileSelection(files[0]);
-    }
-  }, [handleFileSelection, uploadMode, toggleUploadMode]);
+    applyTransferContent(getTransferContent(e.dataTransfer));
+  }, [applyTransferContent]);
 
   /**
    * Removes the selected file and preview
@@ -388,7 +847,7 @@ const ImageUploadForm = ({ onImageAdded }) => {
           )}
           {uploadMode === 'url' && (
             <div className="text-white text-truncate small me-2 text-nowrap">
-              URL Image Preview
+              {linkedPage ? 'Image from the linked page' : 'URL Image Preview'}
             </div>
           )}
           <button
@@ -415,19 +874,103 @@ const ImageUploadForm = ({ onImageAdded }) => {
     );
   };
 
+  /**
+   * Renders the state of the link lookup and, for web pages, the images to pick from
+   * 
+   * @returns {JSX.Element|null} Lookup status, page images or null
+   */
+  const renderLinkLookup = () => {
+    if (!currentLookup) return null;
+
+    if (currentLookup.status === 'loading') {
+      return (
+        <div className="small text-muted d-flex align-items-center mt-2">
+          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+          Checking the link...
+        </div>
+      );
+    }
+
+    if (currentLookup.status === 'error') {
+      return (
+        <div className="small text-danger mt-2">
+          {currentLookup.message}
+        </div>
+      );
+    }
+
+    if (!linkedPage) return null;
+
+    if (linkedPage.images.length === 0) {
+      return (
+        <div className="small text-muted mt-2">
+          This page has no images to pin. Try a direct link to an image.
+        </div>
+      );
+    }
+
+    return (
+      <div className="mt-3">
+        <div className="small fw-medium mb-2">
+          Pick an image from this page
+        </div>
+        <div className="d-flex flex-wrap gap-2" role="group" aria-label="Images on the linked page">
+          {linkedPage.images.map((image, index) => {
+            const selected = image.url === pageImageUrl;
+
+            return (
+              <button
+                key={image.url}
+                type="button"
+                onClick={() => selectPageImage(image.url)}
+                className={`btn p-0 rounded overflow-hidden border border-2 ${selected ? 'border-danger' : 'border-light'}`}
+                aria-pressed={selected}
+                aria-label={image.alt || `Image ${index + 1}`}
+                disabled={isUploading}
+              >
+                <img
+                  src={image.url}
+                  alt=""
+                  className="object-fit-cover bg-light d-block"
+                  width="72"
+                  height="72"
+                  loading="lazy"
+                />
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
   /**
    * Renders the upload progress bar with enhanced styling
    * 
    * @returns {JSX.Element|null} Progress bar component or null
    */
   const renderProgressBar = () => {
-    if (!isUploading && uploadProgress === 0) return null;
+    // Queued files show their own progress
+    if (queue.length > 0 || (!isUploading && !uploadComplete)) return null;
+    
+    // URL pins are downloaded by the server, so there are no bytes to count
+    const indeterminate = uploadMode === 'url' && !uploadComplete;
+    const width = indeterminate ? 100 : uploadProgress;
+    
+    let status = 'Uploading your pin...';
+    if (connectionLost) {
+      status = 'Connection lost. The upload will continue once you are back online...';
+    } else if (indeterminate) {
+      status = 'Fetching the image...';
+    } else if (uploadProgress === 100) {
+      status = 'Processing your pin...';
+    }
     
     return (
       <div className="mt-3">
         <div className="d-flex justify-content-between align-items-center mb-1">
           <span className="small fw-medium d-flex align-items-center">
-            {uploadProgress === 100 ? (
+            {uploadComplete ? (
               <>
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-check-circle-fill text-success me-2" viewBox="0 0 16 16">
                   <path d="M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0zm-3.97-3.03a.75.75 0 0 0-1.08.022L7.477 9.417 5.384 7.323a.75.75 0 0 0-1.06 1.06L6.97 11.03a.75.75 0 0 0 1.079-.02l3.992-4.99a.75.75 0 0 0-.01-1.05z"/>
@@ -437,23 +980,25 @@ const ImageUploadForm = ({ onImageAdded }) => {
             ) : (
               <>
                 <span className="spinner-grow spinner-grow-sm text-danger me-2" role="status" aria-hidden="true"></span>
-                <span>Uploading your pin...</span>
+                <span>{status}</span>
               </>
             )}
           </span>
-          <span className="small fw-medium">
-            {uploadProgress}%
-          </span>
+          {!indeterminate && (
+            <span className="small fw-medium">
+              {uploadProgress}%
+            </span>
+          )}
         </div>
-        <div className="progress" role="progressbar" aria-valuenow={uploadProgress} aria-valuemin="0" aria-valuemax="100">
+        <div className="progress" role="progressbar" aria-valuenow={indeterminate ? undefined : uploadProgress} aria-valuemin="0" aria-valuemax="100">
           <div 
             className={`progress-bar progress-bar-striped progress-bar-animated ${
-              uploadProgress === 100 ? 'bg-success' : 'bg-danger'
+              uploadComplete ? 'bg-success' : connectionLost ? 'bg-warning' : 'bg-danger'
             }`} 
-            style={{ width: `${uploadProgress}%` }}
+            style={{ width: `${width}%` }}
           ></div>
         </div>
-        {uploadProgress === 100 && (
+        {uploadComplete && (
           <div className="d-flex align-items-center justify-content-center mt-2 text-success fade show">
             <svg width="16" height="16" fill="currentColor" className="bi bi-check2 me-1" viewBox="0 0 16 16">
               <path d="M13.854 3.646a.5.5 0 0 1 0 .708l-7 7a.5.5 0 0 1-.708 0l-3.5-3.5a.5.5 0 1 1 .708-.708L6.5 10.293l6.646-6.647a.5.5 0 0 1 .708 0z"/>
@@ -540,16 +1085,18 @@ const ImageUploadForm = ({ onImageAdded }) => {
               <path fill-rule="evenodd" d="M4.406 1.342A5.53 5.53 0 0 1 8 0c2.69 0 4.923 2 5.166 4.579C14.758 4.804 16 6.137 16 7.773 16 9.569 14.502 11 12.687 11H10a.5.5 0 0 1 0-1h2.688C13.979 10 15 8.988 15 7.773c0-1.216-1.02-2.228-2.313-2.228h-.5v-.5C12.188 2.825 10.328 1 8 1a4.53 4.53 0 0 0-2.941 1.1c-.757.652-1.153 1.438-1.153 2.055v.448l-.445.049C2.064 4.805 1 5.952 1 7.318 1 8.785 2.23 10 3.781 10H6a.5.5 0 0 1 0 1H3.781C1.708 11 0 9.366 0 7.318c0-1.763 1.266-3.223 2.942-3.593.143-.863.698-1.723 1.464-2.383z"/>
               <path fill-rule="evenodd" d="M7.646 4.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1-.708.708L8.5 5.707V14.5a.5.5 0 0 1-1 0V5.707L5.354 7.854a.5.5 0 1 1-.708-.708l3-3z"/>
             </svg>
-            <h4 className="fs-5 mb-2">{isDragOver ? 'Drop your image here!' : 'Drag and drop your image here'}</h4>
+            <h4 className="fs-5 mb-2">{isDragOver ? 'Drop your images here!' : 'Drag and drop your images here'}</h4>
             <p className="text-muted mb-3">
-              or {selectedFile ? 'select a different file' : 'browse your device'}
+              or {selectedFile || queue.length > 0 ? 'add more files' : 'browse your device'}
+              <span className="d-block small mt-1">You can also paste an image or a link anywhere on the page</span>
             </p>
             <input
               ref={fileInputRef}
               type="file"
               id="fileInput"
-              accept="image/*"
+              accept={ACCEPTED_IMAGE_TYPES.join(',')}
               onChange={handleFileChange}
+              multiple
               className="d-none"
               disabled={isUploading}
             />
@@ -559,12 +1106,12 @@ const ImageUploadForm = ({ onImageAdded }) => {
               className="btn btn-danger px-4"
               disabled={isUploading}
             >
-              Choose File
+              Choose Files
             </button>
           </div>
         ) : (
           <div className="mb-4">
-            <label htmlFor="imageUrl" className="form-label">Image URL</label>
+            <label htmlFor="imageUrl" className="form-label">Image or web page URL</label>
             <div className="input-group mb-1">
               <span className="input-group-text">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-link" viewBox="0 0 16 16">
@@ -588,18 +1135,176 @@ const ImageUploadForm = ({ onImageAdded }) => {
                 {validationErrors.imageUrl}
               </div>
             )}
+            {renderLinkLookup()}
+            <div className="form-check mt-2">
+              <input
+                type="checkbox"
+                id="mirror"
+                name="mirror"
+                checked={formData.mirror}
+                onChange={handleChange}
+                className="form-check-input"
+                disabled={isUploading}
+              />
+              <label htmlFor="mirror" className="form-check-label small">
+                Save a copy of the image
+              </label>
+              <div className="form-text">
+                Keeps the pin working if the original link goes away. The link is still credited as the source.
+              </div>
+            </div>
           </div>
         )}
         
         {/* File preview */}
         {renderFilePreview()}
         
+        {/* Bulk upload queue */}
+        {uploadMode === 'file' && queue.length > 0 && (
+          <UploadQueue
+            items={queue}
+            onChange={updateQueueItem}
+            onRemove={removeQueueItem}
+            disabled={isUploading}
+            showErrors={Boolean(validationErrors.queue)}
+          />
+        )}
+        
+        {/* Opt-in sharing of camera details; everything else is stripped */}
+        {uploadMode === 'file' && (selectedFile || queue.length > 0) && (
+          <div className="form-check mt-3">
+            <input
+              type="checkbox"
+              id="shareExif"
+              name="shareExif"
+              checked={formData.shareExif}
+              onChange={handleChange}
+              className="form-check-input"
+              disabled={isUploading}
+            />
+            <label htmlFor="shareExif" className="form-check-label small">
+              Show camera details (model, lens, settings and date taken)
+            </label>
+            <div className="form-text">
+              Location and other photo metadata are always removed.
+            </div>
+          </div>
+        )}
+        
         {/* Progress bar */}
         {renderProgressBar()}
       </div>
     );
   };
 
+  /**
+   * Renders the title, description and tags fields of a single pin
+   * 
+   * @returns {JSX.Element} Pin detail fields
+   */
+  const renderPinFields = () => {
+    return (
+      <>
+        <div className="mb-3">
+          <label htmlFor="title" className="form-label">Title</label>
+          <input
+            type="text"
+            id="title"
+            name="title"
+            placeholder="Give your pin a title"
+            value={formData.title}
+            onChange={handleChange}
+            className={`form-control ${validationErrors.title ? 'is-invalid' : ''}`}
+            disabled={isUploading}
+          />
+          {validationErrors.title && (
+            <div className="invalid-feedback">
+              {validationErrors.title}
+            </div>
+          )}
+        </div>
+        
+        <div className="mb-3">
+          <label htmlFor="description" className="form-label">Description</label>
+          <textarea
+            id="description"
+            name="description"
+            placeholder="Tell everyone what your pin is about"
+            value={formData.description}
+            onChange={handleChange}
+            className="form-control"
+            rows="3"
+            disabled={isUploading}
+          ></textarea>
+        </div>
+        
+        <div className="mb-4">
+          <label htmlFor="tags" className="form-label">Tags</label>
+          <input
+            type="text"
+            id="tags"
+            name="tags"
+            placeholder="Add tags separated by commas (e.g. nature, travel, food)"
+            value={formData.tags}
+            onChange={handleChange}
+            className="form-control"
+            disabled={isUploading}
+          />
+          <small className="form-text text-muted">
+            Add keywords that describe your pin to help it get discovered
+          </small>
+        </div>
+      </>
+    );
+  };
+
+  /**
+   * Renders the bulk fields shown while files are queued; titles and tags are
+   * edited per file in the queue
+   * 
+   * @returns {JSX.Element} Bulk detail fields
+   */
+  const renderBulkFields = () => {
+    return (
+      <div className="mb-4">
+        {validationErrors.queue && (
+          <div className="text-danger small mb-3">
+            {validationErrors.queue}
+          </div>
+        )}
+        <label htmlFor="bulkTags" className="form-label">Tags for all images</label>
+        <div className="input-group">
+          <input
+            type="text"
+            id="bulkTags"
+            placeholder="Add tags separated by commas"
+            value={bulkTags}
+            onChange={(e) => setBulkTags(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                applyTagsToAll();
+              }
+            }}
+            className="form-control"
+            disabled={isUploading}
+          />
+          <button
+            type="button"
+            onClick={applyTagsToAll}
+            className="btn btn-outline-secondary"
+            disabled={isUploading || !bulkTags.trim()}
+          >
+            Apply to all
+          </button>
+        </div>
+        <small className="form-text text-muted">
+          Added to every image that hasn't been uploaded yet, alongside its own tags
+        </small>
+      </div>
+    );
+  };
+
   // Main form rendering
   return (
     <form ref={formRef} onSubmit={handleSubmit} className="card border-0 shadow-sm">
@@ -610,54 +1315,30 @@ const ImageUploadForm = ({ onImageAdded }) => {
         {/* Expand additional form fields */}
         {expanded && (
           <div className="mt-4">
-            <div className="mb-3">
-              <label htmlFor="title" className="form-label">Title</label>
-              <input
-                type="text"
-                id="title"
-                name="title"
-                placeholder="Give your pin a title"
-                value={formData.title}
-                onChange={handleChange}
-                className={`form-control ${validationErrors.title ? 'is-invalid' : ''}`}
-                disabled={isUploading}
-              />
-              {validationErrors.title && (
-                <div className="invalid-feedback">
-                  {validationErrors.title}
-                </div>
-              )}
-            </div>
-            
-            <div className="mb-3">
-              <label htmlFor="description" className="form-label">Description</label>
-              <textarea
-                id="description"
-                name="description"
-                placeholder="Tell everyone what your pin is about"
-                value={formData.description}
-                onChange={handleChange}
-                className="form-control"
-                rows="3"
-                disabled={isUploading}
-              ></textarea>
-            </div>
+            {queue.length > 0 ? renderBulkFields() : renderPinFields()}
             
             <div className="mb-4">
-              <label htmlFor="tags" className="form-label">Tags</label>
-              <input
-                type="text"
-                id="tags"
-                name="tags"
-                placeholder="Add tags separated by commas (e.g. nature, travel, food)"
-                value={formData.tags}
+              <label htmlFor="boardId" className="form-label">Board</label>
+              <select
+                id="boardId"
+                name="boardId"
+                value={formData.boardId}
                 onChange={handleChange}
-                className="form-control"
-                disabled={isUploading}
-              />
-              <small className="form-text text-muted">
-                Add keywords that describe your pin to help it get discovered
-              </small>
+                className="form-select"
+                disabled={isUploading || boards === null}
+              >
+                <option value="">{boards === null ? 'Loading boards...' : 'No board'}</option>
+                {(boards || []).map(board => (
+                  <option key={board._id} value={board._id}>
+                    {board.title}{board.privacy === 'private' ? ' (private)' : ''}
+                  </option>
+                ))}
+              </select>
+              {boards && boards.length === 0 && (
+                <small className="form-text text-muted">
+                  Create boards from your profile to organise your pins
+                </small>
+              )}
             </div>
           </div>
         )}
@@ -676,32 +1357,45 @@ const ImageUploadForm = ({ onImageAdded }) => {
 
         {/* Action Buttons */}
         <div className="d-flex justify-content-between">
-          <button
-            type="button"
-            onClick={() => {
-              if (expanded) {
-                toggleExpand();
-              } else {
-                fileInputRef.current?.click();
-              }
-            }}
-            className="btn btn-outline-secondary"
-            disabled={isUploading}
-          >
-            {expanded ? 'Cancel' : 'Browse Files'}
-          </button>
+          {isUploading && uploadMode === 'file' ? (
+            <button
+              type="button"
+              onClick={cancelUpload}
+              className="btn btn-outline-danger"
+              disabled={uploadComplete}
+            >
+              Cancel Upload
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={() => {
+                if (expanded) {
+                  toggleExpand();
+                } else {
+                  fileInputRef.current?.click();
+                }
+              }}
+              className="btn btn-outline-secondary"
+              disabled={isUploading}
+            >
+              {expanded ? 'Cancel' : 'Browse Files'}
+            </button>
+          )}
           
           {expanded && (
             <button
               type="submit"
               className="btn btn-danger"
-              disabled={isUploading}
+              disabled={isUploading || (queue.length > 0 && queue.every(item => item.status === 'done'))}
             >
               {isUploading ? (
                 <>
                   <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
                   Uploading...
                 </>
+              ) : queue.length > 0 ? (
+                `Upload ${queue.filter(item => item.status !== 'done').length} Pins`
               ) : (
                 'Upload Pin'
               )}
@@ -0,0 +1,238 @@
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
+import { useLocation } from 'react-router-dom';
+import { getTileRatio } from '../utils/imageSources';
+import { readPageCache, writePageCache } from '../utils/pageCache';
+
+// Space between tiles, the same as Bootstrap's g-4 gutter
+const GAP = 24;
+
+// Height of a card below its image (title, tags, uploader), assumed until the tile is measured
+const CARD_BODY_ESTIMATE = 110;
+
+// Image height assumed for pins whose size isn't known, as in ImageCard
+const UNKNOWN_IMAGE_HEIGHT = 240;
+
+// The next page is requested once the bottom of the grid is this close to the viewport
+const LOAD_MORE_DISTANCE = 1200;
+
+// The scroll position is tracked in steps this large, so scrolling re-renders the grid only now and then
+const SCROLL_STEP = 100;
+
+/**
+ * Picks the column count for the current viewport width
+ *
+ * @param {Object} columns - Column counts keyed by the smallest viewport width they apply from
+ * @param {number} viewportWidth - Width of the window
+ * @returns {number} Number of columns
+ */
+const getColumnCount = (columns, viewportWidth) => Object.entries(columns)
+  .reduce((count, [minWidth, value]) => (viewportWidth >= Number(minWidth) ? value : count), 1);
+
+/**
+ * Guesses a tile's height before it has been rendered
+ *
+ * @param {Object} image - Image data object
+ * @param {number} columnWidth - Width of a column in pixels
+ * @returns {number} Estimated tile height in pixels
+ */
+const estimateTileHeight = (image, columnWidth) => {
+  const ratio = getTileRatio(image);
+  return (ratio ? columnWidth * ratio : UNKNOWN_IMAGE_HEIGHT) + CARD_BODY_ESTIMATE;
+};
+
+/**
+ * Masonry grid of images that only keeps the tiles near the viewport mounted
+ * Each tile goes into the shortest column. Tiles are sized from the pin's
+ * dimensions until they have been rendered and measured, the next page is
+ * requested as the user nears the bottom, and the scroll position is restored
+ * when coming back to the page (e.g. from a pin's detail page).
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.images - Images to lay out, in order
+ * @param {Function} props.renderImage - Renders the tile content for an image
+ * @param {Object} props.columns - Column counts keyed by the smallest viewport width they apply from
+ * @param {boolean} [props.hasMore] - Whether there are more images to load
+ * @param {boolean} [props.isLoadingMore] - Whether the next page is on its way
+ * @param {Function} [props.onLoadMore] - Called to load the next page
+ * @param {string} [props.restoreKey] - Names the grid on its page so its scroll position can be restored
+ * @returns {JSX.Element} MasonryGrid component
+ */
+const MasonryGrid = ({ images, renderImage, columns, hasMore = false, isLoadingMore = false, onLoadMore, restoreKey }) => {
+  const location = useLocation();
+  const cacheKey = restoreKey ? `${location.key}:grid:${restoreKey}` : null;
+
+  const gridRef = useRef(null);
+  const hasRestoredRef = useRef(false);
+  // What was saved for this history entry the last time the grid was shown
+  const [saved] = useState(() => (cacheKey && readPageCache(cacheKey)) || null);
+  const [gridWidth, setGridWidth] = useState(0);
+  const [viewportWidth, setViewportWidth] = useState(window.innerWidth);
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+  // Rendered tile sizes keyed by image ID, recorded with the width they were measured at
+  const [measured, setMeasured] = useState(() => saved?.measured || {});
+
+  // One observer measures every mounted tile
+  const [observer] = useState(() => new ResizeObserver((entries) => {
+    const sizes = entries
+      .filter(entry => entry.target.isConnected)
+      .map(entry => ({
+        id: entry.target.dataset.imageId,
+        width: entry.target.offsetWidth,
+        height: entry.target.offsetHeight
+      }));
+
+    setMeasured(prev => {
+      let next = prev;
+      for (const { id, width, height } of sizes) {
+        if (prev[id]?.width === width && prev[id]?.height === height) continue;
+        if (next === prev) next = { ...prev };
+        next[id] = { width, height };
+      }
+      return next;
+    });
+  }));
+
+  /**
+   * Start measuring a tile when it mounts and stop when it unmounts
+   *
+   * @param {HTMLElement|null} node - Tile element
+   * @returns {Function|undefined} Cleanup run when the tile unmounts
+   */
+  const observeTile = useCallback((node) => {
+    if (!node) return;
+    observer.observe(node);
+    return () => observer.unobserve(node);
+  }, [observer]);
+
+  // Let go of the observer, and the state setter it holds, when the grid unmounts
+  useEffect(() => () => observer.disconnect(), [observer]);
+
+  const layout = useMemo(() => {
+    const columnCount = getColumnCount(columns, viewportWidth);
+    const columnWidth = Math.max(Math.floor((gridWidth - GAP * (columnCount - 1)) / columnCount), 0);
+    const columnHeights = new Array(columnCount).fill(0);
+
+    const tiles = images.map((image) => {
+      const column = columnHeights.indexOf(Math.min(...columnHeights));
+      const size = measured[image._id];
+      const height = size?.width === columnWidth ? size.height : estimateTileHeight(image, columnWidth);
+      const tile = { image, top: columnHeights[column], left: column * (columnWidth + GAP), height };
+
+      columnHeights[column] += height + GAP;
+      return tile;
+    });
+
+    return {
+      tiles,
+      columnWidth,
+      height: tiles.length ? Math.max(...columnHeights) - GAP : 0
+    };
+  }, [images, columns, viewportWidth, gridWidth, measured]);
+
+  // Measure the grid before the first paint so tiles can be placed straight away
+  useLayoutEffect(() => {
+    setGridWidth(gridRef.current.clientWidth);
+  }, []);
+
+  // Go back to where the user was once the images they had scrolled past are laid out again
+  useLayoutEffect(() => {
+    if (hasRestoredRef.current || !saved || !gridWidth || !images.length) return;
+
+    hasRestoredRef.current = true;
+    window.scrollTo(0, saved.scrollY);
+  }, [saved, gridWidth, images.length]);
+
+  // Follow scrolling and resizing; re-attached when the grid's height changes so
+  // the viewport is re-read after content above or inside the grid moves
+  useEffect(() => {
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      const grid = gridRef.current;
+      if (!grid) return;
+
+      const top = Math.floor(-grid.getBoundingClientRect().top / SCROLL_STEP) * SCROLL_STEP;
+      const height = window.innerHeight;
+
+      setGridWidth(grid.clientWidth);
+      setViewportWidth(window.innerWidth);
+      setViewport(prev => (prev.top === top && prev.height === height ? prev : { top, height }));
+    };
+
+    const scheduleUpdate = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(update);
+      }
+    };
+
+    const resizeObserver = new ResizeObserver(scheduleUpdate);
+    resizeObserver.observe(gridRef.current);
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    update();
+
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      window.removeEventListener('scroll', scheduleUpdate);
+      window.removeEventListener('resize', scheduleUpdate);
+    };
+  }, [layout.height]);
+
+  // Remember the scroll position and tile sizes for when the user comes back
+  useEffect(() => {
+    if (!cacheKey) return;
+
+    const save = () => {
+      // Nothing to come back to until the saved position has been restored
+      if (saved && !hasRestoredRef.current) return;
+      writePageCache(cacheKey, { scrollY: window.scrollY, measured });
+    };
+
+    window.addEventListener('scroll', save, { passive: true });
+    return () => window.removeEventListener('scroll', save);
+  }, [cacheKey, saved, measured]);
+
+  // Ask for the next page as the bottom of the grid comes into view
+  useEffect(() => {
+    if (!hasMore || isLoadingMore || !onLoadMore || !gridWidth) return;
+
+    if (viewport.top + viewport.height >= layout.height - LOAD_MORE_DISTANCE) {
+      onLoadMore();
+    }
+  }, [hasMore, isLoadingMore, onLoadMore, gridWidth, viewport, layout.height]);
+
+  // Tiles within a screen's height above or below the viewport stay mounted
+  const visibleTiles = layout.tiles.filter(tile =>
+    tile.top < viewport.top + viewport.height * 2 && tile.top + tile.height > viewport.top - viewport.height
+  );
+
+  return (
+    <>
+      <div ref={gridRef} className="position-relative" style={{ height: `${layout.height}px` }}>
+        {layout.columnWidth > 0 && visibleTiles.map(({ image, top, left }) => (
+          <div
+            key={image._id}
+            ref={observeTile}
+            data-image-id={image._id}
+            className="position-absolute"
+            style={{ top: `${top}px`, left: `${left}px`, width: `${layout.columnWidth}px` }}
+          >
+            {renderImage(image)}
+          </div>
+        ))}
+      </div>
+
+      {isLoadingMore && (
+        <div className="d-flex justify-content-center my-4">
+          <div className="spinner-border text-danger" role="status">
+            <span className="visually-hidden">Loading more images...</span>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MasonryGrid;
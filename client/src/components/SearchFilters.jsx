@@ -0,0 +1,276 @@
+// Labels of the created-at presets counted by the server
+const DATE_LABELS = {
+  day: 'Past 24 hours',
+  week: 'Past week',
+  month: 'Past month',
+  year: 'Past year'
+};
+
+const ORIENTATION_LABELS = {
+  portrait: 'Portrait',
+  landscape: 'Landscape',
+  square: 'Square'
+};
+
+// Swatch painted for each color bucket
+const COLOR_SWATCHES = {
+  red: '#dc3545',
+  orange: '#fd7e14',
+  brown: '#8b5a2b',
+  yellow: '#ffc107',
+  green: '#198754',
+  teal: '#20c997',
+  blue: '#0d6efd',
+  purple: '#6f42c1',
+  pink: '#d63384',
+  black: '#212529',
+  white: '#ffffff',
+  gray: '#adb5bd'
+};
+
+/**
+ * Shows how many results an option would return
+ *
+ * @param {Object} props - Component props
+ * @param {number} [props.count] - Result count, omitted while facets are loading
+ * @returns {JSX.Element|null} Count badge
+ */
+const FacetCount = ({ count }) => (
+  count === undefined ? null : <span className="text-secondary small ms-auto ps-2">{count}</span>
+);
+
+/**
+ * Sidebar for narrowing search results by tags, uploader, date, orientation,
+ * color and the viewer's likes, with the number of results each option would return
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Active filters as search parameters (tags, tagMode, uploader,
+ *   from, to, orientation, color, likedByMe)
+ * @param {Object} [props.facets] - Facet counts returned with the first page of results
+ * @param {Function} props.onChange - Called with the parameters to change; null removes one
+ * @param {boolean} [props.canFilterLikes] - Whether to offer the liked-by-me filter (signed in)
+ * @returns {JSX.Element} SearchFilters component
+ */
+const SearchFilters = ({ filters, facets, onChange, canFilterLikes = false }) => {
+  const selectedTags = filters.tags ? filters.tags.split(',') : [];
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  // Selected tags stay listed even once they drop out of the most common ones
+  const tagOptions = [
+    ...(facets?.tags || []),
+    ...selectedTags
+      .filter(tag => !facets?.tags.some(option => option.value === tag))
+      .map(value => ({ value }))
+  ];
+
+  const uploaderOptions = [
+    ...(facets?.uploaders || []),
+    ...(filters.uploader && !facets?.uploaders.some(option => option.value === filters.uploader)
+      ? [{ value: filters.uploader }]
+      : [])
+  ];
+
+  /**
+   * Add or remove a tag from the tag filter
+   *
+   * @param {string} tag - Tag to toggle
+   */
+  const toggleTag = (tag) => {
+    const tags = selectedTags.includes(tag)
+      ? selectedTags.filter(selected => selected !== tag)
+      : [...selectedTags, tag];
+    onChange({ tags: tags.join(',') || null, ...(tags.length < 2 && { tagMode: null }) });
+  };
+
+  /**
+   * Find the count of an option of a fixed facet
+   *
+   * @param {string} facet - Facet name
+   * @param {string} value - Option value
+   * @returns {number|undefined} Count, or undefined while facets are loading
+   */
+  const countOf = (facet, value) => facets?.[facet].find(option => option.value === value)?.count;
+
+  return (
+    <aside className="bg-light rounded-3 p-3 mb-4" aria-label="Search filters">
+      <div className="d-flex align-items-center mb-3">
+        <h2 className="fs-6 fw-semibold mb-0">Filters</h2>
+        {hasFilters && (
+          <button
+            type="button"
+            className="btn btn-link btn-sm text-danger ms-auto p-0"
+            onClick={() => onChange(Object.fromEntries(Object.keys(filters).map(name => [name, null])))}
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+
+      {tagOptions.length > 0 && (
+        <section className="mb-4">
+          <div className="d-flex align-items-center mb-2">
+            <h3 className="small fw-semibold text-uppercase text-secondary mb-0">Tags</h3>
+            {selectedTags.length > 1 && (
+              <div className="btn-group btn-group-sm ms-auto" role="group" aria-label="Match tags">
+                {['all', 'any'].map(mode => (
+                  <button
+                    key={mode}
+                    type="button"
+                    className={`btn py-0 ${(filters.tagMode || 'all') === mode ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                    onClick={() => onChange({ tagMode: mode === 'all' ? null : mode })}
+                    aria-pressed={(filters.tagMode || 'all') === mode}
+                  >
+                    {mode === 'all' ? 'All' : 'Any'}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="d-flex flex-wrap gap-2">
+            {tagOptions.map(({ value, count }) => {
+              const isSelected = selectedTags.includes(value);
+              return (
+                <button
+                  key={value}
+                  type="button"
+                  className={`btn btn-sm rounded-pill ${isSelected ? 'btn-danger' : 'btn-outline-secondary'}`}
+                  onClick={() => toggleTag(value)}
+                  aria-pressed={isSelected}
+                >
+                  #{value}
+                  {count !== undefined && <span className="ms-1 opacity-75">{count}</span>}
+                </button>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      <section className="mb-4">
+        <label htmlFor="searchUploader" className="form-label small fw-semibold text-uppercase text-secondary">
+          Uploaded by
+        </label>
+        <select
+          id="searchUploader"
+          className="form-select form-select-sm"
+          value={filters.uploader || ''}
+          onChange={(e) => onChange({ uploader: e.target.value || null })}
+        >
+          <option value="">Anyone</option>
+          {uploaderOptions.map(({ value, displayName, count }) => (
+            <option key={value} value={value}>
+              {displayName || value}{count !== undefined ? ` (${count})` : ''}
+            </option>
+          ))}
+        </select>
+      </section>
+
+      <section className="mb-4">
+        <h3 className="small fw-semibold text-uppercase text-secondary mb-2">Date added</h3>
+        <div className="list-group list-group-flush mb-2">
+          {(facets?.createdAt || []).map(({ value, from, count }) => {
+            const isSelected = filters.from === from && !filters.to;
+            return (
+              <button
+                key={value}
+                type="button"
+                className={`list-group-item list-group-item-action d-flex bg-transparent px-0 py-1 border-0 ${isSelected ? 'fw-semibold text-danger' : ''}`}
+                onClick={() => onChange(isSelected ? { from: null } : { from, to: null })}
+                disabled={!count && !isSelected}
+                aria-pressed={isSelected}
+              >
+                {DATE_LABELS[value] || value}
+                <FacetCount count={count} />
+              </button>
+            );
+          })}
+        </div>
+        <div className="d-flex gap-2">
+          <input
+            type="date"
+            className="form-control form-control-sm"
+            aria-label="Added from"
+            value={filters.from || ''}
+            max={filters.to || undefined}
+            onChange={(e) => onChange({ from: e.target.value || null })}
+          />
+          <input
+            type="date"
+            className="form-control form-control-sm"
+            aria-label="Added until"
+            value={filters.to || ''}
+            min={filters.from || undefined}
+            onChange={(e) => onChange({ to: e.target.value || null })}
+          />
+        </div>
+      </section>
+
+      <section className="mb-4">
+        <h3 className="small fw-semibold text-uppercase text-secondary mb-2">Orientation</h3>
+        {Object.entries(ORIENTATION_LABELS).map(([value, label]) => {
+          const count = countOf('orientation', value);
+          const isSelected = filters.orientation === value;
+          return (
+            <div key={value} className="form-check d-flex">
+              <input
+                id={`orientation-${value}`}
+                type="checkbox"
+                className="form-check-input"
+                checked={isSelected}
+                disabled={count === 0 && !isSelected}
+                onChange={() => onChange({ orientation: isSelected ? null : value })}
+              />
+              <label htmlFor={`orientation-${value}`} className="form-check-label d-flex flex-grow-1 ms-2">
+                {label}
+                <FacetCount count={count} />
+              </label>
+            </div>
+          );
+        })}
+      </section>
+
+      <section className={canFilterLikes ? 'mb-4' : ''}>
+        <h3 className="small fw-semibold text-uppercase text-secondary mb-2">Color</h3>
+        <div className="d-flex flex-wrap gap-2">
+          {Object.entries(COLOR_SWATCHES).map(([value, swatch]) => {
+            const count = countOf('color', value);
+            const isSelected = filters.color === value;
+            return (
+              <button
+                key={value}
+                type="button"
+                className={`btn p-0 rounded-circle border ${isSelected ? 'border-danger border-3' : ''}`}
+                style={{ width: 28, height: 28, backgroundColor: swatch, opacity: count === 0 && !isSelected ? 0.3 : 1 }}
+                onClick={() => onChange({ color: isSelected ? null : value })}
+                disabled={count === 0 && !isSelected}
+                title={count === undefined ? value : `${value} (${count})`}
+                aria-label={count === undefined ? value : `${value}, ${count} results`}
+                aria-pressed={isSelected}
+              />
+            );
+          })}
+        </div>
+      </section>
+
+      {canFilterLikes && (
+        <section>
+          <div className="form-check d-flex">
+            <input
+              id="likedByMe"
+              type="checkbox"
+              className="form-check-input"
+              checked={filters.likedByMe === 'true'}
+              onChange={(e) => onChange({ likedByMe: e.target.checked ? 'true' : null })}
+            />
+            <label htmlFor="likedByMe" className="form-check-label d-flex flex-grow-1 ms-2">
+              Pins I&apos;ve liked
+              <FacetCount count={facets?.likedByMe?.count} />
+            </label>
+          </div>
+        </section>
+      )}
+    </aside>
+  );
+};
+
+export default SearchFilters;
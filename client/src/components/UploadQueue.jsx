@@ -0,0 +1,129 @@
+/**
+ * List of files waiting in a bulk upload, each with its own title, tags and progress
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.items - Queue items (`{ id, file, preview, title, tags, status, progress, message }`)
+ * @param {Function} props.onChange - Called with an item ID and the changed fields
+ * @param {Function} props.onRemove - Called with the ID of an item to drop from the queue
+ * @param {boolean} props.disabled - Whether editing is locked while uploading
+ * @param {boolean} props.showErrors - Whether to highlight missing titles
+ * @returns {JSX.Element} Upload queue
+ */
+const UploadQueue = ({ items, onChange, onRemove, disabled, showErrors }) => {
+  const uploadedCount = items.filter(item => item.status === 'done').length;
+
+  /**
+   * Renders the status line of a queue item
+   *
+   * @param {Object} item - Queue item
+   * @returns {JSX.Element} Status, progress bar or error message
+   */
+  const renderStatus = (item) => {
+    if (item.status === 'uploading') {
+      return (
+        <div className="mt-2">
+          <div className="d-flex justify-content-between small text-muted mb-1">
+            <span>{item.progress === 100 ? 'Processing...' : 'Uploading...'}</span>
+            <span>{item.progress}%</span>
+          </div>
+          <div className="progress" style={{ height: '4px' }} role="progressbar" aria-valuenow={item.progress} aria-valuemin="0" aria-valuemax="100">
+            <div className="progress-bar bg-danger" style={{ width: `${item.progress}%` }}></div>
+          </div>
+        </div>
+      );
+    }
+
+    if (item.status === 'done') {
+      return (
+        <div className="small text-success d-flex align-items-center mt-2">
+          <svg width="14" height="14" fill="currentColor" className="bi bi-check-circle-fill me-1" viewBox="0 0 16 16">
+            <path d="M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0zm-3.97-3.03a.75.75 0 0 0-1.08.022L7.477 9.417 5.384 7.323a.75.75 0 0 0-1.06 1.06L6.97 11.03a.75.75 0 0 0 1.079-.02l3.992-4.99a.75.75 0 0 0-.01-1.05z"/>
+          </svg>
+          Uploaded
+        </div>
+      );
+    }
+
+    if (item.status === 'error') {
+      return (
+        <div className="small text-danger mt-2">
+          {item.message}
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <span className="small fw-medium">
+          {items.length} {items.length === 1 ? 'image' : 'images'}
+        </span>
+        {uploadedCount > 0 && (
+          <span className="small text-muted">
+            {uploadedCount} of {items.length} uploaded
+          </span>
+        )}
+      </div>
+
+      <ul className="list-group">
+        {items.map(item => {
+          const locked = disabled || item.status === 'done';
+
+          return (
+            <li key={item.id} className="list-group-item d-flex align-items-start gap-3 py-3">
+              <img
+                src={item.preview}
+                alt=""
+                className="rounded object-fit-cover bg-light flex-shrink-0"
+                width="64"
+                height="64"
+              />
+
+              <div className="flex-grow-1" style={{ minWidth: 0 }}>
+                <div className="small text-muted text-truncate mb-2">
+                  {item.file.name} ({Math.round(item.file.size / 1024)} KB)
+                </div>
+                <input
+                  type="text"
+                  value={item.title}
+                  onChange={(e) => onChange(item.id, { title: e.target.value })}
+                  placeholder="Title"
+                  aria-label={`Title for ${item.file.name}`}
+                  className={`form-control form-control-sm mb-2 ${showErrors && !item.title.trim() ? 'is-invalid' : ''}`}
+                  disabled={locked}
+                />
+                <input
+                  type="text"
+                  value={item.tags}
+                  onChange={(e) => onChange(item.id, { tags: e.target.value })}
+                  placeholder="Tags, separated by commas"
+                  aria-label={`Tags for ${item.file.name}`}
+                  className="form-control form-control-sm"
+                  disabled={locked}
+                />
+                {renderStatus(item)}
+              </div>
+
+              <button
+                type="button"
+                onClick={() => onRemove(item.id)}
+                className="btn btn-outline-secondary btn-sm rounded-circle flex-shrink-0"
+                aria-label={`Remove ${item.file.name}`}
+                disabled={disabled}
+              >
+                <svg width="12" height="12" fill="currentColor" className="bi bi-x-lg" viewBox="0 0 16 16">
+                  <path d="M2.146 2.854a.5.5 0 1 1 .708-.708L8 7.293l5.146-5.147a.5.5 0 0 1 .708.708L8.707 8l5.147 5.146a.5.5 0 0 1-.708.708L8 8.707l-5.146 5.147a.5.5 0 0 1-.708-.708L7.293 8 2.146 2.854Z"/>
+                </svg>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default UploadQueue;
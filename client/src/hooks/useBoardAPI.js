@@ -0,0 +1,221 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * Custom hook for handling board-related API operations
+ * Provides methods for listing, creating, updating and deleting boards
+ * and for adding or removing pins on a board
+ *
+ * @returns {Object} API methods and state
+ */
+const useBoardAPI = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const toast = useToast();
+
+  /**
+   * Fetches all boards of the logged-in user, including private ones
+   *
+   * @returns {Promise<Array>} Promise resolving to array of board objects
+   */
+  const getMyBoards = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get('/api/boards');
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to fetch your boards';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error('Error fetching my boards:', err);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Fetches the public boards of a user by username
+   *
+   * @param {string} username - Username to fetch boards for
+   * @returns {Promise<Array>} Promise resolving to array of board objects
+   */
+  const getUserBoards = useCallback(async (username) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get(`/api/boards/user/${username}`);
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || `Failed to fetch boards for user ${username}`;
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error fetching boards for ${username}:`, err);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Fetches a single board with its pins
+   *
+   * @param {string} boardId - The ID of the board to fetch
+   * @returns {Promise<Object|null>} Promise resolving to board object or null
+   */
+  const getBoard = useCallback(async (boardId) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get(`/api/boards/${boardId}`);
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to fetch board';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error fetching board ${boardId}:`, err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Creates a new board
+   *
+   * @param {Object} boardData - Board title, description and privacy
+   * @returns {Promise<Object|null>} Promise resolving to created board or null on error
+   */
+  const createBoard = useCallback(async (boardData) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.post('/api/boards', boardData);
+      toast.showSuccess('Board created successfully!');
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to create board';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error('Error creating board:', err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Updates a board's details, cover image or pin order
+   *
+   * @param {string} boardId - ID of the board to update
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object|null>} Promise resolving to updated board or null
+   */
+  const updateBoard = useCallback(async (boardId, updateData) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.patch(`/api/boards/${boardId}`, updateData);
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to update board';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error updating board ${boardId}:`, err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Deletes a board; its pins are kept
+   *
+   * @param {string} boardId - ID of the board to delete
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  const deleteBoard = useCallback(async (boardId) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      await axios.delete(`/api/boards/${boardId}`);
+      toast.showSuccess('Board deleted successfully');
+      return true;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to delete board';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error deleting board ${boardId}:`, err);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Adds a pin to a board
+   *
+   * @param {string} boardId - ID of the board
+   * @param {string} imageId - ID of the image to add
+   * @returns {Promise<Object|null>} Promise resolving to the new pin count or null
+   */
+  const addPinToBoard = useCallback(async (boardId, imageId) => {
+    try {
+      setError(null);
+
+      const response = await axios.post(`/api/boards/${boardId}/pins`, { imageId });
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to add pin to board';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error adding pin ${imageId} to board ${boardId}:`, err);
+      return null;
+    }
+  }, [toast]);
+
+  /**
+   * Removes a pin from a board
+   *
+   * @param {string} boardId - ID of the board
+   * @param {string} imageId - ID of the image to remove
+   * @returns {Promise<Object|null>} Promise resolving to the new pin count or null
+   */
+  const removePinFromBoard = useCallback(async (boardId, imageId) => {
+    try {
+      setError(null);
+
+      const response = await axios.delete(`/api/boards/${boardId}/pins/${imageId}`);
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to remove pin from board';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error removing pin ${imageId} from board ${boardId}:`, err);
+      return null;
+    }
+  }, [toast]);
+
+  return {
+    loading,
+    error,
+    getMyBoards,
+    getUserBoards,
+    getBoard,
+    createBoard,
+    updateBoard,
+    deleteBoard,
+    addPinToBoard,
+    removePinFromBoard
+  };
+};
+
+export default useBoardAPI;
@@ -0,0 +1,125 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * Custom hook for handling comment-related API operations
+ * Provides methods for listing, posting, editing and deleting comments on a pin
+ *
+ * @returns {Object} API methods and state
+ */
+const useCommentAPI = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const toast = useToast();
+
+  /**
+   * Fetches a page of top-level comments, or of replies when a parent is given
+   *
+   * @param {string} imageId - ID of the image
+   * @param {Object} options - Listing options
+   * @param {string} [options.parent] - ID of the comment whose replies to fetch
+   * @param {string} [options.after] - Cursor returned by the previous page
+   * @param {number} [options.limit] - Number of comments per page
+   * @returns {Promise<Object>} Promise resolving to comments and pagination data
+   */
+  const getComments = useCallback(async (imageId, { parent, after, limit } = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get(`/api/images/${imageId}/comments`, {
+        params: { parent, after, limit }
+      });
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to load comments';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error fetching comments for image ${imageId}:`, err);
+      return { comments: [], pagination: { hasMore: false, nextCursor: null } };
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Posts a comment or a reply
+   *
+   * @param {string} imageId - ID of the image
+   * @param {string} text - Comment text
+   * @param {string} [parentId] - ID of the comment being replied to
+   * @returns {Promise<Object>} Promise resolving to the created comment
+   * @throws {Error} If posting fails, so optimistic updates can be rolled back
+   */
+  const addComment = useCallback(async (imageId, text, parentId) => {
+    try {
+      setError(null);
+
+      const response = await axios.post(`/api/images/${imageId}/comments`, { text, parentId });
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to post comment';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error posting comment on image ${imageId}:`, err);
+      throw err;
+    }
+  }, [toast]);
+
+  /**
+   * Edits the text of one of the user's comments
+   *
+   * @param {string} imageId - ID of the image
+   * @param {string} commentId - ID of the comment to edit
+   * @param {string} text - New comment text
+   * @returns {Promise<Object|null>} Promise resolving to the updated comment or null on error
+   */
+  const updateComment = useCallback(async (imageId, commentId, text) => {
+    try {
+      setError(null);
+
+      const response = await axios.patch(`/api/images/${imageId}/comments/${commentId}`, { text });
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to update comment';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error updating comment ${commentId}:`, err);
+      return null;
+    }
+  }, [toast]);
+
+  /**
+   * Deletes a comment
+   *
+   * @param {string} imageId - ID of the image
+   * @param {string} commentId - ID of the comment to delete
+   * @returns {Promise<Object|null>} Promise resolving to the delete result or null on error
+   */
+  const deleteComment = useCallback(async (imageId, commentId) => {
+    try {
+      setError(null);
+
+      const response = await axios.delete(`/api/images/${imageId}/comments/${commentId}`);
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to delete comment';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error deleting comment ${commentId}:`, err);
+      return null;
+    }
+  }, [toast]);
+
+  return {
+    loading,
+    error,
+    getComments,
+    addComment,
+    updateComment,
+    deleteComment
+  };
+};
+
+export default useCommentAPI;
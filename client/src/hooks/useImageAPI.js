@@ -22,30 +22,30 @@ const useImageAPI = () => {
   }, []);
 
   /**
-   * Fetches all images or filtered by user ID
+   * Fetches a page of everyone's images
    * 
    * @param {Object} options - Query options
-   * @param {string} [options.userId] - Optional user ID to filter images by
+   * @param {string} [options.after] - Cursor returned by the previous page
    * @param {number} [options.limit] - Optional limit of images to fetch
-   * @param {number} [options.page] - Optional page number for pagination
-   * @param {string} [options.sortBy] - Optional sort field
+   * @param {boolean} [options.includeTotal] - Also count every image, returned as pagination.total
+   * @param {string} [options.sortBy] - Optional sort field: createdAt, likeCount, saveCount, commentCount or trendingScore
    * @param {string} [options.sortOrder] - Optional sort order ('asc' or 'desc')
-   * @returns {Promise<Object>} Promise resolving to object with images array and pagination data
+   * @returns {Promise<Object>} Promise resolving to images and cursor pagination
    */
   const getAllImages = useCallback(async (options = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const queryParams = new URLSearchParams();
-      
-      if (options.limit) queryParams.append('limit', options.limit.toString());
-      if (options.page) queryParams.append('page', options.page.toString());
-      if (options.sortBy) queryParams.append('sortBy', options.sortBy);
-      if (options.sortOrder) queryParams.append('sortOrder', options.sortOrder);
-      
-      const url = `/api/images${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-      const response = await axios.get(url);
+      const response = await axios.get('/api/images', {
+        params: {
+          after: options.after,
+          limit: options.limit,
+          includeTotal: options.includeTotal || undefined,
+          sortBy: options.sortBy,
+          sortOrder: options.sortOrder
+        }
+      });
       
       return response.data;
     } catch (err) {
@@ -53,30 +53,34 @@ const useImageAPI = () => {
       setError(errorMessage);
       toast.showError(errorMessage);
       console.error('Error fetching images:', err);
-      return { images: [], pagination: { total: 0, page: 1, limit: 10, pages: 0 } };
+      return { images: [], pagination: { hasMore: false, nextCursor: null } };
     } finally {
       setLoading(false);
     }
   }, [toast]);
 
   /**
-   * Fetches images for a specific user by username
+   * Fetches a page of images for a specific user by username
    * 
    * @param {string} username - Username to fetch images for
-   * @param {Object} options - Query options for pagination
-   * @returns {Promise<Object>} Promise resolving to object with images array and user data
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor returned by the previous page
+   * @param {number} [options.limit] - Optional limit of images to fetch
+   * @param {boolean} [options.includeTotal] - Also count the user's images, returned as pagination.total
+   * @returns {Promise<Object>} Promise resolving to images, cursor pagination and user data
    */
   const getUserImages = useCallback(async (username, options = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const queryParams = new URLSearchParams();
-      if (options.limit) queryParams.append('limit', options.limit.toString());
-      if (options.page) queryParams.append('page', options.page.toString());
-      
-      const url = `/api/images/user/${username}${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-      const response = await axios.get(url);
+      const response = await axios.get(`/api/images/user/${username}`, {
+        params: {
+          after: options.after,
+          limit: options.limit,
+          includeTotal: options.includeTotal || undefined
+        }
+      });
       
       return response.data;
     } catch (err) {
@@ -84,30 +88,138 @@ const useImageAPI = () => {
       setError(errorMessage);
       toast.showError(errorMessage);
       console.error(`Error fetching user images for ${username}:`, err);
-      return { images: [], pagination: { total: 0 }, user: null };
+      return { images: [], pagination: { hasMore: false, nextCursor: null }, user: null };
     } finally {
       setLoading(false);
     }
   }, [toast]);
 
   /**
-   * Fetches images for the currently logged-in user
+   * Fetches a page of images for the currently logged-in user
    * 
-   * @returns {Promise<Array>} Promise resolving to array of image objects
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor returned by the previous page
+   * @param {number} [options.limit] - Optional limit of images to fetch
+   * @param {boolean} [options.includeTotal] - Also count the user's images, returned as pagination.total
+   * @returns {Promise<Object>} Promise resolving to images and cursor pagination
    */
-  const getMyImages = useCallback(async () => {
+  const getMyImages = useCallback(async (options = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const response = await axios.get('/api/images/myimages');
+      const response = await axios.get('/api/images/myimages', {
+        params: {
+          after: options.after,
+          limit: options.limit,
+          includeTotal: options.includeTotal || undefined
+        }
+      });
       return response.data;
     } catch (err) {
       const errorMessage = err.response?.data?.message || 'Failed to fetch your images';
       setError(errorMessage);
       toast.showError(errorMessage);
       console.error('Error fetching my images:', err);
-      return [];
+      return { images: [], pagination: { hasMore: false, nextCursor: null } };
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Fetches the logged-in user's home feed: pins from followed users and tags,
+   * or every pin while the user doesn't follow anything yet
+   * 
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor returned by the previous page
+   * @param {number} [options.limit] - Optional limit of images to fetch
+   * @returns {Promise<Object>} Promise resolving to images, cursor pagination and the feed source
+   */
+  const getFeed = useCallback(async (options = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await axios.get('/api/feed', {
+        params: { after: options.after, limit: options.limit }
+      });
+      
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to fetch your feed';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error('Error fetching feed:', err);
+      return { images: [], pagination: { hasMore: false, nextCursor: null }, source: 'following' };
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Fetches a page of images liked by the currently logged-in user
+   * 
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor returned by the previous page
+   * @param {number} [options.limit] - Optional limit of images to fetch
+   * @param {boolean} [options.includeTotal] - Also count the liked images, returned as pagination.total
+   * @returns {Promise<Object>} Promise resolving to images and cursor pagination
+   */
+  const getLikedImages = useCallback(async (options = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await axios.get('/api/images/liked', {
+        params: {
+          after: options.after,
+          limit: options.limit,
+          includeTotal: options.includeTotal || undefined
+        }
+      });
+      
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to fetch liked images';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error('Error fetching liked images:', err);
+      return { images: [], pagination: { hasMore: false, nextCursor: null } };
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Fetches a page of images saved by the currently logged-in user, most recently saved first
+   * 
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor returned by the previous page
+   * @param {number} [options.limit] - Optional limit of images to fetch
+   * @param {boolean} [options.includeTotal] - Also count the saved images, returned as pagination.total
+   * @returns {Promise<Object>} Promise resolving to images and cursor pagination
+   */
+  const getSavedImages = useCallback(async (options = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await axios.get('/api/images/saved', {
+        params: {
+          after: options.after,
+          limit: options.limit,
+          includeTotal: options.includeTotal || undefined
+        }
+      });
+      
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to fetch saved images';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error('Error fetching saved images:', err);
+      return { images: [], pagination: { hasMore: false, nextCursor: null } };
     } finally {
       setLoading(false);
     }
@@ -162,13 +274,31 @@ const useImageAPI = () => {
     }
   }, [toast]);
 
+  /**
+   * Looks up what a link points at: an image, or a web page with candidate images
+   * and a suggested title and description. Runs while the user types, so failures
+   * are left to the caller to show instead of raising a toast
+   *
+   * @param {string} url - Link entered by the user
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the lookup, e.g. when the link changes
+   * @returns {Promise<Object>} `{ kind: 'image', url }` or `{ kind: 'page', url, title, description, images }`
+   */
+  const getLinkPreview = useCallback(async (url, { signal } = {}) => {
+    const response = await axios.post('/api/images/url/preview', { url }, { signal });
+    return response.data;
+  }, []);
+
   /**
    * Uploads a new image file (not just URL)
    * 
    * @param {FormData} formData - Form data containing image file and metadata
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onUploadProgress] - Axios progress callback for the request body
+   * @param {AbortSignal} [options.signal] - Cancels the upload; the rejection is not reported as an error
    * @returns {Promise<Object|null>} Promise resolving to created image or null on error
    */
-  const uploadImage = useCallback(async (formData) => {
+  const uploadImage = useCallback(async (formData, { onUploadProgress, signal } = {}) => {
     try {
       setLoading(true);
       setError(null);
@@ -176,12 +306,17 @@ const useImageAPI = () => {
       const response = await axios.post('/api/images/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
-        }
+        },
+        onUploadProgress,
+        signal
       });
       
       toast.showSuccess('Image uploaded successfully!');
       return response.data;
     } catch (err) {
+      // Cancelled by the user, nothing went wrong
+      if (axios.isCancel(err)) throw err;
+
       const errorMessage = err.response?.data?.message || 'Failed to upload image';
       setError(errorMessage);
       toast.showError(errorMessage);
@@ -192,6 +327,50 @@ const useImageAPI = () => {
     }
   }, [toast]);
 
+  /**
+   * Uploads several image files in one request
+   * The server reports on each file separately, so a partly failed batch still resolves
+   *
+   * @param {FormData} formData - Form data with the `files`, their `items` details and shared fields
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onUploadProgress] - Axios progress callback for the request body
+   * @param {AbortSignal} [options.signal] - Cancels the upload; the rejection is not reported as an error
+   * @returns {Promise<Object>} Promise resolving to `{ results, created, failed }`
+   */
+  const uploadImages = useCallback(async (formData, { onUploadProgress, signal } = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.post('/api/images/upload/bulk', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        },
+        onUploadProgress,
+        signal
+      });
+
+      const { created, failed } = response.data;
+      if (failed === 0) {
+        toast.showSuccess(`${created} ${created === 1 ? 'image' : 'images'} uploaded successfully!`);
+      } else {
+        toast.showError(`${failed} of ${created + failed} images could not be uploaded`);
+      }
+      return response.data;
+    } catch (err) {
+      // Cancelled by the user, nothing went wrong
+      if (axios.isCancel(err)) throw err;
+
+      const errorMessage = err.response?.data?.message || 'Failed to upload images';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error('Error uploading images:', err);
+      throw err; // Re-throw to allow the component to handle it
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
   /**
    * Updates an existing image by ID
    * 
@@ -244,31 +423,40 @@ const useImageAPI = () => {
   }, [toast]);
 
   /**
-   * Search for images by query string (searches title, description, tags)
+   * Search for images by query string (searches title, description, tags), most relevant first
    * 
    * @param {string} query - Search query string
-   * @param {Object} options - Pagination options
-   * @returns {Promise<Object>} Promise resolving to search results
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor returned by the previous page
+   * @param {number} [options.limit] - Optional limit of images to fetch
+   * @param {boolean} [options.includeTotal] - Also count every match, returned as pagination.total
+   * @param {Object} [options.filters] - Search filters as query parameters (tags, tagMode, uploader,
+   *   from, to, orientation, color, likedByMe)
+   * @param {boolean} [options.includeFacets] - Also count the results of each filter option, returned as facets
+   * @returns {Promise<Object>} Promise resolving to search results and cursor pagination
    */
   const searchImages = useCallback(async (query, options = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const queryParams = new URLSearchParams();
-      queryParams.append('q', query);
-      
-      if (options.limit) queryParams.append('limit', options.limit.toString());
-      if (options.page) queryParams.append('page', options.page.toString());
-      
-      const response = await axios.get(`/api/images/search?${queryParams.toString()}`);
+      const response = await axios.get('/api/images/search', {
+        params: {
+          q: query,
+          ...options.filters,
+          includeFacets: options.includeFacets || undefined,
+          after: options.after,
+          limit: options.limit,
+          includeTotal: options.includeTotal || undefined
+        }
+      });
       return response.data;
     } catch (err) {
       const errorMessage = err.response?.data?.message || 'Failed to search images';
       setError(errorMessage);
       toast.showError(errorMessage);
       console.error('Error searching images:', err);
-      return { images: [], pagination: { total: 0, page: 1, limit: 10, pages: 0 } };
+      return { images: [], pagination: { hasMore: false, nextCursor: null } };
     } finally {
       setLoading(false);
     }
@@ -279,7 +467,7 @@ const useImageAPI = () => {
    * 
    * @param {string} imageId - ID of the image to like/unlike
    * @param {boolean} isLiked - Whether the image is already liked (to toggle)
-   * @returns {Promise<Object>} Updated image data
+   * @returns {Promise<Object>} Like state with imageId, likeCount and likedByMe
    */
   const toggleLikeImage = useCallback(async (imageId, isLiked) => {
     try {
@@ -311,6 +499,69 @@ const useImageAPI = () => {
     }
   }, [toast]);
 
+  /**
+   * Saves or unsaves an image for the current user
+   * 
+   * @param {string} imageId - ID of the image to save/unsave
+   * @param {boolean} isSaved - Whether the image is already saved (to toggle)
+   * @param {string} [boardId] - Optional board to place the saved image on
+   * @returns {Promise<Object>} Save state with imageId, saveCount and savedByMe
+   */
+  const toggleSaveImage = useCallback(async (imageId, isSaved, boardId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = isSaved
+        ? await axios.delete(`/api/images/${imageId}/save`)
+        : await axios.post(`/api/images/${imageId}/save`, boardId ? { boardId } : {});
+      
+      if (!isSaved) {
+        toast.showSuccess('Image saved to your profile');
+      }
+      
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to save image';
+      setError(errorMessage);
+      
+      // Only show error toast, not for unauthorized which is handled by auth
+      if (err.response?.status !== 401) {
+        toast.showError(errorMessage);
+      }
+      
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Repins another user's image to the current user's profile
+   * 
+   * @param {string} imageId - ID of the image to repin
+   * @param {Object} [repinData] - Optional title, description, tags and boardId overrides
+   * @returns {Promise<Object|null>} Promise resolving to the new repin or null on error
+   */
+  const repinImage = useCallback(async (imageId, repinData = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await axios.post(`/api/images/${imageId}/repin`, repinData);
+      toast.showSuccess('Pin repinned to your profile!');
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to repin image';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error repinning image ${imageId}:`, err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
   return {
     loading,
     error,
@@ -318,13 +569,20 @@ const useImageAPI = () => {
     getAllImages,
     getUserImages,
     getMyImages,
+    getFeed,
+    getLikedImages,
+    getSavedImages,
     getImageById,
     addImageUrl,
+    getLinkPreview,
     uploadImage,
+    uploadImages,
     updateImage,
     deleteImage,
     searchImages,
-    toggleLikeImage
+    toggleLikeImage,
+    toggleSaveImage,
+    repinImage
   };
 };
 
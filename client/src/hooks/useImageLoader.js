@@ -7,9 +7,12 @@ import { useState, useEffect } from 'react';
  * @param {string} src - Source URL of the image to load
  * @param {string} [placeholder] - URL of placeholder image to show while loading
  * @param {string} [fallback] - URL of fallback image to show on error
+ * @param {Object} [responsive] - Responsive image attributes
+ * @param {string} [responsive.srcSet] - srcset to preload, so the browser picks the same candidate as the rendered img
+ * @param {string} [responsive.sizes] - sizes hint matching the rendered img
  * @returns {Object} Image loading state and current source
  */
-const useImageLoader = (src, placeholder = '', fallback = '') => {
+const useImageLoader = (src, placeholder = '', fallback = '', { srcSet = '', sizes = '' } = {}) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentSrc, setCurrentSrc] = useState(placeholder || src);
@@ -29,6 +32,11 @@ const useImageLoader = (src, placeholder = '', fallback = '') => {
     
     const image = new Image();
     
+    if (srcSet) {
+      image.sizes = sizes;
+      image.srcset = srcSet;
+    }
+    
     // Add event listeners before setting src
     image.onload = () => {
       setLoading(false);
@@ -46,11 +54,12 @@ const useImageLoader = (src, placeholder = '', fallback = '') => {
     // Cleanup function
     return () => {
       // Cancel the image load
+      image.srcset = '';
       image.src = '';
       image.onload = null;
       image.onerror = null;
     };
-  }, [src, placeholder, fallback]);
+  }, [src, placeholder, fallback, srcSet, sizes]);
 
   return { loading, error, currentSrc };
 };
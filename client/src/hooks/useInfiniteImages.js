@@ -0,0 +1,166 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { readPageCache, writePageCache } from '../utils/pageCache';
+
+/**
+ * Custom hook that keeps a cursor-paginated list of images for an infinite grid
+ * Loads the first page whenever `key` changes and appends later pages on demand.
+ * Lists are remembered per history entry, so coming back (e.g. from a pin's detail
+ * page) or switching back to an earlier key picks up the pages loaded before
+ * instead of starting over, and the grid can restore its scroll position.
+ *
+ * @param {Function} fetchPage - Called with the cursor to continue from (undefined for
+ *   the first page); resolves to `{ images, pagination }` plus any extra response fields
+ * @param {Object} options - Hook options
+ * @param {string} options.key - Identifies the list, e.g. the feed and sort shown; a new key starts over
+ * @param {boolean} [options.enabled=true] - Whether the list can be loaded yet
+ * @returns {Object} `{ images, setImages, removeImage, firstPage, total, hasMore, isLoading, isLoadingMore, loadMore, reload }`
+ *   where firstPage is the first response without its images (for fields like `source`) and
+ *   total is its `pagination.total` when the page was asked to include one
+ */
+const useInfiniteImages = (fetchPage, { key, enabled = true }) => {
+  const location = useLocation();
+  const cacheKey = `${location.key}:${key}`;
+
+  const [list, setList] = useState(() => readPageCache(cacheKey) || {
+    key: null,
+    images: [],
+    nextCursor: null,
+    firstPage: {}
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const fetchPageRef = useRef(fetchPage);
+  const requestRef = useRef(0);
+  const isLoadingMoreRef = useRef(false);
+
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  }, [fetchPage]);
+
+  /**
+   * Replace the list with its first page
+   */
+  const reload = useCallback(async () => {
+    // Responses for an older key or an earlier reload are dropped
+    const request = ++requestRef.current;
+    setIsLoading(true);
+
+    try {
+      const { images = [], ...firstPage } = await fetchPageRef.current();
+      if (request !== requestRef.current) return;
+
+      setList({
+        key: cacheKey,
+        images,
+        nextCursor: firstPage.pagination?.nextCursor || null,
+        firstPage
+      });
+    } finally {
+      if (request === requestRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [cacheKey]);
+
+  /**
+   * Append the next page, if there is one and it isn't already on its way
+   */
+  const loadMore = useCallback(async () => {
+    if (!list.nextCursor || isLoadingMoreRef.current) return;
+
+    const request = requestRef.current;
+    isLoadingMoreRef.current = true;
+    setIsLoadingMore(true);
+
+    try {
+      const page = await fetchPageRef.current(list.nextCursor);
+      if (request !== requestRef.current) return;
+
+      setList(prev => {
+        // Pins added locally (e.g. a fresh upload) may come back in a later page
+        const known = new Set(prev.images.map(image => image._id));
+        return {
+          ...prev,
+          images: [...prev.images, ...(page.images || []).filter(image => !known.has(image._id))],
+          nextCursor: page.pagination?.nextCursor || null
+        };
+      });
+    } finally {
+      isLoadingMoreRef.current = false;
+      setIsLoadingMore(false);
+    }
+  }, [list.nextCursor]);
+
+  /**
+   * Update the loaded images in place, e.g. to add an upload or drop an unsaved pin
+   *
+   * @param {Array|Function} update - New images, or a function of the current ones
+   */
+  const setImages = useCallback((update) => {
+    setList(prev => ({
+      ...prev,
+      images: typeof update === 'function' ? update(prev.images) : update
+    }));
+  }, []);
+
+  /**
+   * Drop an image from the list, e.g. once it has been deleted or unsaved,
+   * keeping the total in step
+   *
+   * @param {string} imageId - ID of the image to drop
+   */
+  const removeImage = useCallback((imageId) => {
+    setList(prev => {
+      if (!prev.images.some(image => image._id === imageId)) return prev;
+
+      const total = prev.firstPage.pagination?.total;
+      return {
+        ...prev,
+        images: prev.images.filter(image => image._id !== imageId),
+        firstPage: total === undefined ? prev.firstPage : {
+          ...prev.firstPage,
+          pagination: { ...prev.firstPage.pagination, total: Math.max(total - 1, 0) }
+        }
+      };
+    });
+  }, []);
+
+  // Load the first page unless this list was already loaded for this history entry,
+  // in which case switching back to it carries on where it was left
+  useEffect(() => {
+    if (!enabled || list.key === cacheKey) return;
+
+    const cached = readPageCache(cacheKey);
+    if (cached) {
+      setList(cached);
+      return;
+    }
+    reload();
+  }, [enabled, list.key, cacheKey, reload]);
+
+  // Remember what has been loaded so coming back here can pick it up again
+  useEffect(() => {
+    if (list.key) {
+      writePageCache(list.key, list);
+    }
+  }, [list]);
+
+  // Until the first page for a new key arrives, the previous list isn't shown
+  const isCurrent = list.key === cacheKey;
+
+  return {
+    images: isCurrent ? list.images : [],
+    setImages,
+    removeImage,
+    firstPage: isCurrent ? list.firstPage : {},
+    total: isCurrent ? list.firstPage.pagination?.total : undefined,
+    hasMore: isCurrent && !!list.nextCursor,
+    isLoading: isLoading || (enabled && !isCurrent),
+    isLoadingMore,
+    loadMore,
+    reload
+  };
+};
+
+export default useInfiniteImages;
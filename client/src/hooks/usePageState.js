@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { readPageCache, writePageCache } from '../utils/pageCache';
+
+/**
+ * Custom hook like useState whose value is kept for the current history entry,
+ * so choices such as the open tab or sort order are still there when the user
+ * comes back to the page with the back button
+ * 
+ * @param {string} name - Name of the value, unique on its page
+ * @param {*} initialValue - Value used when the page is opened fresh
+ * @returns {Array} `[value, setValue]` as returned by useState
+ */
+const usePageState = (name, initialValue) => {
+  const location = useLocation();
+  const cacheKey = `${location.key}:state:${name}`;
+
+  const [value, setValue] = useState(() => {
+    const saved = readPageCache(cacheKey);
+    return saved === undefined ? initialValue : saved;
+  });
+
+  useEffect(() => {
+    writePageCache(cacheKey, value);
+  }, [cacheKey, value]);
+
+  return [value, setValue];
+};
+
+export default usePageState;
@@ -0,0 +1,59 @@
+import { useEffect, useRef } from 'react';
+import { getTransferContent, isEditableTarget } from '../utils/transferContent';
+
+/**
+ * Custom hook that picks up images and links pasted or dropped anywhere on the page
+ * Text pasted or dropped into form fields is left alone; files always count
+ * 
+ * @param {Function} onContent - Called with `{ files, url }` for each paste or drop
+ * @param {boolean} [enabled=true] - Whether to listen
+ */
+const usePasteAndDrop = (onContent, enabled = true) => {
+  const onContentRef = useRef(onContent);
+
+  useEffect(() => {
+    onContentRef.current = onContent;
+  }, [onContent]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    /**
+     * Hands the content over unless it is text meant for a form field
+     * 
+     * @param {Event} e - Paste or drop event
+     * @param {DataTransfer} dataTransfer - Data carried by the event
+     */
+    const handleTransfer = (e, dataTransfer) => {
+      const content = getTransferContent(dataTransfer);
+      if (!content) return;
+      if (content.files.length === 0 && isEditableTarget(e.target)) return;
+
+      e.preventDefault();
+      onContentRef.current(content);
+    };
+
+    const handlePaste = (e) => handleTransfer(e, e.clipboardData);
+    const handleDrop = (e) => handleTransfer(e, e.dataTransfer);
+
+    // The page has to accept the drag for a drop to happen at all
+    const handleDragOver = (e) => {
+      const types = Array.from(e.dataTransfer?.types || []);
+      if (types.includes('Files') || types.includes('text/uri-list')) {
+        e.preventDefault();
+      }
+    };
+
+    document.addEventListener('paste', handlePaste);
+    document.addEventListener('dragover', handleDragOver);
+    document.addEventListener('drop', handleDrop);
+
+    return () => {
+      document.removeEventListener('paste', handlePaste);
+      document.removeEventListener('dragover', handleDragOver);
+      document.removeEventListener('drop', handleDrop);
+    };
+  }, [enabled]);
+};
+
+export default usePasteAndDrop;
@@ -0,0 +1,210 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from '../context/ToastContext';
+
+// Upload IDs are remembered per file, so retrying the same file (even after a
+// page reload) continues where the last attempt stopped
+const STORAGE_PREFIX = 'resumableUpload:';
+
+// Failed attempts tolerated while the browser says it is online; offline time doesn't count
+const MAX_RETRIES = 5;
+
+/**
+ * Builds the key an upload ID is remembered under for a file
+ *
+ * @param {File} file - File being uploaded
+ * @returns {string} localStorage key
+ */
+const getFileKey = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Whether a failed request is worth repeating: the network dropped or the server had a problem
+ *
+ * @param {Error} err - Axios error
+ * @returns {boolean} Whether to retry
+ */
+const isRetriable = (err) => !err.response || err.response.status >= 500;
+
+/**
+ * Waits until the browser is back online, or for the delay when it already is
+ *
+ * @param {number} delay - Milliseconds to wait while online
+ * @param {AbortSignal} [signal] - Stops waiting when the upload is cancelled
+ * @returns {Promise<void>}
+ */
+const waitForConnection = (delay, signal) => new Promise((resolve, reject) => {
+  let timer = null;
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    window.removeEventListener('online', handleOnline);
+    signal?.removeEventListener('abort', handleAbort);
+  };
+  const handleOnline = () => {
+    cleanup();
+    resolve();
+  };
+  const handleAbort = () => {
+    cleanup();
+    reject(signal.reason);
+  };
+
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+
+  signal?.addEventListener('abort', handleAbort);
+  if (navigator.onLine) {
+    timer = setTimeout(handleOnline, delay);
+  } else {
+    window.addEventListener('online', handleOnline);
+  }
+});
+
+/**
+ * Custom hook for uploading large images in chunks through /api/uploads
+ * Dropped connections are waited out and the upload continues from the last
+ * byte the server received instead of starting over
+ *
+ * @returns {Object} Upload method and state
+ */
+const useResumableUpload = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const toast = useToast();
+
+  /**
+   * Uploads a file in chunks and turns it into a pin
+   *
+   * @param {File} file - Image file
+   * @param {Object} details - Pin details: title, description, tags, boardId and shareExif
+   * @param {Object} [options] - Upload options
+   * @param {Function} [options.onUploadProgress] - Called with `{ loaded, total }` for the whole file
+   * @param {Function} [options.onConnectionChange] - Called with false when the connection drops and true once it's back
+   * @param {AbortSignal} [options.signal] - Cancels the upload and discards what the server received
+   * @returns {Promise<Object>} Promise resolving to the created image
+   */
+  const uploadResumable = useCallback(async (file, details, { onUploadProgress, onConnectionChange, signal } = {}) => {
+    const fileKey = getFileKey(file);
+    let uploadId = localStorage.getItem(fileKey);
+    let failures = 0;
+    let connectionLost = false;
+
+    /**
+     * Runs a request, waiting out dropped connections and server hiccups
+     *
+     * @param {Function} request - Starts the request
+     * @returns {Promise<Object>} Axios response
+     */
+    const withRetry = async (request) => {
+      for (;;) {
+        try {
+          const response = await request();
+          if (connectionLost) {
+            connectionLost = false;
+            onConnectionChange?.(true);
+          }
+          failures = 0;
+          return response;
+        } catch (err) {
+          if (signal?.aborted || !isRetriable(err) || failures >= MAX_RETRIES) throw err;
+
+          if (navigator.onLine) failures += 1;
+          if (!connectionLost) {
+            connectionLost = true;
+            onConnectionChange?.(false);
+          }
+          await waitForConnection(Math.min(1000 * 2 ** failures, 30000), signal);
+        }
+      }
+    };
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Pick up an earlier attempt at the same file if the server still has it
+      let status = null;
+      if (uploadId) {
+        try {
+          status = (await withRetry(() => axios.get(`/api/uploads/${uploadId}`, { signal }))).data;
+        } catch (err) {
+          if (err.response?.status !== 404) throw err;
+        }
+      }
+
+      if (!status) {
+        status = (await withRetry(() => axios.post('/api/uploads', {
+          filename: file.name,
+          size: file.size
+        }, { signal }))).data;
+        uploadId = status.id;
+        localStorage.setItem(fileKey, uploadId);
+      }
+
+      let offset = status.offset;
+      onUploadProgress?.({ loaded: offset, total: file.size });
+
+      while (offset < file.size) {
+        const start = offset;
+        const chunk = file.slice(start, start + status.chunkSize);
+
+        try {
+          const response = await withRetry(() => axios.patch(`/api/uploads/${uploadId}`, chunk, {
+            headers: {
+              'Content-Type': 'application/offset+octet-stream',
+              'Upload-Offset': String(start)
+            },
+            signal,
+            onUploadProgress: (event) => onUploadProgress?.({ loaded: start + event.loaded, total: file.size })
+          }));
+          offset = response.data.offset;
+        } catch (err) {
+          // The server got further than we know, e.g. the chunk arrived just
+          // before the connection dropped; continue from its offset
+          if (err.response?.status !== 409) throw err;
+          offset = err.response.data.offset;
+        }
+
+        onUploadProgress?.({ loaded: offset, total: file.size });
+      }
+
+      const response = await withRetry(() => axios.post(`/api/uploads/${uploadId}/finalize`, details, { signal }));
+      localStorage.removeItem(fileKey);
+
+      toast.showSuccess('Image uploaded successfully!');
+      return response.data;
+    } catch (err) {
+      // Cancelled by the user: discard what the server received
+      if (signal?.aborted) {
+        if (uploadId) {
+          localStorage.removeItem(fileKey);
+          axios.delete(`/api/uploads/${uploadId}`).catch(() => {});
+        }
+        throw err;
+      }
+
+      // The server rejected the upload itself, so there is nothing to resume
+      if (err.response && err.response.status < 500) {
+        localStorage.removeItem(fileKey);
+      }
+
+      const errorMessage = err.response?.data?.message || 'Failed to upload image';
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error('Error uploading image in chunks:', err);
+      throw err; // Re-throw to allow the component to handle it
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  return {
+    loading,
+    error,
+    uploadResumable
+  };
+};
+
+export default useResumableUpload;
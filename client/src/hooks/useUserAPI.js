@@ -0,0 +1,98 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * Custom hook for following users and tags
+ * Provides methods for following and unfollowing users and for managing
+ * the tags that feed the home page
+ *
+ * @returns {Object} API methods and state
+ */
+const useUserAPI = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const toast = useToast();
+
+  /**
+   * Follows or unfollows a user
+   *
+   * @param {string} username - Username of the user to follow or unfollow
+   * @param {boolean} isFollowing - Whether the current user already follows them
+   * @returns {Promise<Object|null>} Promise resolving to { username, followerCount, followedByMe } or null
+   */
+  const toggleFollowUser = useCallback(async (username, isFollowing) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = isFollowing
+        ? await axios.delete(`/api/users/${username}/follow`)
+        : await axios.post(`/api/users/${username}/follow`);
+      return response.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        (isFollowing ? 'Failed to unfollow user' : 'Failed to follow user');
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error toggling follow for ${username}:`, err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  /**
+   * Fetches the tags the logged-in user follows
+   *
+   * @returns {Promise<Array<string>>} Promise resolving to the followed tags
+   */
+  const getFollowedTags = useCallback(async () => {
+    try {
+      setError(null);
+
+      const response = await axios.get('/api/feed/tags');
+      return response.data.tags;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to fetch followed tags';
+      setError(errorMessage);
+      console.error('Error fetching followed tags:', err);
+      return [];
+    }
+  }, []);
+
+  /**
+   * Follows or unfollows a tag
+   *
+   * @param {string} tag - Tag to follow or unfollow
+   * @param {boolean} isFollowing - Whether the tag is already followed
+   * @returns {Promise<Array<string>|null>} Promise resolving to the updated followed tags or null
+   */
+  const toggleFollowTag = useCallback(async (tag, isFollowing) => {
+    try {
+      setError(null);
+
+      const response = isFollowing
+        ? await axios.delete(`/api/feed/tags/${encodeURIComponent(tag)}`)
+        : await axios.post('/api/feed/tags', { tag });
+      return response.data.tags;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        (isFollowing ? 'Failed to unfollow tag' : 'Failed to follow tag');
+      setError(errorMessage);
+      toast.showError(errorMessage);
+      console.error(`Error toggling follow for tag ${tag}:`, err);
+      return null;
+    }
+  }, [toast]);
+
+  return {
+    loading,
+    error,
+    toggleFollowUser,
+    getFollowedTags,
+    toggleFollowTag
+  };
+};
+
+export default useUserAPI;
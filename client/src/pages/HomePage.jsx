@@ -1,14 +1,38 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion'; // Add missing motion import
 import axios from 'axios';
 import ImageCard from '../components/ImageCard';
 import ImageUploadForm from '../components/ImageUploadForm';
+import MasonryGrid from '../components/MasonryGrid';
+import SearchFilters from '../components/SearchFilters';
 import useImageAPI from '../hooks/useImageAPI';
 import useAuth from '../hooks/useAuth';
-import { useToast } from '../context/ToastContext';
+import usePasteAndDrop from '../hooks/usePasteAndDrop';
+import useInfiniteImages from '../hooks/useInfiniteImages';
+import usePageState from '../hooks/usePageState';
+import { GRID_COLUMNS } from '../utils/imageSources';
 import 'bootstrap/dist/css/bootstrap.min.css';
 
+// Orders offered for the Everyone stream, as sortBy/sortOrder pairs accepted by GET /api/images
+const SORT_OPTIONS = {
+  newest: { label: 'Newest', sortBy: 'createdAt', sortOrder: 'desc' },
+  oldest: { label: 'Oldest', sortBy: 'createdAt', sortOrder: 'asc' },
+  trending: { label: 'Trending', sortBy: 'trendingScore', sortOrder: 'desc' },
+  liked: { label: 'Most liked', sortBy: 'likeCount', sortOrder: 'desc' },
+  saved: { label: 'Most saved', sortBy: 'saveCount', sortOrder: 'desc' },
+  commented: { label: 'Most commented', sortBy: 'commentCount', sortOrder: 'desc' }
+};
+
+// Pause in typing (ms) before the search box runs the search
+const SEARCH_DELAY = 300;
+
+// Search parameters that filter the results, passed on to GET /api/images/search
+const SEARCH_FILTERS = ['tags', 'tagMode', 'uploader', 'from', 'to', 'orientation', 'color', 'likedByMe'];
+
+// The filter sidebar takes a quarter of the width next to search results
+const SEARCH_COLUMNS = { 0: 1, 576: 2, 768: 3, 1200: 4 };
+
 /**
  * HomePage component displaying a Pinterest-like grid of image cards
  * Enhanced with animations, loading states, and error handling
@@ -16,67 +40,178 @@ import 'bootstrap/dist/css/bootstrap.min.css';
  * @returns {JSX.Element} HomePage component
  */
 function HomePage() {
-  const [images, setImages] = useState([]);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // The search shown comes from the URL (/search?q=), so results can be shared and reloaded
+  const query = location.pathname === '/search' ? (searchParams.get('q') || '').trim() : '';
+  // Active filters as a query string, which keeps them comparable between renders
+  const filterString = query
+    ? new URLSearchParams(SEARCH_FILTERS.filter(name => searchParams.get(name)).map(name => [name, searchParams.get(name)])).toString()
+    : '';
+  const filters = Object.fromEntries(new URLSearchParams(filterString));
+  const [searchTerm, setSearchTerm] = useState(query);
+  const [searchedQuery, setSearchedQuery] = useState(query);
   const [showUploadForm, setShowUploadForm] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [pastedInput, setPastedInput] = useState(null);
+  const [facets, setFacets] = useState(null);
+  const [feedMode, setFeedMode] = usePageState('feedMode', 'following');
+  const [sort, setSort] = usePageState('sort', 'newest');
   const { isAuthenticated } = useAuth();
-  const { showToast } = useToast();
-  const { loading, error, getAllImages } = useImageAPI();
+  const { error, getAllImages, getFeed, searchImages } = useImageAPI();
+
+  // Back and forward move between searches, so the box follows the URL
+  if (query !== searchedQuery) {
+    setSearchedQuery(query);
+    setSearchTerm(query);
+  }
+
+  // Signed-out visitors only have the global stream
+  const activeFeed = isAuthenticated ? feedMode : 'everyone';
+  const listKey = query
+    ? `search:${query}?${filterString}`
+    : activeFeed === 'following' ? 'following' : `everyone:${sort}`;
 
   /**
-   * Load all images from the API when the component mounts
+   * Fetch a page of search results, of the personalised feed or of everyone's
+   * pins in the chosen order
+   * 
+   * @param {string} [after] - Cursor of the page to continue from; omitted for the first page
+   * @returns {Promise<Object>} Images and cursor pagination
    */
+  const fetchPage = useCallback((after) => {
+    if (query) {
+      return searchImages(query, {
+        filters: Object.fromEntries(new URLSearchParams(filterString)),
+        after,
+        includeTotal: !after,
+        includeFacets: !after
+      });
+    }
+
+    if (activeFeed === 'following') {
+      return getFeed({ after });
+    }
+
+    const { sortBy, sortOrder } = SORT_OPTIONS[sort];
+    return getAllImages({ sortBy, sortOrder, after });
+  }, [query, filterString, activeFeed, sort, getAllImages, getFeed, searchImages]);
+
+  const {
+    images,
+    setImages,
+    firstPage,
+    total,
+    hasMore,
+    isLoading,
+    isLoadingMore,
+    loadMore
+  } = useInfiniteImages(fetchPage, { key: listKey });
+
+  // Where the personalised feed's pins came from ('everyone' until the user follows someone)
+  const feedSource = firstPage.source || null;
+
+  // Tags suggested by the server when a search finds nothing
+  const relatedTags = firstPage.relatedTags || [];
+
+  // The filter counts of the last search stay up while the next one loads
+  if (firstPage.facets && firstPage.facets !== facets) {
+    setFacets(firstPage.facets);
+  }
+
+  /**
+   * Show the results for a search, or go back to the feed for an empty one
+   * Refining a search keeps its filters and replaces the history entry instead
+   * of adding one per word
+   * 
+   * @param {string} term - Search as typed
+   */
+  const runSearch = useCallback((term) => {
+    const trimmed = term.trim();
+    if (trimmed === query) return;
+
+    if (trimmed) {
+      const params = new URLSearchParams(filterString);
+      params.set('q', trimmed);
+      navigate(`/search?${params}`, { replace: !!query });
+    } else {
+      navigate('/', { replace: true });
+    }
+  }, [query, filterString, navigate]);
+
+  // Search once the user stops typing
   useEffect(() => {
-    async function loadImages() {
-      try {
-        const imagesData = await getAllImages();
-        // Fix: Extract the images array from the response
-        setImages(imagesData.images || []);
-      } catch (err) {
-        console.error('Error loading images:', err);
+    const timer = setTimeout(() => runSearch(searchTerm), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchTerm, runSearch]);
+
+  /**
+   * Search straight away when Enter is pressed
+   * 
+   * @param {Event} e - Form submit event
+   */
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    runSearch(searchTerm);
+  };
+
+  /**
+   * Change the search filters, keeping the search itself
+   * 
+   * @param {Object} changes - New values by filter name; null removes a filter
+   */
+  const updateFilters = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) {
+        params.set(name, value);
+      } else {
+        params.delete(name);
       }
-    }
-    
-    loadImages();
-  }, [getAllImages]);
+    });
+    navigate(`/search?${params}`);
+  };
+
+  /**
+   * Empty the search box and go back to the feed
+   */
+  const clearSearch = () => {
+    setSearchTerm('');
+    runSearch('');
+  };
 
   /**
    * Handle successful image upload and refresh the image list
+   * Called once per image, so bulk uploads add each pin as it is created
    * 
    * @param {Object} newImage - The newly uploaded image data
    */
   const handleImageUploaded = useCallback((newImage) => {
     setImages(prevImages => [newImage, ...prevImages]);
-    setShowUploadForm(false);
-    showToast('Image uploaded successfully!', 'success');
-  }, [showToast]);
+  }, [setImages]);
 
   /**
-   * Filter images based on search term
-   * 
-   * @returns {Array} Filtered array of images
+   * Close the upload form and forget anything pasted into it
    */
-  // Fix: Ensure filteredImages is always an array
-  const filteredImages = searchTerm && Array.isArray(images)
-    ? images.filter(img => 
-        img.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        img.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        img.tags?.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()))
-      )
-    : Array.isArray(images) ? images : [];
+  const closeUploadForm = useCallback(() => {
+    setShowUploadForm(false);
+    setPastedInput(null);
+  }, []);
+
+  // Pasting or dropping an image or link anywhere on the page opens the upload
+  // form with it; once the form is open it listens itself
+  usePasteAndDrop((content) => {
+    setPastedInput(content);
+    setShowUploadForm(true);
+  }, isAuthenticated && !showUploadForm);
 
   /**
-   * Calculate the breakpoint columns for the Masonry grid
+   * Render a pin in the masonry grid, marking the searched words
    * 
-   * @returns {Object} Object with breakpoint keys and column values
+   * @param {Object} image - Image data object
+   * @returns {JSX.Element} Image card
    */
-  const BREAKPOINT_COLUMNS_OBJ = {
-    default: 5,
-    1400: 4,
-    1100: 3,
-    768: 2,
-    576: 1
-  };
+  const renderImageCard = (image) => <ImageCard image={image} highlight={query} />;
 
   /**
    * Render loading skeletons during data fetch
@@ -135,6 +270,93 @@ function HomePage() {
     </motion.div>
   );
 
+  /**
+   * Render the sort picker for the Everyone stream; the personalised feed has its own order
+   * 
+   * @returns {JSX.Element|null} Sort select or null on the Following feed
+   */
+  const renderSortSelect = () => {
+    if (activeFeed !== 'everyone') return null;
+
+    return (
+      <div className="d-flex align-items-center gap-2 ms-auto">
+        <label htmlFor="imageSort" className="text-secondary small text-nowrap mb-0">Sort by</label>
+        <select
+          id="imageSort"
+          className="form-select form-select-sm w-auto"
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, option]) => (
+            <option key={value} value={value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  /**
+   * Render the Following / Everyone switch for signed-in users and the sort picker
+   * 
+   * @returns {JSX.Element} Feed controls
+   */
+  const renderFeedSwitch = () => {
+    if (!isAuthenticated) {
+      return (
+        <div className="d-flex align-items-center mb-4">
+          {renderSortSelect()}
+        </div>
+      );
+    }
+
+    return (
+      <div className="d-flex flex-wrap align-items-center gap-3 mb-4">
+        <div className="btn-group" role="group" aria-label="Choose feed">
+          <button
+            type="button"
+            className={`btn btn-sm ${activeFeed === 'following' ? 'btn-danger' : 'btn-outline-danger'}`}
+            onClick={() => setFeedMode('following')}
+            aria-pressed={activeFeed === 'following'}
+          >
+            Following
+          </button>
+          <button
+            type="button"
+            className={`btn btn-sm ${activeFeed === 'everyone' ? 'btn-danger' : 'btn-outline-danger'}`}
+            onClick={() => setFeedMode('everyone')}
+            aria-pressed={activeFeed === 'everyone'}
+          >
+            Everyone
+          </button>
+        </div>
+        {activeFeed === 'following' && feedSource === 'everyone' && !isLoading && (
+          <span className="text-secondary small">
+            Follow people and tags to personalise your feed. Showing everyone&apos;s pins for now.
+          </span>
+        )}
+        {renderSortSelect()}
+      </div>
+    );
+  };
+
+  /**
+   * Render the number of results and a way back to the feed while searching
+   * 
+   * @returns {JSX.Element} Search summary
+   */
+  const renderSearchSummary = () => (
+    <div className="d-flex flex-wrap align-items-center gap-3 mb-4">
+      <h2 className="fs-5 fw-semibold mb-0">
+        {isLoading
+          ? `Searching for "${query}"...`
+          : `${total ?? images.length} ${(total ?? images.length) === 1 ? 'result' : 'results'} for "${query}"`}
+      </h2>
+      <button type="button" className="btn btn-sm btn-outline-secondary" onClick={clearSearch}>
+        Clear Search
+      </button>
+    </div>
+  );
+
   /**
    * Render empty state when no images match the search
    * 
@@ -153,15 +375,33 @@ function HomePage() {
       </svg>
       <h3 className="fs-4 mb-3">No Images Found</h3>
       <p className="text-muted mb-4">
-        {searchTerm 
-          ? "We couldn't find any images matching your search. Try different keywords." 
-          : "No images have been uploaded yet. Be the first to share!"}
+        {query && filterString
+          ? "No images match your search with these filters. Try removing some of them."
+          : query
+            ? "We couldn't find any images matching your search. Try different keywords." 
+            : "No images have been uploaded yet. Be the first to share!"}
       </p>
+      {query && relatedTags.length > 0 && (
+        <div className="mb-4">
+          <p className="text-secondary small mb-2">Or try one of these tags:</p>
+          <div className="d-flex flex-wrap justify-content-center gap-2">
+            {relatedTags.map(tag => (
+              <Link
+                key={tag}
+                to={`/search?q=${encodeURIComponent(tag)}`}
+                className="btn btn-sm btn-outline-secondary rounded-pill"
+              >
+                #{tag}
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
       <div className="d-flex justify-content-center gap-3">
-        {searchTerm && (
+        {query && (
           <button 
             className="btn btn-outline-danger"
-            onClick={() => setSearchTerm('')}
+            onClick={clearSearch}
           >
             Clear Search
           </button>
@@ -182,25 +422,50 @@ function HomePage() {
     </motion.div>
   );
 
+  /**
+   * Render the pins, or the loading, error or empty state
+   * 
+   * @returns {JSX.Element} Main content
+   */
+  const renderContent = () => {
+    if (isLoading) return renderSkeletons();
+    if (error && !images.length) return renderError();
+    if (images.length === 0) return renderEmptyState();
+
+    return (
+      <MasonryGrid
+        key={listKey}
+        images={images}
+        renderImage={renderImageCard}
+        columns={query ? SEARCH_COLUMNS : GRID_COLUMNS}
+        hasMore={hasMore}
+        isLoadingMore={isLoadingMore}
+        onLoadMore={loadMore}
+        restoreKey={`home:${listKey}`}
+      />
+    );
+  };
+
   return (
     <div className="container py-4">
       {/* Header section with search and upload button */}
       <div className="row align-items-center mb-4">
         <div className="col-md-6 mb-3 mb-md-0">
-          <div className="input-group">
+          <form className="input-group" role="search" onSubmit={handleSearchSubmit}>
             <span className="input-group-text bg-white border-end-0">
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-search" viewBox="0 0 16 16">
                 <path d="M11.742 10.344a6.5 6.5 0 1 0-1.397 1.398h-.001c.03.04.062.078.098.115l3.85 3.85a1 1 0 0 0 1.415-1.414l-3.85-3.85a.007.007 0 0 0-.115-.1zM12 6.5a5.5 5.5 0 1 1-11 0 5.5 5.5 0 0 1 11 0z"/>
               </svg>
             </span>
             <input
-              type="text"
+              type="search"
               className="form-control border-start-0"
               placeholder="Search images by title, description, or tag..."
+              aria-label="Search images"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
             />
-          </div>
+          </form>
         </div>
         <div className="col-md-6 d-flex justify-content-md-end">
           {isAuthenticated && (
@@ -228,7 +493,7 @@ function HomePage() {
           transition={{ duration: 0.3 }}
           className="position-fixed top-0 start-0 w-100 h-100 d-flex align-items-center justify-content-center"
           style={{ zIndex: 1050, backdropFilter: 'blur(5px)', backgroundColor: 'rgba(0,0,0,0.5)' }}
-          onClick={() => setShowUploadForm(false)}
+          onClick={closeUploadForm}
         >
           <div 
             className="bg-white rounded-3 shadow p-4 m-3" 
@@ -239,7 +504,7 @@ function HomePage() {
               <h3 className="fs-4 fw-bold m-0">Upload New Image</h3>
               <button
                 className="btn btn-sm btn-outline-secondary rounded-circle"
-                onClick={() => setShowUploadForm(false)}
+                onClick={closeUploadForm}
                 aria-label="Close"
               >
                 <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" className="bi bi-x" viewBox="0 0 16 16">
@@ -247,26 +512,35 @@ function HomePage() {
                 </svg>
               </button>
             </div>
-            <ImageUploadForm onImageUploaded={handleImageUploaded} />
+            <ImageUploadForm
+              onImageAdded={handleImageUploaded}
+              onDone={closeUploadForm}
+              initialInput={pastedInput}
+            />
           </div>
         </motion.div>
       )}
 
-      {/* Main content - conditionally render based on state */}
-      {loading ? (
-        renderSkeletons()
-      ) : error ? (
-        renderError()
-      ) : filteredImages.length === 0 ? (
-        renderEmptyState()
-      ) : (
-        <div className="row g-4">
-          {filteredImages.map((image) => (
-            <div key={image._id} className="col-sm-6 col-md-4 col-lg-3 col-xl-2">
-              <ImageCard image={image} />
-            </div>
-          ))}
+      {query ? (
+        <div className="row">
+          <div className="col-lg-3">
+            <SearchFilters
+              filters={filters}
+              facets={facets}
+              onChange={updateFilters}
+              canFilterLikes={isAuthenticated}
+            />
+          </div>
+          <div className="col-lg-9">
+            {renderSearchSummary()}
+            {renderContent()}
+          </div>
         </div>
+      ) : (
+        <>
+          {renderFeedSwitch()}
+          {renderContent()}
+        </>
       )}
     </div>
   );
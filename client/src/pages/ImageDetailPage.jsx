@@ -4,6 +4,33 @@ import { motion } from 'framer-motion';
 import axios from 'axios';
 import useToast from '../hooks/useToast';
 import useAuth from '../hooks/useAuth';
+import useImageAPI from '../hooks/useImageAPI';
+import useUserAPI from '../hooks/useUserAPI';
+import CommentsPanel from '../components/CommentsPanel';
+
+/**
+ * Returns the host name shown for a pin's source link
+ * 
+ * @param {string} url - Original URL the pin was added from
+ * @returns {string} Host name without a leading "www.", or the URL itself if it can't be parsed
+ */
+const getSourceHost = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Formats an EXIF exposure time the way cameras display it
+ * 
+ * @param {number} seconds - Exposure time in seconds
+ * @returns {string} Exposure such as "1/250s" or "2s"
+ */
+const formatExposureTime = (seconds) => (
+  seconds < 1 ? `1/${Math.round(1 / seconds)}s` : `${seconds}s`
+);
 
 /**
  * ImageDetailPage Component
@@ -17,8 +44,18 @@ const ImageDetailPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [isLiking, setIsLiking] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRepinning, setIsRepinning] = useState(false);
+  const [editForm, setEditForm] = useState({ title: '', description: '', tags: '' });
+  const [followedTags, setFollowedTags] = useState([]);
+  const [showPhotoDetails, setShowPhotoDetails] = useState(false);
+  const [isRemovingExif, setIsRemovingExif] = useState(false);
   const { isAuthenticated, user } = useAuth();
   const { showToast } = useToast();
+  const { toggleLikeImage, updateImage, repinImage } = useImageAPI();
+  const { getFollowedTags, toggleFollowTag } = useUserAPI();
   const navigate = useNavigate();
   
   // Fetch image data on component mount
@@ -42,6 +79,284 @@ const ImageDetailPage = () => {
     fetchImageDetails();
   }, [id, showToast]);
 
+  // Load the tags the user follows so each tag can show a follow toggle
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const loadFollowedTags = async () => {
+      setFollowedTags(await getFollowedTags());
+    };
+
+    loadFollowedTags();
+  }, [isAuthenticated, getFollowedTags]);
+
+  /**
+   * Follow or unfollow a tag so its pins show up in the home feed
+   * 
+   * @param {string} tag - Tag to toggle
+   */
+  const handleToggleTag = async (tag) => {
+    const tags = await toggleFollowTag(tag, followedTags.includes(tag));
+
+    if (tags) {
+      setFollowedTags(tags);
+    }
+  };
+
+  /**
+   * Like or unlike the image and apply the server's like state
+   */
+  const handleToggleLike = async () => {
+    if (!isAuthenticated) {
+      showToast('Please log in to like pins', 'error');
+      return;
+    }
+
+    try {
+      setIsLiking(true);
+      const result = await toggleLikeImage(id, image.likedByMe);
+      setImage(prev => ({ ...prev, likeCount: result.likeCount, likedByMe: result.likedByMe }));
+    } catch {
+      // Error toast is already shown by useImageAPI
+    } finally {
+      setIsLiking(false);
+    }
+  };
+
+  /**
+   * Keep the displayed comment count in step with the comments panel
+   * 
+   * @param {number} delta - +1 when a comment is added, -1 when one is removed
+   */
+  const handleCommentCountChange = (delta) => {
+    setImage(prev => ({ ...prev, commentCount: Math.max((prev.commentCount || 0) + delta, 0) }));
+  };
+
+  /**
+   * Repin this image to the current user's profile and open the new pin
+   */
+  const handleRepin = async () => {
+    if (!isAuthenticated) {
+      showToast('Please log in to repin', 'error');
+      return;
+    }
+
+    setIsRepinning(true);
+    const repin = await repinImage(id);
+    setIsRepinning(false);
+
+    if (repin) {
+      navigate(`/image/${repin._id}`);
+    }
+  };
+
+  /**
+   * Enter inline edit mode with the current image values
+   */
+  const startEditing = () => {
+    setEditForm({
+      title: image.title || '',
+      description: image.description || '',
+      tags: (image.tags || []).join(', ')
+    });
+    setIsEditing(true);
+  };
+
+  /**
+   * Leave inline edit mode without saving
+   */
+  const cancelEditing = () => {
+    setIsEditing(false);
+  };
+
+  /**
+   * Handles edit form input changes
+   * 
+   * @param {Event} e - Input change event
+   */
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Save the edited title, description and tags
+   * 
+   * @param {Event} e - Form submit event
+   */
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+
+    const tagsArray = editForm.tags
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag !== '');
+
+    setIsSaving(true);
+    const updatedImage = await updateImage(id, {
+      title: editForm.title,
+      description: editForm.description,
+      tags: tagsArray
+    });
+    setIsSaving(false);
+
+    // updateImage returns null and shows its own toast on failure
+    if (updatedImage) {
+      setImage(updatedImage);
+      setIsEditing(false);
+    }
+  };
+
+  /**
+   * Removes the camera details the owner shared at upload
+   */
+  const handleRemovePhotoDetails = async () => {
+    if (!window.confirm('Remove the photo details from this pin? This cannot be undone.')) return;
+
+    setIsRemovingExif(true);
+    const updatedImage = await updateImage(id, { exif: null });
+    setIsRemovingExif(false);
+
+    // updateImage returns null and shows its own toast on failure
+    if (updatedImage) {
+      setImage(updatedImage);
+    }
+  };
+
+  /**
+   * Renders the collapsible camera details the owner chose to share
+   * 
+   * @returns {JSX.Element|null} Photo details section or null when there are none
+   */
+  const renderPhotoDetails = () => {
+    const { exif } = image;
+    if (!exif) return null;
+
+    // Many models already start with the make, e.g. "Canon EOS R5"
+    const camera = exif.cameraMake && exif.cameraModel?.startsWith(exif.cameraMake)
+      ? exif.cameraModel
+      : [exif.cameraMake, exif.cameraModel].filter(Boolean).join(' ');
+    const settings = [
+      exif.focalLength && `${Math.round(exif.focalLength)}mm`,
+      exif.aperture && `f/${exif.aperture}`,
+      exif.exposureTime && formatExposureTime(exif.exposureTime),
+      exif.iso && `ISO ${exif.iso}`
+    ].filter(Boolean).join(' · ');
+
+    return (
+      <div className="mt-3 border rounded">
+        <button
+          type="button"
+          className="btn btn-link text-decoration-none text-body w-100 d-flex justify-content-between align-items-center small fw-medium"
+          onClick={() => setShowPhotoDetails(prev => !prev)}
+          aria-expanded={showPhotoDetails}
+          aria-controls="photo-details"
+        >
+          <span>
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-camera me-2" viewBox="0 0 16 16">
+              <path d="M15 12a1 1 0 0 1-1 1H2a1 1 0 0 1-1-1V6a1 1 0 0 1 1-1h1.172a3 3 0 0 0 2.12-.879l.83-.828A1 1 0 0 1 6.827 3h2.344a1 1 0 0 1 .707.293l.828.828A3 3 0 0 0 12.828 5H14a1 1 0 0 1 1 1v6zM2 4a2 2 0 0 0-2 2v6a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V6a2 2 0 0 0-2-2h-1.172a2 2 0 0 1-1.414-.586l-.828-.828A2 2 0 0 0 9.172 2H6.828a2 2 0 0 0-1.414.586l-.828.828A2 2 0 0 1 3.172 4H2z"/>
+              <path d="M8 11a2.5 2.5 0 1 1 0-5 2.5 2.5 0 0 1 0 5zm0 1a3.5 3.5 0 1 0 0-7 3.5 3.5 0 0 0 0 7zM3 6.5a.5.5 0 1 1-1 0 .5.5 0 0 1 1 0z"/>
+            </svg>
+            Photo details
+          </span>
+          <span aria-hidden="true">{showPhotoDetails ? '−' : '+'}</span>
+        </button>
+        
+        {showPhotoDetails && (
+          <div id="photo-details" className="px-3 pb-3 small text-secondary">
+            {camera && <p className="mb-1"><span className="fw-medium text-body">Camera:</span> {camera}</p>}
+            {exif.lens && <p className="mb-1"><span className="fw-medium text-body">Lens:</span> {exif.lens}</p>}
+            {settings && <p className="mb-1"><span className="fw-medium text-body">Settings:</span> {settings}</p>}
+            {exif.takenAt && (
+              <p className="mb-1">
+                <span className="fw-medium text-body">Taken:</span>{' '}
+                {new Date(exif.takenAt).toLocaleDateString('en-US', {
+                  year: 'numeric',
+                  month: 'long',
+                  day: 'numeric'
+                })}
+              </p>
+            )}
+            {canModify && (
+              <button
+                type="button"
+                className="btn btn-link btn-sm text-danger p-0 mt-2"
+                onClick={handleRemovePhotoDetails}
+                disabled={isRemovingExif}
+              >
+                {isRemovingExif ? 'Removing...' : 'Remove photo details'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Renders the inline edit form for title, description and tags
+   * 
+   * @returns {JSX.Element} Edit form
+   */
+  const renderEditForm = () => (
+    <form onSubmit={handleSaveEdit} className="mb-3">
+      <div className="mb-3">
+        <label htmlFor="edit-title" className="form-label">Title</label>
+        <input
+          type="text"
+          id="edit-title"
+          name="title"
+          value={editForm.title}
+          onChange={handleEditChange}
+          className="form-control"
+          maxLength={100}
+          disabled={isSaving}
+        />
+      </div>
+      <div className="mb-3">
+        <label htmlFor="edit-description" className="form-label">Description</label>
+        <textarea
+          id="edit-description"
+          name="description"
+          value={editForm.description}
+          onChange={handleEditChange}
+          className="form-control"
+          rows="4"
+          maxLength={500}
+          disabled={isSaving}
+        ></textarea>
+      </div>
+      <div className="mb-3">
+        <label htmlFor="edit-tags" className="form-label">Tags</label>
+        <input
+          type="text"
+          id="edit-tags"
+          name="tags"
+          value={editForm.tags}
+          onChange={handleEditChange}
+          className="form-control"
+          placeholder="Add tags separated by commas"
+          disabled={isSaving}
+        />
+      </div>
+      <div className="d-flex gap-2">
+        <button type="submit" className="btn btn-danger" disabled={isSaving}>
+          {isSaving ? (
+            <>
+              <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+              Saving...
+            </>
+          ) : (
+            'Save Changes'
+          )}
+        </button>
+        <button type="button" className="btn btn-outline-secondary" onClick={cancelEditing} disabled={isSaving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
   /**
    * Open delete confirmation modal
    */
@@ -123,7 +438,11 @@ const ImageDetailPage = () => {
   };
   
   // Check if current user can edit/delete this image
-  const canModify = isAuthenticated && image?.user?._id === user?._id;
+  const canModify = isAuthenticated && (image?.user?._id === user?._id || user?.isAdmin);
+  
+  // Repins are credited to the original poster, who can't repin their own pin
+  const originalPosterId = image?.repinnedFrom?.user?._id || image?.user?._id;
+  const canRepin = originalPosterId !== user?._id && image?.user?._id !== user?._id;
   
   // Loading state
   if (loading) {
@@ -201,59 +520,124 @@ const ImageDetailPage = () => {
               src={image.imageUrl} 
               alt={image.title || 'Image'} 
               className="card-img-top w-100"
+              width={image.width}
+              height={image.height}
               style={{ 
                 maxHeight: '80vh',
+                height: 'auto',
                 objectFit: 'contain',
-                backgroundColor: '#f8f9fa'
+                backgroundColor: image.dominantColor || '#f8f9fa'
               }}
             />
             
             {/* Image actions */}
-            {canModify && (
-              <div className="card-footer bg-white d-flex justify-content-end">
+            <div className="card-footer bg-white d-flex justify-content-between align-items-center">
+              <button
+                className={`btn ${image.likedByMe ? 'btn-danger' : 'btn-outline-danger'} d-flex align-items-center`}
+                onClick={handleToggleLike}
+                disabled={isLiking}
+                aria-pressed={!!image.likedByMe}
+              >
+                {image.likedByMe ? (
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-heart-fill me-2" viewBox="0 0 16 16">
+                    <path fillRule="evenodd" d="M8 1.314C12.438-3.248 23.534 4.735 8 15-7.534 4.736 3.562-3.248 8 1.314z"/>
+                  </svg>
+                ) : (
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-heart me-2" viewBox="0 0 16 16">
+                    <path d="m8 2.748-.717-.737C5.6.281 2.514.878 1.4 3.053c-.523 1.023-.641 2.5.314 4.385.92 1.815 2.834 3.989 6.286 6.357 3.452-2.368 5.365-4.542 6.286-6.357.955-1.886.838-3.362.314-4.385C13.486.878 10.4.28 8.717 2.01L8 2.748zM8 15C-7.333 4.868 3.279-3.04 7.824 1.143c.06.055.119.112.176.171a3.12 3.12 0 0 1 .176-.17C12.72-3.042 23.333 4.867 8 15z"/>
+                  </svg>
+                )}
+                {image.likedByMe ? 'Liked' : 'Like'}
+                <span className="badge bg-light text-dark ms-2">{image.likeCount ?? image.likes?.length ?? 0}</span>
+              </button>
+
+              {canRepin && (
                 <button
-                  className="btn btn-outline-danger"
-                  onClick={openDeleteModal}
+                  className="btn btn-outline-secondary d-flex align-items-center ms-2 me-auto"
+                  onClick={handleRepin}
+                  disabled={isRepinning}
                 >
-                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-trash me-2" viewBox="0 0 16 16">
-                    <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
-                    <path fillRule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-pin-angle me-2" viewBox="0 0 16 16">
+                    <path d="M9.828.722a.5.5 0 0 1 .354.146l4.95 4.95a.5.5 0 0 1 0 .707c-.48.48-1.072.588-1.503.588-.177 0-.335-.018-.46-.039l-3.134 3.134a5.927 5.927 0 0 1 .16 1.013c.046.702-.032 1.687-.72 2.375a.5.5 0 0 1-.707 0l-2.829-2.828-3.182 3.182c-.195.195-1.219.902-1.414.707-.195-.195.512-1.22.707-1.414l3.182-3.182-2.828-2.829a.5.5 0 0 1 0-.707c.688-.688 1.673-.767 2.375-.72a5.922 5.922 0 0 1 1.013.16l3.134-3.133a2.772 2.772 0 0 1-.04-.461c0-.43.108-1.022.589-1.503a.5.5 0 0 1 .353-.146zm.122 2.112v-.002.002zm0-.002v.002a.5.5 0 0 1-.122.51L6.293 6.878a.5.5 0 0 1-.511.12H5.78l-.014-.004a4.507 4.507 0 0 0-.288-.076 4.922 4.922 0 0 0-.765-.116c-.422-.028-.836.008-1.175.15l5.51 5.509c.141-.34.177-.753.149-1.175a4.924 4.924 0 0 0-.192-1.054l-.004-.013v-.001a.5.5 0 0 1 .12-.512l3.536-3.535a.5.5 0 0 1 .532-.115l.096.022c.087.017.208.034.344.034.114 0 .23-.011.343-.04L9.927 2.028c-.029.113-.04.23-.04.343a1.779 1.779 0 0 0 .062.46z"/>
                   </svg>
-                  Delete Image
+                  {isRepinning ? 'Repinning...' : 'Repin'}
                 </button>
-              </div>
-            )}
+              )}
+
+              {canModify && (
+                <div className="d-flex gap-2">
+                  <button
+                    className="btn btn-outline-secondary"
+                    onClick={startEditing}
+                    disabled={isEditing}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-pencil-square me-2" viewBox="0 0 16 16">
+                      <path d="M15.502 1.94a.5.5 0 0 1 0 .706L14.459 3.69l-2-2L13.502.646a.5.5 0 0 1 .707 0l1.293 1.293zm-1.75 2.456-2-2L4.939 9.21a.5.5 0 0 0-.121.196l-.805 2.414a.25.25 0 0 0 .316.316l2.414-.805a.5.5 0 0 0 .196-.12l6.813-6.814z"/>
+                      <path fillRule="evenodd" d="M1 13.5A1.5 1.5 0 0 0 2.5 15h11a1.5 1.5 0 0 0 1.5-1.5v-6a.5.5 0 0 0-1 0v6a.5.5 0 0 1-.5.5h-11a.5.5 0 0 1-.5-.5v-11a.5.5 0 0 1 .5-.5H9a.5.5 0 0 0 0-1H2.5A1.5 1.5 0 0 0 1 2.5v11z"/>
+                    </svg>
+                    Edit
+                  </button>
+                  <button
+                    className="btn btn-outline-danger"
+                    onClick={openDeleteModal}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-trash me-2" viewBox="0 0 16 16">
+                      <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
+                      <path fillRule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
+                    </svg>
+                    Delete Image
+                  </button>
+                </div>
+              )}
+            </div>
           </div>
         </div>
         
         <div className="col-lg-4">
           {/* Image info */}
           <div className="card border-0 shadow-sm rounded-3 p-4">
-            {/* Title */}
-            {image.title && (
-              <h1 className="fs-3 fw-bold mb-3">{image.title}</h1>
-            )}
+            {isEditing ? renderEditForm() : (
+              <>
+                {/* Title */}
+                {image.title && (
+                  <h1 className="fs-3 fw-bold mb-3">{image.title}</h1>
+                )}
             
-            {/* Description */}
-            {image.description && (
-              <p className="text-secondary mb-3">{image.description}</p>
-            )}
+                {/* Description */}
+                {image.description && (
+                  <p className="text-secondary mb-3">{image.description}</p>
+                )}
             
-            {/* Tags */}
-            {image.tags && image.tags.length > 0 && (
-              <div className="mb-4">
-                <p className="text-secondary small mb-2">Tags</p>
-                <div className="d-flex flex-wrap gap-2">
-                  {image.tags.map((tag, index) => (
-                    <span 
-                      key={index} 
-                      className="badge bg-light text-dark rounded-pill px-3 py-2"
-                    >
-                      #{tag}
-                    </span>
-                  ))}
-                </div>
-              </div>
+                {/* Tags */}
+                {image.tags && image.tags.length > 0 && (
+                  <div className="mb-4">
+                    <p className="text-secondary small mb-2">Tags</p>
+                    <div className="d-flex flex-wrap gap-2">
+                      {image.tags.map((tag, index) => (
+                        isAuthenticated ? (
+                          <button
+                            key={index}
+                            type="button"
+                            className={`badge rounded-pill px-3 py-2 border-0 ${followedTags.includes(tag) ? 'bg-danger text-white' : 'bg-light text-dark'}`}
+                            onClick={() => handleToggleTag(tag)}
+                            title={followedTags.includes(tag) ? 'Unfollow tag' : 'Follow tag to see it in your feed'}
+                            aria-pressed={followedTags.includes(tag)}
+                          >
+                            #{tag} {followedTags.includes(tag) ? '✓' : '+'}
+                          </button>
+                        ) : (
+                          <span 
+                            key={index} 
+                            className="badge bg-light text-dark rounded-pill px-3 py-2"
+                          >
+                            #{tag}
+                          </span>
+                        )
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
             )}
             
             {/* User info */}
@@ -288,6 +672,49 @@ const ImageDetailPage = () => {
               </div>
             )}
             
+            {/* Repin attribution */}
+            {image.repinnedFrom?.image && (
+              <div className="d-flex align-items-center mt-3 small text-secondary">
+                <span className="me-1">Repinned from</span>
+                <Link to={`/image/${image.repinnedFrom.image}`} className="text-decoration-none me-1">
+                  this pin
+                </Link>
+                {image.repinnedFrom.user && (
+                  <>
+                    <span className="me-1">by</span>
+                    <Link to={`/user/${image.repinnedFrom.user.username}`} className="text-decoration-none fw-medium">
+                      {image.repinnedFrom.user.displayName || image.repinnedFrom.user.username}
+                    </Link>
+                  </>
+                )}
+              </div>
+            )}
+            
+            {/* Original source of pins added by link */}
+            {image.sourceUrl && (
+              <div className="d-flex align-items-center mt-3 small text-secondary">
+                <span className="me-1">Source:</span>
+                <a
+                  href={image.sourceUrl}
+                  target="_blank"
+                  rel="noopener noreferrer nofollow"
+                  className="text-decoration-none text-truncate"
+                >
+                  {getSourceHost(image.sourceUrl)}
+                </a>
+              </div>
+            )}
+            
+            {/* Camera details shared by the owner */}
+            {renderPhotoDetails()}
+            
+            {/* Repin count */}
+            {image.repinCount > 0 && (
+              <p className="text-secondary small mt-3 mb-0">
+                Repinned {image.repinCount} {image.repinCount === 1 ? 'time' : 'times'}
+              </p>
+            )}
+            
             {/* Date info */}
             {image.createdAt && (
               <div className="mt-4">
@@ -298,6 +725,15 @@ const ImageDetailPage = () => {
                     day: 'numeric' 
                   })}
                 </p>
+                {image.updatedAt && (
+                  <p className="text-secondary small mb-0">
+                    Edited on {new Date(image.updatedAt).toLocaleDateString('en-US', { 
+                      year: 'numeric', 
+                      month: 'long', 
+                      day: 'numeric' 
+                    })}
+                  </p>
+                )}
               </div>
             )}
             
@@ -314,6 +750,14 @@ const ImageDetailPage = () => {
               </Link>
             </div>
           </div>
+
+          {/* Comments */}
+          <CommentsPanel
+            imageId={image._id}
+            imageOwnerId={image.user?._id}
+            commentCount={image.commentCount || 0}
+            onCountChange={handleCommentCountChange}
+          />
         </div>
       </div>
       
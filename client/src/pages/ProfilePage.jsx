@@ -1,14 +1,28 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { AnimatePresence, motion } from 'framer-motion';
+import { motion } from 'framer-motion';
 import ImageCard from '../components/ImageCard';
 import ImageUploadForm from '../components/ImageUploadForm';
+import MasonryGrid from '../components/MasonryGrid';
 import useAuth from '../hooks/useAuth';
 import useImageAPI from '../hooks/useImageAPI';
-import { useToast } from '../context/ToastContext';
+import useBoardAPI from '../hooks/useBoardAPI';
+import useUserAPI from '../hooks/useUserAPI';
+import useInfiniteImages from '../hooks/useInfiniteImages';
+import usePageState from '../hooks/usePageState';
+import { PROFILE_COLUMNS, PROFILE_IMAGE_SIZES } from '../utils/imageSources';
 import axios from 'axios';
 import 'bootstrap/dist/css/bootstrap.min.css';
 
+// Number of the user's own images fetched per page
+const GALLERY_PAGE_SIZE = 30;
+
+// Number of saved images fetched per page
+const SAVED_PAGE_SIZE = 24;
+
+// Column counts of the three-column saved images grid
+const SAVED_COLUMNS = { 0: 1, 576: 2, 768: 3 };
+
 // Skeleton loader for profile header
 const ProfileHeaderSkeleton = () => (
   <div className="d-flex flex-column align-items-center mb-4 bg-white card p-4 shadow-sm animate-pulse">
@@ -41,27 +55,38 @@ function ProfilePage() {
   const [profileUser, setProfileUser] = useState(null);
   const [isLoadingProfile, setIsLoadingProfile] = useState(true);
   const [profileError, setProfileError] = useState(null);
-  const [images, setImages] = useState([]);
-  const [filteredImages, setFilteredImages] = useState([]);
-  const [activeTab, setActiveTab] = useState('gallery');
-  const [filterTag, setFilterTag] = useState('');
-  const [savedImages, setSavedImages] = useState([]);
-  const [isLoadingSaved, setIsLoadingSaved] = useState(false);
-  const { showToast } = useToast();
+  const [activeTab, setActiveTab] = usePageState('activeTab', 'gallery');
+  const [filterTag, setFilterTag] = usePageState('filterTag', '');
+  const [boards, setBoards] = useState([]);
+  const [isLoadingBoards, setIsLoadingBoards] = useState(false);
+  const [selectedBoard, setSelectedBoard] = useState(null);
+  const [newBoard, setNewBoard] = useState({ title: '', privacy: 'public' });
   const { isAuthenticated, user } = useAuth();
   const [userStats, setUserStats] = useState({
     imageCount: 0,
     viewCount: 0,
     totalLikes: 0,
-    joinDate: null,
-    popularCategories: []
+    joinDate: null
   });
   
   const { 
-    getAllImages, 
-    loading: isLoadingImages, 
+    getMyImages,
+    getUserImages,
+    getSavedImages,
     error: imageError 
   } = useImageAPI();
+
+  const {
+    getMyBoards,
+    getUserBoards,
+    getBoard,
+    createBoard,
+    deleteBoard,
+    removePinFromBoard,
+    loading: isSavingBoard
+  } = useBoardAPI();
+
+  const { toggleFollowUser, loading: isTogglingFollow } = useUserAPI();
   
   // Is this the current user's profile?
   const isOwnProfile = !username && isAuthenticated;
@@ -69,9 +94,6 @@ function ProfilePage() {
   // Combine all errors for display
   const error = imageError || profileError;
   
-  // Any type of loading
-  const IS_LOADING = isLoadingImages || isLoadingProfile;
-
   /**
    * Load profile user data from API
    */
@@ -82,8 +104,9 @@ function ProfilePage() {
       
       let userData;
       if (isOwnProfile) {
-        // Use current user's data if viewing own profile
-        userData = user;
+        // Use current user's data if viewing own profile, adding public stats such as follower counts
+        const response = await axios.get(`/api/auth/user/${user.username}`);
+        userData = { ...user, ...response.data };
       } else {
         // Fetch user data from API if viewing another user's profile
         const response = await axios.get(`/api/auth/user/${username}`);
@@ -111,38 +134,55 @@ function ProfilePage() {
   }, [username, isOwnProfile, user]);
 
   /**
-   * Load images created by the profile user
+   * Follow or unfollow the profile user and apply the new follower count
    */
-  const loadImages = useCallback(async () => {
-    try {
-      let imagesData;
-      
-      if (isOwnProfile) {
-        // Get current user's images
-        imagesData = await getAllImages({ userId: user?._id });
-      } else if (profileUser?._id) {
-        // Get another user's public images
-        imagesData = await getAllImages({ userId: profileUser._id });
-      }
-      
-      // Extract the images array from the response
-      const imageArray = imagesData && imagesData.images ? imagesData.images : [];
-      
-      setImages(imageArray);
-      setFilteredImages(imageArray);
-      
-      // Update stats
-      setUserStats(prev => ({
+  const handleToggleFollow = async () => {
+    const result = await toggleFollowUser(profileUser.username, profileUser.followedByMe);
+
+    if (result) {
+      setProfileUser(prev => ({
         ...prev,
-        imageCount: imageArray.length || 0,
-        // Calculate popular categories
-        popularCategories: calculatePopularCategories(imageArray)
+        followerCount: result.followerCount,
+        followedByMe: result.followedByMe
       }));
-      
-    } catch (err) {
-      console.error('Error in loadImages:', err);
     }
-  }, [getAllImages, profileUser, isOwnProfile, user]);
+  };
+
+  /**
+   * Fetch a page of the images created by the profile user
+   * 
+   * @param {string} [after] - Cursor of the page to continue from; omitted for the first page
+   * @returns {Promise<Object>} Images and cursor pagination
+   */
+  const fetchGalleryPage = useCallback((after) => {
+    // The first page also brings the total for the image count
+    const options = { after, limit: GALLERY_PAGE_SIZE, includeTotal: !after };
+    return isOwnProfile
+      ? getMyImages(options)
+      : getUserImages(profileUser.username, options);
+  }, [isOwnProfile, getMyImages, getUserImages, profileUser]);
+
+  // Images created by the profile user, loaded page by page as the gallery is scrolled
+  const gallery = useInfiniteImages(fetchGalleryPage, {
+    key: `gallery:${username || 'me'}`,
+    enabled: !!profileUser
+  });
+
+  /**
+   * Fetch a page of the current user's saved images
+   * 
+   * @param {string} [after] - Cursor of the page to continue from; omitted for the first page
+   * @returns {Promise<Object>} Images and cursor pagination
+   */
+  const fetchSavedPage = useCallback((after) => (
+    getSavedImages({ after, limit: SAVED_PAGE_SIZE, includeTotal: !after })
+  ), [getSavedImages]);
+
+  // Saved images, loaded once the Saved tab is opened
+  const saved = useInfiniteImages(fetchSavedPage, {
+    key: 'saved',
+    enabled: activeTab === 'saved' && isOwnProfile
+  });
 
   /**
    * Calculate most used categories/tags from user's images
@@ -177,64 +217,124 @@ function ProfilePage() {
     return sortedTags;
   };
 
+  // Tags of the images loaded so far, offered as gallery filters
+  const popularCategories = calculatePopularCategories(gallery.images);
+
+  // The first page brings the total; until then the profile's own count is shown
+  const imageCount = gallery.total ?? userStats.imageCount;
+
+  const filteredImages = filterTag
+    ? gallery.images.filter(img => img.tags?.some(t => t.toLowerCase() === filterTag.toLowerCase()))
+    : gallery.images;
+
   /**
    * Filter images based on tag
    * 
    * @param {string} tag - Tag to filter by
    */
   const handleTagFilter = (tag) => {
-    if (filterTag === tag) {
-      // If clicking the same tag, clear the filter
-      setFilterTag('');
-      setFilteredImages(images);
-    } else {
-      // Apply the new filter
-      setFilterTag(tag);
-      const filtered = images.filter(img => 
-        img.tags && img.tags.some(t => t.toLowerCase() === tag.toLowerCase())
-      );
-      setFilteredImages(filtered);
-    }
+    // Clicking the same tag again clears the filter
+    setFilterTag(filterTag === tag ? '' : tag);
   };
 
+  const { removeImage: removeSavedImage } = saved;
+
   /**
-   * Load user's saved images
+   * Drop an image from the saved tab once it has been unsaved
+   * 
+   * @param {string} imageId - ID of the image whose save state changed
+   * @param {boolean} savedByMe - Whether the image is still saved
    */
-  const loadSavedImages = useCallback(async () => {
-    if (!isAuthenticated || !isOwnProfile) return;
-    
+  const handleSaveChange = useCallback((imageId, savedByMe) => {
+    if (savedByMe) return;
+
+    removeSavedImage(imageId);
+  }, [removeSavedImage]);
+
+  /**
+   * Load the profile user's boards (including private ones on your own profile)
+   */
+  const loadBoards = useCallback(async () => {
     try {
-      setIsLoadingSaved(true);
-      // In a real app, this would call an API to get saved images
-      // For now, we'll just simulate with a timeout and use normal images
-      await new Promise(resolve => setTimeout(resolve, 800));
-      setSavedImages(images.slice(0, 3));
-    } catch (err) {
-      console.error('Error loading saved images:', err);
-      showToast('Failed to load saved images', 'error');
+      setIsLoadingBoards(true);
+      const boardList = isOwnProfile ? await getMyBoards() : await getUserBoards(username);
+      setBoards(boardList);
     } finally {
-      setIsLoadingSaved(false);
+      setIsLoadingBoards(false);
+    }
+  }, [isOwnProfile, username, getMyBoards, getUserBoards]);
+
+  /**
+   * Open a board and load its pins
+   * 
+   * @param {string} boardId - ID of the board to open
+   */
+  const openBoard = async (boardId) => {
+    const board = await getBoard(boardId);
+    if (board) {
+      setSelectedBoard(board);
+    }
+  };
+
+  /**
+   * Create a new board from the inline form
+   * 
+   * @param {Event} e - Form submit event
+   */
+  const handleCreateBoard = async (e) => {
+    e.preventDefault();
+    if (!newBoard.title.trim()) return;
+
+    const board = await createBoard({ title: newBoard.title.trim(), privacy: newBoard.privacy });
+    if (board) {
+      setBoards(prev => [board, ...prev]);
+      setNewBoard({ title: '', privacy: 'public' });
     }
-  }, [isAuthenticated, isOwnProfile, images, showToast]);
+  };
+
+  /**
+   * Delete the open board and return to the board list
+   */
+  const handleDeleteBoard = async () => {
+    if (!selectedBoard) return;
+
+    const deleted = await deleteBoard(selectedBoard._id);
+    if (deleted) {
+      setBoards(prev => prev.filter(board => board._id !== selectedBoard._id));
+      setSelectedBoard(null);
+    }
+  };
+
+  /**
+   * Remove a pin from the open board
+   * 
+   * @param {string} imageId - ID of the pin to remove
+   */
+  const handleRemovePin = async (imageId) => {
+    const result = await removePinFromBoard(selectedBoard._id, imageId);
+    if (result) {
+      setSelectedBoard(prev => ({
+        ...prev,
+        pins: prev.pins.filter(pin => pin._id !== imageId),
+        pinCount: result.pinCount
+      }));
+      setBoards(prev => prev.map(board => 
+        board._id === selectedBoard._id ? { ...board, pinCount: result.pinCount } : board
+      ));
+    }
+  };
 
   // Initial data loading
   useEffect(() => {
     loadProfileUser();
   }, [loadProfileUser]);
   
-  // Load images when profile user changes
+  // Load boards when tab changes to 'boards'
   useEffect(() => {
-    if (profileUser) {
-      loadImages();
+    if (activeTab === 'boards' && profileUser) {
+      loadBoards();
     }
-  }, [profileUser, loadImages]);
-  
-  // Load saved images when tab changes to 'saved'
-  useEffect(() => {
-    if (activeTab === 'saved') {
-      loadSavedImages();
-    }
-  }, [activeTab, loadSavedImages]);
+  }, [activeTab, profileUser, loadBoards]);
 
   /**
    * Renders the profile header with user information
@@ -308,7 +408,7 @@ function ProfilePage() {
                     <path d="M6.002 5.5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0z"/>
                     <path d="M2.002 1a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V3a2 2 0 0 0-2-2h-12zm12 1a1 1 0 0 1 1 1v6.5l-3.777-1.947a.5.5 0 0 0-.577.093l-3.71 3.71-2.66-1.772a.5.5 0 0 0-.63.062L1.002 12V3a1 1 0 0 1 1-1h12z"/>
                   </svg>
-                  <span>{userStats.imageCount} Posts</span>
+                  <span>{imageCount} Posts</span>
                 </div>
                 
                 <div className="badge bg-light text-dark px-3 py-2 d-flex align-items-center rounded-pill">
@@ -318,8 +418,30 @@ function ProfilePage() {
                   </svg>
                   <span>Joined {userStats.joinDate?.toLocaleDateString() || 'Recently'}</span>
                 </div>
+                
+                <div className="badge bg-light text-dark px-3 py-2 d-flex align-items-center rounded-pill">
+                  <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" className="bi bi-people me-1" viewBox="0 0 16 16">
+                    <path d="M15 14s1 0 1-1-1-4-5-4-5 3-5 4 1 1 1 1h8Zm-7.978-1A.261.261 0 0 1 7 12.996c.001-.264.167-1.03.76-1.72C8.312 10.629 9.282 10 11 10c1.717 0 2.687.63 3.24 1.276.593.69.758 1.457.76 1.72l-.008.002a.274.274 0 0 1-.014.002H7.022ZM11 7a2 2 0 1 0 0-4 2 2 0 0 0 0 4Zm3-2a3 3 0 1 1-6 0 3 3 0 0 1 6 0ZM6.936 9.28a5.88 5.88 0 0 0-1.23-.247A7.35 7.35 0 0 0 5 9c-4 0-5 3-5 4 0 .667.333 1 1 1h4.216A2.238 2.238 0 0 1 5 13c0-1.01.377-2.042 1.09-2.904.243-.294.526-.569.846-.816ZM4.92 10A5.493 5.493 0 0 0 4 13H1c0-.26.164-1.03.76-1.724.545-.636 1.492-1.256 3.16-1.275ZM1.5 5.5a3 3 0 1 1 6 0 3 3 0 0 1-6 0Zm3-2a2 2 0 1 0 0 4 2 2 0 0 0 0-4Z"/>
+                  </svg>
+                  <span>
+                    {profileUser.followerCount || 0} {profileUser.followerCount === 1 ? 'Follower' : 'Followers'}
+                    {' · '}
+                    {profileUser.followingCount || 0} Following
+                  </span>
+                </div>
               </div>
               
+              {!isOwnProfile && isAuthenticated && profileUser._id !== user?._id && (
+                <button
+                  className={`btn btn-sm ${profileUser.followedByMe ? 'btn-outline-secondary' : 'btn-danger'} mb-3`}
+                  onClick={handleToggleFollow}
+                  disabled={isTogglingFollow}
+                  aria-pressed={!!profileUser.followedByMe}
+                >
+                  {profileUser.followedByMe ? 'Following' : 'Follow'}
+                </button>
+              )}
+              
               {isOwnProfile && (
                 <button className="btn btn-outline-secondary btn-sm d-flex align-items-center">
                   <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-pencil-square me-1" viewBox="0 0 16 16">
@@ -345,6 +467,19 @@ function ProfilePage() {
                 Gallery
               </button>
               
+              <button 
+                onClick={() => {
+                  setActiveTab('boards');
+                  setSelectedBoard(null);
+                }}
+                className={`nav-link ${activeTab === 'boards' ? 'active bg-danger' : 'text-secondary'}`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-collection me-2" viewBox="0 0 16 16">
+                  <path d="M2.5 3.5a.5.5 0 0 1 0-1h11a.5.5 0 0 1 0 1h-11zm2-2a.5.5 0 0 1 0-1h7a.5.5 0 0 1 0 1h-7zM0 13a1.5 1.5 0 0 0 1.5 1.5h13A1.5 1.5 0 0 0 16 13V6a1.5 1.5 0 0 0-1.5-1.5h-13A1.5 1.5 0 0 0 0 6v7zm1.5.5A.5.5 0 0 1 1 13V6a.5.5 0 0 1 .5-.5h13a.5.5 0 0 1 .5.5v7a.5.5 0 0 1-.5.5h-13z"/>
+                </svg>
+                Boards
+              </button>
+              
               {isOwnProfile && (
                 <button 
                   onClick={() => setActiveTab('saved')}
@@ -394,7 +529,7 @@ function ProfilePage() {
           <div className="col-md-4">
             <div className="card h-100 border-0 bg-light">
               <div className="card-body d-flex flex-column align-items-center justify-content-center text-center">
-                <div className="display-4 fw-bold text-danger mb-2">{userStats.imageCount}</div>
+                <div className="display-4 fw-bold text-danger mb-2">{imageCount}</div>
                 <div className="text-secondary">Total Images</div>
               </div>
             </div>
@@ -418,9 +553,9 @@ function ProfilePage() {
         </div>
         
         <h3 className="fs-5 fw-semibold mb-3">Popular Categories</h3>
-        {userStats.popularCategories.length > 0 ? (
+        {popularCategories.length > 0 ? (
           <div className="d-flex flex-wrap gap-2 mb-4">
-            {userStats.popularCategories.map(({tag, count}) => (
+            {popularCategories.map(({tag, count}) => (
               <div 
                 key={tag} 
                 className="badge bg-light text-dark d-flex align-items-center px-3 py-2"
@@ -540,7 +675,7 @@ function ProfilePage() {
    * @returns {JSX.Element|null} Tag filter component or null if no tags
    */
   const renderTagFilters = () => {
-    if (!userStats.popularCategories.length) return null;
+    if (!popularCategories.length) return null;
     
     return (
       <motion.div
@@ -551,7 +686,7 @@ function ProfilePage() {
       >
         <div className="d-flex flex-wrap align-items-center gap-2">
           <span className="text-secondary">Filter by:</span>
-          {userStats.popularCategories.map(({tag}) => (
+          {popularCategories.map(({tag}) => (
             <button
               key={tag}
               onClick={() => handleTagFilter(tag)}
@@ -570,10 +705,7 @@ function ProfilePage() {
         
         {filterTag && filteredImages.length > 0 && (
           <button
-            onClick={() => {
-              setFilterTag('');
-              setFilteredImages(images);
-            }}
+            onClick={() => setFilterTag('')}
             className="btn btn-link text-danger mt-2 p-0 text-decoration-none"
           >
             Show All Images
@@ -584,39 +716,29 @@ function ProfilePage() {
   };
 
   /**
-   * Renders the image grid with animations
+   * Renders the gallery's masonry grid, loading more images as it is scrolled
    * 
    * @returns {JSX.Element} The masonry image grid
    */
-  const renderImageGrid = () => {
-    // Ensure filteredImages is an array
-    const imageArray = Array.isArray(filteredImages) ? filteredImages : [];
-    
-    return (
-      <AnimatePresence>
-        <div className="row g-4">
-          {imageArray.map((image) => (
-            <motion.div 
-              key={image._id} 
-              layout
-              initial={{ opacity: 0, scale: 0.9 }}
-              animate={{ opacity: 1, scale: 1 }}
-              exit={{ opacity: 0, scale: 0.9 }}
-              transition={{ duration: 0.3 }}
-              className="col-12 col-sm-6 col-md-4 col-lg-3"
-            >
-              <ImageCard 
-                image={image} 
-                showUser={false}
-                canDelete={isOwnProfile} 
-                refreshImages={loadImages}
-              />
-            </motion.div>
-          ))}
-        </div>
-      </AnimatePresence>
-    );
-  };
+  const renderImageGrid = () => (
+    <MasonryGrid
+      images={filteredImages}
+      renderImage={(image) => (
+        <ImageCard 
+          image={image} 
+          showUser={false}
+          canDelete={isOwnProfile} 
+          refreshImages={gallery.reload}
+          sizes={PROFILE_IMAGE_SIZES}
+        />
+      )}
+      columns={PROFILE_COLUMNS}
+      hasMore={gallery.hasMore}
+      isLoadingMore={gallery.isLoadingMore}
+      onLoadMore={gallery.loadMore}
+      restoreKey="profile:gallery"
+    />
+  );
 
   /**
    * Renders the saved images tab
@@ -630,9 +752,14 @@ function ProfilePage() {
         animate={{ opacity: 1 }}
         transition={{ duration: 0.3 }}
       >
-        <h2 className="fs-4 fw-semibold mb-4">Saved Images</h2>
+        <h2 className="fs-4 fw-semibold mb-4">
+          Saved Images
+          {saved.total > 0 && (
+            <span className="badge bg-light text-dark ms-2 fs-6 align-middle">{saved.total}</span>
+          )}
+        </h2>
         
-        {isLoadingSaved ? (
+        {saved.isLoading ? (
           <div className="row g-4">
             {Array.from({ length: 3 }).map((_, index) => (
               <div key={`saved-skeleton-${index}`} className="col-12 col-sm-6 col-md-4">
@@ -640,20 +767,23 @@ function ProfilePage() {
               </div>
             ))}
           </div>
-        ) : savedImages.length ? (
-          <div className="row g-4">
-            {savedImages.map((image) => (
-              <motion.div 
-                key={image._id} 
-                className="col-12 col-sm-6 col-md-4"
-                initial={{ opacity: 0, scale: 0.95 }}
-                animate={{ opacity: 1, scale: 1 }}
-                transition={{ duration: 0.3 }}
-              >
-                <ImageCard image={image} showUser={true} />
-              </motion.div>
-            ))}
-          </div>
+        ) : saved.images.length ? (
+          <MasonryGrid
+            images={saved.images}
+            renderImage={(image) => (
+              <ImageCard
+                image={image}
+                showUser={true}
+                onSaveChange={handleSaveChange}
+                sizes="(min-width: 768px) 33vw, (min-width: 576px) 50vw, 100vw"
+              />
+            )}
+            columns={SAVED_COLUMNS}
+            hasMore={saved.hasMore}
+            isLoadingMore={saved.isLoadingMore}
+            onLoadMore={saved.loadMore}
+            restoreKey="profile:saved"
+          />
         ) : (
           <div className="text-center p-5 bg-light rounded-4">
             <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" fill="#6c757d" className="bi bi-bookmark mb-3" viewBox="0 0 16 16">
@@ -670,6 +800,194 @@ function ProfilePage() {
     );
   };
 
+  /**
+   * Renders a single board tile with its cover and pin count
+   * 
+   * @param {Object} board - Board object
+   * @returns {JSX.Element} Board tile
+   */
+  const renderBoardTile = (board) => (
+    <motion.div
+      key={board._id}
+      className="col-12 col-sm-6 col-md-4 col-lg-3"
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div
+        className="card border-0 shadow-sm rounded-4 overflow-hidden h-100"
+        style={{ cursor: 'pointer' }}
+        onClick={() => openBoard(board._id)}
+      >
+        {board.coverImage?.imageUrl ? (
+          <img
+            src={board.coverImage.imageUrl}
+            alt={board.title}
+            className="w-100"
+            style={{ height: '180px', objectFit: 'cover' }}
+          />
+        ) : (
+          <div className="bg-light d-flex align-items-center justify-content-center" style={{ height: '180px' }}>
+            <svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" fill="#adb5bd" className="bi bi-collection" viewBox="0 0 16 16">
+              <path d="M2.5 3.5a.5.5 0 0 1 0-1h11a.5.5 0 0 1 0 1h-11zm2-2a.5.5 0 0 1 0-1h7a.5.5 0 0 1 0 1h-7zM0 13a1.5 1.5 0 0 0 1.5 1.5h13A1.5 1.5 0 0 0 16 13V6a1.5 1.5 0 0 0-1.5-1.5h-13A1.5 1.5 0 0 0 0 6v7zm1.5.5A.5.5 0 0 1 1 13V6a.5.5 0 0 1 .5-.5h13a.5.5 0 0 1 .5.5v7a.5.5 0 0 1-.5.5h-13z"/>
+            </svg>
+          </div>
+        )}
+        <div className="p-3">
+          <h3 className="h6 mb-1 d-flex align-items-center">
+            {board.privacy === 'private' && (
+              <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" fill="currentColor" className="bi bi-lock-fill me-1 text-secondary" viewBox="0 0 16 16">
+                <path d="M8 1a2 2 0 0 1 2 2v4H6V3a2 2 0 0 1 2-2zm3 6V3a3 3 0 0 0-6 0v4a2 2 0 0 0-2 2v5a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2z"/>
+              </svg>
+            )}
+            {board.title}
+          </h3>
+          <small className="text-secondary">
+            {board.pinCount} {board.pinCount === 1 ? 'Pin' : 'Pins'}
+          </small>
+        </div>
+      </div>
+    </motion.div>
+  );
+
+  /**
+   * Renders an open board with its pins
+   * 
+   * @returns {JSX.Element} Board detail view
+   */
+  const renderBoardDetail = () => (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div className="d-flex flex-wrap align-items-center justify-content-between gap-2 mb-4">
+        <div className="d-flex align-items-center">
+          <button
+            className="btn btn-sm btn-outline-secondary rounded-circle me-3"
+            onClick={() => setSelectedBoard(null)}
+            aria-label="Back to boards"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-arrow-left" viewBox="0 0 16 16">
+              <path fillRule="evenodd" d="M15 8a.5.5 0 0 0-.5-.5H2.707l3.147-3.146a.5.5 0 1 0-.708-.708l-4 4a.5.5 0 0 0 0 .708l4 4a.5.5 0 0 0 .708-.708L2.707 8.5H14.5A.5.5 0 0 0 15 8z"/>
+            </svg>
+          </button>
+          <div>
+            <h2 className="fs-4 fw-semibold mb-0">
+              {selectedBoard.title}
+              {selectedBoard.privacy === 'private' && (
+                <span className="badge bg-secondary ms-2 fs-6 align-middle">Private</span>
+              )}
+            </h2>
+            {selectedBoard.description && (
+              <p className="text-secondary mb-0">{selectedBoard.description}</p>
+            )}
+          </div>
+        </div>
+        {isOwnProfile && (
+          <button className="btn btn-outline-danger btn-sm" onClick={handleDeleteBoard} disabled={isSavingBoard}>
+            Delete Board
+          </button>
+        )}
+      </div>
+
+      {selectedBoard.pins.length ? (
+        <div className="row g-4">
+          {selectedBoard.pins.map((image) => (
+            <div key={image._id} className="col-12 col-sm-6 col-md-4 col-lg-3">
+              <ImageCard image={image} showUser={true} sizes={PROFILE_IMAGE_SIZES} />
+              {isOwnProfile && (
+                <button
+                  className="btn btn-link btn-sm text-danger text-decoration-none p-0 mt-1"
+                  onClick={() => handleRemovePin(image._id)}
+                >
+                  Remove from board
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center p-5 bg-light rounded-4">
+          <h3 className="fs-5 mb-2">This board is empty</h3>
+          <p className="text-secondary mb-0">Pins added to this board will show up here.</p>
+        </div>
+      )}
+    </motion.div>
+  );
+
+  /**
+   * Renders the boards tab with the board list and, on your own profile, a create form
+   * 
+   * @returns {JSX.Element} Boards tab content
+   */
+  const renderBoardsTab = () => {
+    if (selectedBoard) {
+      return renderBoardDetail();
+    }
+
+    return (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.3 }}
+      >
+        <h2 className="fs-4 fw-semibold mb-4">Boards</h2>
+
+        {isOwnProfile && (
+          <form onSubmit={handleCreateBoard} className="d-flex flex-wrap gap-2 mb-4">
+            <input
+              type="text"
+              className="form-control"
+              style={{ maxWidth: '320px' }}
+              placeholder="New board title"
+              maxLength={50}
+              value={newBoard.title}
+              onChange={(e) => setNewBoard(prev => ({ ...prev, title: e.target.value }))}
+              disabled={isSavingBoard}
+            />
+            <select
+              className="form-select"
+              style={{ maxWidth: '140px' }}
+              value={newBoard.privacy}
+              onChange={(e) => setNewBoard(prev => ({ ...prev, privacy: e.target.value }))}
+              disabled={isSavingBoard}
+            >
+              <option value="public">Public</option>
+              <option value="private">Private</option>
+            </select>
+            <button type="submit" className="btn btn-danger" disabled={isSavingBoard || !newBoard.title.trim()}>
+              Create Board
+            </button>
+          </form>
+        )}
+
+        {isLoadingBoards ? (
+          <div className="row g-4">
+            {Array.from({ length: 4 }).map((_, index) => (
+              <div key={`board-skeleton-${index}`} className="col-12 col-sm-6 col-md-4 col-lg-3">
+                <ImageCardSkeleton />
+              </div>
+            ))}
+          </div>
+        ) : boards.length ? (
+          <div className="row g-4">
+            {boards.map(renderBoardTile)}
+          </div>
+        ) : (
+          <div className="text-center p-5 bg-light rounded-4">
+            <h3 className="fs-5 mb-2">No Boards Yet</h3>
+            <p className="text-secondary mb-0">
+              {isOwnProfile
+                ? 'Create a board to start organising your pins.'
+                : `${profileUser?.displayName || profileUser?.username || 'This user'} hasn't created any public boards yet.`}
+            </p>
+          </div>
+        )}
+      </motion.div>
+    );
+  };
+
   /**
    * Render the appropriate tab content based on active tab
    * 
@@ -684,8 +1002,13 @@ function ProfilePage() {
       return renderSavedTab();
     }
     
+    if (activeTab === 'boards') {
+      return renderBoardsTab();
+    }
+    
     // Gallery tab (default)
-    if (isLoadingImages && !images.length) {
+    // Images can only be fetched once the profile has loaded
+    if (gallery.isLoading || (isLoadingProfile && !gallery.images.length)) {
       return renderSkeletons();
     }
 
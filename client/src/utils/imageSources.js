@@ -0,0 +1,77 @@
+/**
+ * Sizes hint matching the HomePage grid columns (GRID_COLUMNS)
+ */
+export const GRID_IMAGE_SIZES = '(min-width: 1200px) 16vw, (min-width: 992px) 25vw, (min-width: 768px) 33vw, (min-width: 576px) 50vw, 100vw';
+
+/**
+ * Sizes hint for the four-column ProfilePage grids (PROFILE_COLUMNS)
+ */
+export const PROFILE_IMAGE_SIZES = '(min-width: 992px) 25vw, (min-width: 768px) 33vw, (min-width: 576px) 50vw, 100vw';
+
+/**
+ * Column counts of the HomePage masonry grid, keyed by the smallest viewport
+ * width they apply from (Bootstrap's breakpoints)
+ */
+export const GRID_COLUMNS = { 0: 1, 576: 2, 768: 3, 992: 4, 1200: 6 };
+
+/**
+ * Column counts of the ProfilePage masonry grids
+ */
+export const PROFILE_COLUMNS = { 0: 1, 576: 2, 768: 3, 992: 4 };
+
+// Height/width ratios outside this range are cropped so one pin can't dominate the grid
+const MIN_TILE_RATIO = 0.6;
+const MAX_TILE_RATIO = 1.8;
+
+/**
+ * Works out the height/width ratio a pin is shown at in the grid
+ * 
+ * @param {Object} image - Image data object with optional width and height
+ * @returns {number|null} Ratio clamped to the allowed range, or null when the size isn't known
+ */
+export const getTileRatio = (image) => {
+  if (!(image?.width > 0 && image?.height > 0)) return null;
+  return Math.min(Math.max(image.height / image.width, MIN_TILE_RATIO), MAX_TILE_RATIO);
+};
+
+let webpSupport;
+
+/**
+ * Checks once whether the browser can decode WebP images
+ * 
+ * @returns {boolean} Whether WebP is supported
+ */
+export const supportsWebP = () => {
+  if (webpSupport === undefined) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 1;
+      webpSupport = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+    } catch {
+      webpSupport = false;
+    }
+  }
+  return webpSupport;
+};
+
+/**
+ * Builds a srcset from an image's resized variants, preferring WebP when the
+ * browser supports it and falling back to the original format
+ * 
+ * @param {Object} image - Image data object with optional variants
+ * @returns {string} srcset attribute value, or an empty string for images without variants
+ */
+export const getImageSrcSet = (image) => {
+  const variants = image?.variants || [];
+  if (!variants.length) return '';
+
+  const webpVariants = variants.filter(variant => variant.format === 'webp');
+  const originalVariants = variants.filter(variant => variant.format !== 'webp');
+  const chosen = supportsWebP() && webpVariants.length ? webpVariants : originalVariants;
+
+  return [...chosen]
+    .sort((a, b) => a.width - b.width)
+    .map(variant => `${variant.url} ${variant.width}w`)
+    .join(', ');
+};
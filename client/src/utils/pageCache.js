@@ -0,0 +1,34 @@
+/**
+ * In-memory store for page state that should survive leaving a page and coming
+ * back to it with the browser's back button, such as the pins already loaded
+ * into a grid and how far it was scrolled. Entries are keyed by the history
+ * entry (`location.key`), so opening the same page fresh starts over.
+ */
+
+// Only the most recently visited entries are kept
+const MAX_ENTRIES = 50;
+
+const entries = new Map();
+
+/**
+ * Reads a value saved for a history entry
+ *
+ * @param {string} key - Cache key, usually prefixed with `location.key`
+ * @returns {*} The saved value, or undefined when there is none
+ */
+export const readPageCache = (key) => entries.get(key);
+
+/**
+ * Saves a value for a history entry, forgetting the oldest entry when full
+ *
+ * @param {string} key - Cache key, usually prefixed with `location.key`
+ * @param {*} value - Value to keep
+ */
+export const writePageCache = (key, value) => {
+  entries.delete(key);
+  entries.set(key, value);
+
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Finds the first http(s) URL in a text/uri-list or plain text value
+ * 
+ * @param {string} text - Text to look through
+ * @returns {string|null} The URL, or null if there isn't one
+ */
+const findUrl = (text) => {
+  const line = (text || '')
+    .split(/\r?\n/)
+    .map(value => value.trim())
+    .find(value => value && !value.startsWith('#'));
+
+  if (!line) return null;
+
+  try {
+    const url = new URL(line);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Finds the source of the first image in dragged or copied HTML, which is what
+ * browsers provide when an image is dragged out of another page
+ * 
+ * @param {string} html - HTML fragment
+ * @returns {string|null} Image URL, or null if there isn't one
+ */
+const findImageInHtml = (html) => {
+  if (!html) return null;
+
+  const fragment = new DOMParser().parseFromString(html, 'text/html');
+  return findUrl(fragment.querySelector('img[src]')?.getAttribute('src'));
+};
+
+/**
+ * Reads what a paste or drop carries: files if there are any, otherwise a link
+ * 
+ * @param {DataTransfer} dataTransfer - Clipboard or drag data
+ * @returns {Object|null} `{ files, url }` with either files or a URL, or null when there is neither
+ */
+export const getTransferContent = (dataTransfer) => {
+  if (!dataTransfer) return null;
+
+  const files = Array.from(dataTransfer.files || []);
+  if (files.length > 0) {
+    return { files, url: null };
+  }
+
+  const url = findImageInHtml(dataTransfer.getData('text/html'))
+    || findUrl(dataTransfer.getData('text/uri-list'))
+    || findUrl(dataTransfer.getData('text/plain'));
+
+  return url ? { files: [], url } : null;
+};
+
+/**
+ * Whether an element takes typed text, so pastes and drops of text belong to it
+ * 
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} Whether the target is editable
+ */
+export const isEditableTarget = (target) => (
+  target instanceof HTMLElement
+  && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
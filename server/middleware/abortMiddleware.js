@@ -0,0 +1,24 @@
+/**
+ * Middleware for requests whose work should stop when the client goes away
+ * @module middleware/abortMiddleware
+ */
+
+module.exports = {
+  /**
+   * Gives the request an AbortSignal (`req.abortSignal`) that fires when the client
+   * disconnects before the response is sent, e.g. because the user cancelled an upload
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {void}
+   */
+  trackClientAbort: function(req, res, next) {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    req.abortSignal = controller.signal;
+    next();
+  }
+};
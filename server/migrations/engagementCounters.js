@@ -0,0 +1,124 @@
+/**
+ * Migration: backfill the engagement counters and trendingScore
+ *
+ * Likes used to be counted from the `likes` array on every request, and saves,
+ * comments and repins weren't counted at all, so none of them could be indexed
+ * for the popularity sorts. This stores `likeCount`, `saveCount`, `commentCount`
+ * and `repinCount` on pins created before those fields existed, then computes
+ * their `trendingScore`. Counters that are already set are kept, so the
+ * migration is safe to run twice.
+ *
+ * Usage: npm run migrate:engagement-counters [-- --dry-run]
+ *
+ * @module migrations/engagementCounters
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Image = require('../models/Image');
+const Save = require('../models/Save');
+const Comment = require('../models/Comment');
+
+const BATCH_SIZE = 500;
+
+// Images that predate one of the stored counters
+const MISSING_COUNTERS = {
+  $or: ['likeCount', 'saveCount', 'commentCount', 'repinCount', 'trendingScore']
+    .map(field => ({ [field]: { $exists: false } }))
+};
+
+/**
+ * Counts documents per image
+ *
+ * @param {mongoose.Model} Model - Model to count in
+ * @param {string} field - Path holding the image id
+ * @param {Array<ObjectId>} ids - Images to count for
+ * @param {Object} [match] - Extra conditions on the counted documents
+ * @returns {Promise<Map<string, number>>} Counts keyed by image id
+ */
+async function countByImage(Model, field, ids, match = {}) {
+  const groups = await Model.aggregate([
+    { $match: { [field]: { $in: ids }, ...match } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map(({ _id, count }) => [_id.toString(), count]));
+}
+
+/**
+ * Backfills the counters of one batch of images and refreshes their trending score
+ *
+ * @param {Array<ObjectId>} ids - Images to update
+ */
+async function backfillBatch(ids) {
+  const [saves, comments, repins] = await Promise.all([
+    countByImage(Save, 'image', ids),
+    // Deleted comments only stay behind to hold their thread together
+    countByImage(Comment, 'image', ids, { isDeleted: { $ne: true } }),
+    countByImage(Image, 'repinnedFrom.image', ids)
+  ]);
+
+  await Image.bulkWrite(ids.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: [{
+        $set: {
+          likeCount: { $ifNull: ['$likeCount', { $size: { $ifNull: ['$likes', []] } }] },
+          saveCount: { $ifNull: ['$saveCount', saves.get(id.toString()) || 0] },
+          commentCount: { $ifNull: ['$commentCount', comments.get(id.toString()) || 0] },
+          repinCount: { $ifNull: ['$repinCount', repins.get(id.toString()) || 0] }
+        }
+      }]
+    }
+  })), { ordered: false });
+  await Image.refreshTrendingScore({ _id: { $in: ids } });
+}
+
+/**
+ * Runs the migration
+ *
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Report what would change without writing
+ * @returns {Promise<number>} Number of images updated (or that would be)
+ */
+async function migrate({ dryRun }) {
+  if (dryRun) {
+    return Image.countDocuments(MISSING_COUNTERS);
+  }
+
+  const cursor = Image.find(MISSING_COUNTERS).select('_id').lean().cursor();
+
+  let ids = [];
+  let migrated = 0;
+
+  for await (const image of cursor) {
+    ids.push(image._id);
+    if (ids.length >= BATCH_SIZE) {
+      await backfillBatch(ids);
+      migrated += ids.length;
+      ids = [];
+    }
+  }
+  if (ids.length) {
+    await backfillBatch(ids);
+    migrated += ids.length;
+  }
+
+  return migrated;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/pinterest-clone')
+    .then(() => migrate({ dryRun }))
+    .then((count) => {
+      console.log(`${dryRun ? 'Would backfill' : 'Backfilled'} engagement counters of ${count} image(s)`);
+    })
+    .catch((err) => {
+      console.error('Engagement counter migration failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrate };
@@ -0,0 +1,164 @@
+/**
+ * Migration: rewrite absolute /uploads/ URLs into storage keys
+ * 
+ * Pins uploaded before storage keys were recorded have the API host baked into
+ * `imageUrl` and each variant `url` (e.g. http://old-host:5000/uploads/<uuid>.jpg).
+ * This moves the file name into `storageKey` / `variants.key` and drops the
+ * absolute URLs, so public URLs are resolved from PUBLIC_ASSET_BASE_URL instead.
+ * A URL is only rewritten when its file is in the configured storage, so a
+ * third-party URL that merely looks like ours is left alone, and hotlinked pins
+ * (whose imageUrl is their sourceUrl) are never touched. URLs that look like
+ * uploads but have no stored file are reported as skipped. Safe to run twice.
+ * 
+ * Usage: npm run migrate:asset-urls [-- --dry-run]
+ * 
+ * @module migrations/relativeAssetUrls
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Image = require('../models/Image');
+const storage = require('../storage');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Extracts the file name from an absolute uploads URL
+ * 
+ * @param {string} url - Stored URL
+ * @returns {string|null} Candidate storage key, or null if the URL isn't under /uploads/
+ */
+function keyFromUploadsUrl(url) {
+  const match = typeof url === 'string' && url.match(/\/uploads\/([^/?#]+)$/);
+  if (!match) return null;
+
+  try {
+    const key = decodeURIComponent(match[1]);
+    return key.includes('/') || key.startsWith('.') ? null : key;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the storage key of an uploads URL, if its file is in storage
+ * 
+ * @param {string} url - Stored URL
+ * @returns {Promise<{ key: string|null, skipped: boolean }>} The key when the file exists;
+ *   skipped when the URL is under /uploads/ but no such file is stored
+ */
+async function findStoredKey(url) {
+  const key = keyFromUploadsUrl(url);
+  if (!key) return { key: null, skipped: false };
+
+  const isStored = await storage.exists(key);
+  return { key: isStored ? key : null, skipped: !isStored };
+}
+
+/**
+ * Builds the update for one image
+ * 
+ * @param {Object} image - Lean image with imageUrl, sourceUrl, storageKey and variants
+ * @returns {Promise<{ update: Object|null, skipped: number }>} MongoDB update document, or null
+ *   if nothing can be rewritten, and the number of URLs left alone for lack of a stored file
+ */
+async function buildUpdate(image) {
+  const $set = {};
+  const $unset = {};
+  let skipped = 0;
+
+  if (image.imageUrl !== image.sourceUrl) {
+    const original = await findStoredKey(image.imageUrl);
+    if (original.key) {
+      $set.storageKey = image.storageKey || original.key;
+      $unset.imageUrl = 1;
+    }
+    if (original.skipped) skipped++;
+  }
+
+  let variantsChanged = false;
+  const variants = [];
+  for (const { url, ...variant } of image.variants || []) {
+    let variantKey = variant.key;
+    if (!variantKey) {
+      const stored = await findStoredKey(url);
+      variantKey = stored.key;
+      if (stored.skipped) skipped++;
+    }
+
+    if (!variantKey) {
+      variants.push({ ...variant, url });
+      continue;
+    }
+
+    if (url) variantsChanged = true;
+    variants.push({ ...variant, key: variantKey });
+  }
+  if (variantsChanged) {
+    $set.variants = variants;
+  }
+
+  if (!Object.keys($set).length) return { update: null, skipped };
+  return { update: Object.keys($unset).length ? { $set, $unset } : { $set }, skipped };
+}
+
+/**
+ * Runs the migration
+ * 
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Report what would change without writing
+ * @returns {Promise<{ migrated: number, skipped: number }>} Number of images rewritten (or that
+ *   would be), and of images with URLs left alone because their file isn't stored
+ */
+async function migrate({ dryRun }) {
+  const cursor = Image.find({
+    $or: [{ imageUrl: /\/uploads\// }, { 'variants.url': /\/uploads\// }]
+  })
+    .select('imageUrl sourceUrl storageKey variants')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let migrated = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    if (!dryRun && operations.length) {
+      await Image.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const image of cursor) {
+    const { update, skipped: skippedUrls } = await buildUpdate(image);
+    if (skippedUrls) skipped++;
+    if (!update) continue;
+
+    migrated++;
+    operations.push({ updateOne: { filter: { _id: image._id }, update } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { migrated, skipped };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/pinterest-clone')
+    .then(() => migrate({ dryRun }))
+    .then(({ migrated, skipped }) => {
+      console.log(`${dryRun ? 'Would rewrite' : 'Rewrote'} asset URLs of ${migrated} image(s)`);
+      if (skipped) {
+        console.log(`Skipped ${skipped} image(s) with /uploads/ URLs whose files are not in ${storage.name} storage`);
+      }
+    })
+    .catch((err) => {
+      console.error('Asset URL migration failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { keyFromUploadsUrl, buildUpdate, migrate };
@@ -0,0 +1,99 @@
+/**
+ * Migration: backfill orientation and colorBucket
+ *
+ * Search filters by a pin's orientation and the color family of its dominant
+ * color, which are stored when a pin is saved. This derives both for pins
+ * created before the fields existed, from the width, height and dominantColor
+ * already on them. Pins without that data are left alone. Safe to run twice.
+ *
+ * Usage: npm run migrate:search-facets [-- --dry-run]
+ *
+ * @module migrations/searchFacets
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Image = require('../models/Image');
+const { getOrientation, getColorBucket } = require('../utils/imageFacets');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Builds the update for one image, or null if nothing can be derived
+ *
+ * @param {Object} image - Lean image with width, height, dominantColor and the facet fields
+ * @returns {Object|null} MongoDB update document
+ */
+function buildUpdate(image) {
+  const $set = {};
+
+  const orientation = getOrientation(image.width, image.height);
+  if (orientation && orientation !== image.orientation) {
+    $set.orientation = orientation;
+  }
+
+  const colorBucket = getColorBucket(image.dominantColor);
+  if (colorBucket && colorBucket !== image.colorBucket) {
+    $set.colorBucket = colorBucket;
+  }
+
+  return Object.keys($set).length ? { $set } : null;
+}
+
+/**
+ * Runs the migration
+ *
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Report what would change without writing
+ * @returns {Promise<number>} Number of images updated (or that would be)
+ */
+async function migrate({ dryRun }) {
+  const cursor = Image.find({
+    $or: [
+      { orientation: { $exists: false }, width: { $exists: true }, height: { $exists: true } },
+      { colorBucket: { $exists: false }, dominantColor: { $exists: true } }
+    ]
+  })
+    .select('width height dominantColor orientation colorBucket')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (!dryRun && operations.length) {
+      await Image.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const image of cursor) {
+    const update = buildUpdate(image);
+    if (!update) continue;
+
+    migrated++;
+    operations.push({ updateOne: { filter: { _id: image._id }, update } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return migrated;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/pinterest-clone')
+    .then(() => migrate({ dryRun }))
+    .then((count) => {
+      console.log(`${dryRun ? 'Would backfill' : 'Backfilled'} search facets of ${count} image(s)`);
+    })
+    .catch((err) => {
+      console.error('Search facet migration failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { buildUpdate, migrate };
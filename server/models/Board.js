@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Board Schema for grouping pins into named collections
+ * @typedef {Object} Board
+ * @property {string} title - Name of the board, unique per user
+ * @property {string} description - User-provided description of the board
+ * @property {ObjectId} coverImage - Image shown as the board cover (defaults to the first pin)
+ * @property {string} privacy - Board visibility ('public' or 'private')
+ * @property {Array<ObjectId>} pins - Ordered list of images on the board
+ * @property {ObjectId} user - Reference to the user who owns the board
+ * @property {Date} createdAt - Timestamp when the board was created
+ * @property {Date} updatedAt - Timestamp of the last change to the board
+ */
+const BoardSchema = new Schema({
+  title: {
+    type: String,
+    required: [true, 'Board title is required'],
+    trim: true,
+    maxlength: [50, 'Board title cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  coverImage: {
+    type: Schema.Types.ObjectId,
+    ref: 'Image'
+  },
+  privacy: {
+    type: String,
+    enum: {
+      values: ['public', 'private'],
+      message: 'Privacy must be either public or private'
+    },
+    default: 'public'
+  },
+  pins: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Image'
+  }],
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Board titles are unique per user
+BoardSchema.index({ user: 1, title: 1 }, { unique: true });
+
+// Used to pull deleted images out of every board that contains them
+BoardSchema.index({ pins: 1 });
+
+// Virtual for pin count
+BoardSchema.virtual('pinCount').get(function() {
+  return this.pins ? this.pins.length : 0;
+});
+
+module.exports = mongoose.model('Board', BoardSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Comment Schema for threaded comments on pins
+ * Threads are one level deep: replies always point at a top-level comment
+ * @typedef {Object} Comment
+ * @property {ObjectId} image - Reference to the image the comment was left on
+ * @property {ObjectId} user - Reference to the comment author
+ * @property {ObjectId} parent - Top-level comment this is a reply to, or null
+ * @property {string} text - Comment body (emptied when the comment is deleted)
+ * @property {number} replyCount - Number of visible replies to a top-level comment
+ * @property {boolean} isDeleted - Set when a comment with replies is deleted so the thread stays intact
+ * @property {Date} createdAt - Timestamp when the comment was posted
+ * @property {Date} updatedAt - Timestamp of the last edit, if any
+ */
+const CommentSchema = new Schema({
+  image: {
+    type: Schema.Types.ObjectId,
+    ref: 'Image',
+    required: [true, 'Image reference is required']
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    required: [
+      function() { return !this.isDeleted; },
+      'Comment text is required'
+    ]
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// Serves both the top-level listing and the replies of a thread, in cursor order
+CommentSchema.index({ image: 1, parent: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
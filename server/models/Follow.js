@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Follow Schema recording which users follow which other users
+ * @typedef {Object} Follow
+ * @property {ObjectId} follower - Reference to the user who follows
+ * @property {ObjectId} following - Reference to the user being followed
+ * @property {Date} createdAt - Timestamp when the follow started
+ */
+const FollowSchema = new Schema({
+  follower: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower reference is required']
+  },
+  following: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Followed user reference is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can follow another user only once; also serves the "following" listing
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+FollowSchema.index({ follower: 1, createdAt: -1 });
+
+// Serves the followers listing
+FollowSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
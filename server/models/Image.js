@@ -1,23 +1,126 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { ORIENTATIONS, COLOR_BUCKETS, getOrientation, getColorBucket } = require('../utils/imageFacets');
+
+// How much each kind of engagement counts towards trending; saves and repins
+// show more interest than a like
+const ENGAGEMENT_WEIGHTS = {
+  likeCount: 1,
+  commentCount: 2,
+  saveCount: 3,
+  repinCount: 3
+};
+
+// A pin this much newer needs ten times less engagement to rank the same in
+// trending, so scores never have to be recalculated just because time passed
+const TRENDING_DECAY_MS = 12 * 60 * 60 * 1000;
+
+// Aggregation expression computing trendingScore from a document's counters;
+// older documents may not have every counter yet
+const TRENDING_SCORE_EXPRESSION = {
+  $add: [
+    {
+      $log10: {
+        $max: [1, {
+          $add: Object.entries(ENGAGEMENT_WEIGHTS).map(([field, weight]) => ({
+            $multiply: [{ $ifNull: [`$${field}`, 0] }, weight]
+          }))
+        }]
+      }
+    },
+    { $divide: [{ $toLong: '$createdAt' }, TRENDING_DECAY_MS] }
+  ]
+};
 
 /**
  * Image Schema for storing Pinterest-like image pins
  * @typedef {Object} Image
- * @property {string} imageUrl - URL to the image
+ * @property {string} imageUrl - URL of a hotlinked image (stored pins get theirs from storageKey at response time)
+ * @property {string} storageKey - Key of the original in the storage backend (absent for hotlinked pins)
+ * @property {string} sourceUrl - Original remote URL of a pin added by link, kept for attribution
+ * @property {number} width - Pixel width of the original image
+ * @property {number} height - Pixel height of the original image
+ * @property {Array<Object>} variants - Resized copies (storage key, width, height, format) for srcset
+ * @property {string} dominantColor - Hex color painted behind the pin while it loads
+ * @property {string} orientation - Portrait, landscape or square, derived from width and height for search filters
+ * @property {string} colorBucket - Color family of dominantColor (e.g. 'blue'), for search filters
+ * @property {string} placeholder - Tiny blurred preview (LQIP) as a data URL
+ * @property {Object} exif - Camera details the uploader chose to share (never location)
  * @property {string} title - Title of the image
  * @property {string} description - User-provided description of the image
  * @property {Array<string>} tags - Array of tags associated with the image
  * @property {ObjectId} user - Reference to the user who added the image
  * @property {Array<ObjectId>} likes - Users who liked the image
+ * @property {number} likeCount - Number of users who liked the image, kept in step with likes for sorting
+ * @property {number} saveCount - Number of users who saved the image
+ * @property {Object} repinnedFrom - Original pin and user when this image is a repin
+ * @property {number} repinCount - Number of times the image was repinned
+ * @property {number} commentCount - Number of visible comments and replies
+ * @property {number} trendingScore - Engagement weighted towards newer pins, for the trending sort
  * @property {Date} createdAt - Timestamp when the image was added
+ * @property {Date} updatedAt - Timestamp of the last edit, if any
  */
 const ImageSchema = new Schema({
   imageUrl: {
     type: String,
-    required: [true, 'Image URL is required'],
+    required: [function() { return !this.storageKey; }, 'Image URL is required'],
+    trim: true,
+    match: [/^https?:\/\//, 'Image URL must be an http or https URL']
+  },
+  storageKey: {
+    type: String,
+    trim: true
+  },
+  sourceUrl: {
+    type: String,
     trim: true
   },
+  width: {
+    type: Number,
+    min: 1
+  },
+  height: {
+    type: Number,
+    min: 1
+  },
+  dominantColor: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/, 'Dominant color must be a hex color']
+  },
+  orientation: {
+    type: String,
+    enum: ORIENTATIONS
+  },
+  colorBucket: {
+    type: String,
+    enum: COLOR_BUCKETS
+  },
+  placeholder: {
+    type: String,
+    maxlength: [2000, 'Placeholder is too large']
+  },
+  exif: {
+    type: new Schema({
+      cameraMake: { type: String, trim: true },
+      cameraModel: { type: String, trim: true },
+      lens: { type: String, trim: true },
+      focalLength: Number,
+      aperture: Number,
+      exposureTime: Number,
+      iso: Number,
+      takenAt: Date
+    }, { _id: false }),
+    default: undefined
+  },
+  variants: [{
+    _id: false,
+    key: String,
+    // Absolute URL of variants stored before keys were recorded; see migrations/
+    url: String,
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    format: { type: String, required: true }
+  }],
   title: {
     type: String,
     trim: true,
@@ -44,10 +147,48 @@ const ImageSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User'
   }],
+  likeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  saveCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  repinnedFrom: {
+    image: {
+      type: Schema.Types.ObjectId,
+      ref: 'Image',
+      index: true
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  repinCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now,
     index: true
+  },
+  updatedAt: {
+    type: Date
   }
 });
 
@@ -58,6 +199,53 @@ ImageSchema.index({
   tags: 'text'
 });
 
+// Serves the followed-tags part of the home feed
+ImageSchema.index({ tags: 1, createdAt: -1 });
+
+// Serves a user's pins, newest first, page by page
+ImageSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+// Finds other pins (repins) sharing a stored file before it is deleted
+ImageSchema.index({ storageKey: 1 }, { sparse: true });
+
+// Back the sorts offered by GET /images; _id breaks ties so pages don't overlap
+ImageSchema.index({ createdAt: -1, _id: -1 });
+ImageSchema.index({ likeCount: -1, _id: -1 });
+ImageSchema.index({ saveCount: -1, _id: -1 });
+ImageSchema.index({ commentCount: -1, _id: -1 });
+ImageSchema.index({ trendingScore: -1, _id: -1 });
+
+// New pins start with a score from their age alone
+ImageSchema.pre('save', function(next) {
+  if (this.isNew) {
+    const engagement = Object.entries(ENGAGEMENT_WEIGHTS)
+      .reduce((total, [field, weight]) => total + (this[field] || 0) * weight, 0);
+    this.trendingScore = Math.log10(Math.max(1, engagement)) + this.createdAt.getTime() / TRENDING_DECAY_MS;
+  }
+  next();
+});
+
+// Keep the search facets in step with the layout data they come from
+ImageSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('width') || this.isModified('height')) {
+    this.orientation = getOrientation(this.width, this.height);
+  }
+  if (this.isNew || this.isModified('dominantColor')) {
+    this.colorBucket = getColorBucket(this.dominantColor);
+  }
+  next();
+});
+
+/**
+ * Recalculates the trending score of matching images after their counters changed
+ * 
+ * @param {Object} filter - Images to update, e.g. `{ _id: imageId }`
+ * @returns {Promise<Object>} Update result
+ */
+ImageSchema.statics.refreshTrendingScore = function(filter) {
+  return this.updateMany(filter, [{ $set: { trendingScore: TRENDING_SCORE_EXPRESSION } }]);
+};
+
 // Virtual for formatted creation date
 ImageSchema.virtual('formattedDate').get(function() {
   return this.createdAt.toLocaleDateString('en-US', {
@@ -67,18 +255,4 @@ ImageSchema.virtual('formattedDate').get(function() {
   });
 });
 
-// Virtual for like count
-ImageSchema.virtual('likeCount').get(function() {
-  return this.likes ? this.likes.length : 0;
-});
-
-// Format image URL to ensure it's properly formed
-ImageSchema.pre('save', function(next) {
-  // If URL doesn't start with http or https, add https
-  if (this.imageUrl && !this.imageUrl.match(/^https?:\/\//)) {
-    this.imageUrl = 'https://' + this.imageUrl;
-  }
-  next();
-});
-
 module.exports = mongoose.model('Image', ImageSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Save Schema recording which users saved which images
+ * @typedef {Object} Save
+ * @property {ObjectId} user - Reference to the user who saved the image
+ * @property {ObjectId} image - Reference to the saved image
+ * @property {ObjectId} board - Optional board the image was saved to
+ * @property {Date} createdAt - Timestamp when the image was saved
+ */
+const SaveSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  image: {
+    type: Schema.Types.ObjectId,
+    ref: 'Image',
+    required: [true, 'Image reference is required'],
+    index: true
+  },
+  board: {
+    type: Schema.Types.ObjectId,
+    ref: 'Board'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can save an image only once; also serves the saved pins listing
+SaveSchema.index({ user: 1, image: 1 }, { unique: true });
+SaveSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Save', SaveSchema);
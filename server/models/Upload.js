@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Upload Schema tracking resumable uploads that are still receiving chunks
+ * @typedef {Object} Upload
+ * @property {ObjectId} user - Reference to the user uploading the file
+ * @property {string} filename - Original name of the file
+ * @property {number} size - Total size of the file in bytes
+ * @property {number} offset - Bytes received so far; the next chunk must start here
+ * @property {Date} writingUntil - Set while a request writes the chunk at offset, so no other
+ *   request writes over it; lapses if that request dies mid-write
+ * @property {boolean} finalizing - Set while a request turns the upload into a pin, so a
+ *   retried finalize can't create a second one
+ * @property {Date} createdAt - Timestamp when the upload was started
+ * @property {Date} expiresAt - Time after which an unfinished upload is discarded
+ */
+const UploadSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  filename: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [1, 'File size must be at least 1 byte']
+  },
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  writingUntil: {
+    type: Date
+  },
+  finalizing: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes unfinished uploads once they expire; their chunk files are swept by the route
+UploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Upload', UploadSchema);
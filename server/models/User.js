@@ -11,6 +11,9 @@ const Schema = mongoose.Schema;
  * @property {string} displayName - User's display name
  * @property {string} profileUrl - URL to user's GitHub profile
  * @property {string} avatarUrl - URL to user's avatar/profile image
+ * @property {number} followerCount - Number of users following this user
+ * @property {number} followingCount - Number of users this user follows
+ * @property {Array<string>} followedTags - Tags whose pins show up in the user's feed
  * @property {Date} createdAt - Account creation timestamp
  */
 const UserSchema = new Schema({
@@ -49,6 +52,22 @@ const UserSchema = new Schema({
     type: String,
     trim: true
   },
+  followerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  followedTags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
   createdAt: {
     type: Date,
     default: Date.now,
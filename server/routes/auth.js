@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
 const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { checkAuthentication } = require('../middleware/authMiddleware');
 
 /**
  * Handle Firebase authentication
@@ -130,12 +132,12 @@ router.get('/user', async (req, res) => {
  * Get user profile by username
  * This route is used for public profile pages
  */
-router.get('/user/:username', async (req, res) => {
+router.get('/user/:username', checkAuthentication, async (req, res) => {
   try {
     const { username } = req.params;
     
     // Find user by username, excluding sensitive fields
-    const user = await User.findOne({ username }).select('username displayName avatarUrl bio createdAt');
+    const user = await User.findOne({ username }).select('username displayName avatarUrl bio createdAt followerCount followingCount');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -144,6 +146,11 @@ router.get('/user/:username', async (req, res) => {
     // Get image count for the user
     const imageCount = await require('../models/Image').countDocuments({ user: user._id });
     
+    // Let the profile page show a Follow or Unfollow button
+    const followedByMe = req.user
+      ? !!(await Follow.exists({ follower: req.user._id, following: user._id }))
+      : false;
+    
     // Return user data with image count
     return res.status(200).json({
       _id: user._id,
@@ -152,7 +159,10 @@ router.get('/user/:username', async (req, res) => {
       avatarUrl: user.avatarUrl,
       bio: user.bio || '',
       createdAt: user.createdAt,
-      imageCount
+      imageCount,
+      followerCount: user.followerCount || 0,
+      followingCount: user.followingCount || 0,
+      followedByMe
     });
   } catch (error) {
     console.error('Error fetching user by username:', error);
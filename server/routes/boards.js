@@ -0,0 +1,355 @@
+const express = require('express');
+const router = express.Router();
+const { ensureAuthenticated, checkAuthentication } = require('../middleware/authMiddleware');
+const Board = require('../models/Board');
+const Image = require('../models/Image');
+const User = require('../models/User');
+const Save = require('../models/Save');
+const { withAssetUrls } = require('../utils/assetUrls');
+
+// Image fields needed to show a board cover
+const COVER_FIELDS = 'imageUrl storageKey title';
+
+/**
+ * Checks whether a user may view a board
+ *
+ * @param {Object} board - Board document or lean object
+ * @param {Object|null} viewer - Authenticated user or null
+ * @returns {boolean} Whether the board is visible to the viewer
+ */
+function canViewBoard(board, viewer) {
+  if (board.privacy === 'public') return true;
+  if (!viewer) return false;
+
+  const ownerId = board.user._id || board.user;
+  return ownerId.toString() === viewer._id.toString() || viewer.role === 'admin';
+}
+
+/**
+ * Replaces the pins array with a pin count and resolves each board's cover,
+ * falling back to the first pin when no cover image was chosen
+ *
+ * @param {Array<Object>} boards - Lean board objects with coverImage populated
+ * @returns {Promise<Array<Object>>} Boards ready to be sent to the client
+ */
+async function withCovers(boards) {
+  const fallbackIds = boards
+    .filter(board => !board.coverImage && board.pins.length)
+    .map(board => board.pins[0]);
+
+  const fallbacks = await Image.find({ _id: { $in: fallbackIds } })
+    .select(COVER_FIELDS)
+    .lean();
+  const fallbackById = new Map(fallbacks.map(image => [image._id.toString(), image]));
+
+  return boards.map(({ pins, ...board }) => ({
+    ...board,
+    pinCount: pins.length,
+    coverImage: withAssetUrls(board.coverImage || (pins.length ? fallbackById.get(pins[0].toString()) || null : null))
+  }));
+}
+
+/**
+ * Sends a 400 response for mongoose validation and duplicate title errors
+ *
+ * @param {Error} err - Error thrown while saving a board
+ * @param {Object} res - Express response object
+ * @returns {boolean} Whether a response was sent
+ */
+function handleBoardSaveError(err, res) {
+  if (err.name === 'ValidationError') {
+    const messages = Object.values(err.errors).map(error => error.message);
+    res.status(400).json({ message: messages[0], errors: messages });
+    return true;
+  }
+
+  if (err.code === 11000) {
+    res.status(409).json({ message: 'You already have a board with this title' });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * @desc    Get all boards for the logged-in user, including private ones
+ * @route   GET /boards
+ * @access  Private
+ */
+router.get('/', ensureAuthenticated, async (req, res) => {
+  try {
+    const boards = await Board.find({ user: req.user._id })
+      .populate('coverImage', COVER_FIELDS)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json(await withCovers(boards));
+  } catch (err) {
+    console.error('Error fetching boards:', err.message);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Get boards for a specific user by username
+ * @route   GET /boards/user/:username
+ * @access  Public (private boards are only listed for their owner)
+ */
+router.get('/user/:username', checkAuthentication, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isOwner = req.user && req.user._id.toString() === user._id.toString();
+    const query = isOwner ? { user: user._id } : { user: user._id, privacy: 'public' };
+
+    const boards = await Board.find(query)
+      .populate('coverImage', COVER_FIELDS)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json(await withCovers(boards));
+  } catch (err) {
+    console.error('Error fetching user boards:', err.message);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Get a board with its pins in board order
+ * @route   GET /boards/:id
+ * @access  Public (private boards only for their owner or an admin)
+ */
+router.get('/:id', checkAuthentication, async (req, res) => {
+  try {
+    const board = await Board.findById(req.params.id)
+      .populate('user', 'username displayName avatarUrl')
+      .populate('coverImage', COVER_FIELDS)
+      .populate({
+        path: 'pins',
+        populate: { path: 'user', select: 'username displayName avatarUrl' }
+      })
+      .lean();
+
+    // Private boards are reported as missing so their existence isn't leaked
+    if (!board || !canViewBoard(board, req.user)) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+
+    const pins = board.pins.map(withAssetUrls);
+
+    res.json({
+      ...board,
+      pins,
+      pinCount: pins.length,
+      coverImage: withAssetUrls(board.coverImage) || pins[0] || null
+    });
+  } catch (err) {
+    console.error('Error fetching board:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid board ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Create a new board
+ * @route   POST /boards
+ * @access  Private
+ */
+router.post('/', ensureAuthenticated, async (req, res) => {
+  const { title, description, privacy } = req.body || {};
+
+  try {
+    const board = await new Board({
+      title,
+      description: description || '',
+      privacy: privacy || 'public',
+      user: req.user._id
+    }).save();
+
+    res.status(201).json({ ...board.toObject(), pinCount: 0 });
+  } catch (err) {
+    if (handleBoardSaveError(err, res)) return;
+
+    console.error('Error creating board:', err.message);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Update a board's details, cover or pin order
+ * @route   PATCH /boards/:id
+ * @access  Private (owner only)
+ */
+router.patch('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const board = await Board.findById(req.params.id);
+
+    if (!board || board.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+
+    const { title, description, privacy, coverImage, pins } = req.body || {};
+
+    if (title !== undefined) board.title = title;
+    if (description !== undefined) board.description = description;
+    if (privacy !== undefined) board.privacy = privacy;
+
+    const currentPins = board.pins.map(pin => pin.toString());
+
+    if (coverImage !== undefined) {
+      if (coverImage && !currentPins.includes(coverImage)) {
+        return res.status(400).json({ message: 'Cover image must be one of the board pins' });
+      }
+      board.coverImage = coverImage || undefined;
+    }
+
+    // Reordering must keep exactly the same set of pins
+    if (pins !== undefined) {
+      const isSamePinSet = Array.isArray(pins) &&
+        pins.length === currentPins.length &&
+        new Set(pins).size === pins.length &&
+        pins.every(pin => currentPins.includes(pin));
+
+      if (!isSamePinSet) {
+        return res.status(400).json({ message: 'Pins must contain exactly the pins already on the board' });
+      }
+      board.pins = pins;
+    }
+
+    board.updatedAt = Date.now();
+    await board.save();
+
+    const [updatedBoard] = await withCovers([
+      await Board.findById(board._id).populate('coverImage', COVER_FIELDS).lean()
+    ]);
+
+    res.json(updatedBoard);
+  } catch (err) {
+    if (handleBoardSaveError(err, res)) return;
+
+    console.error('Error updating board:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid board ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Delete a board (the pins themselves are kept)
+ * @route   DELETE /boards/:id
+ * @access  Private (owner only)
+ */
+router.delete('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const board = await Board.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!board) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+
+    // The pins stay saved, just no longer on a board
+    await Save.updateMany({ board: board._id }, { $unset: { board: 1 } });
+
+    res.json({ message: 'Board successfully removed', boardId: req.params.id });
+  } catch (err) {
+    console.error('Error deleting board:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid board ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Add a pin to a board, optionally at a given position
+ * @route   POST /boards/:id/pins
+ * @access  Private (owner only)
+ */
+router.post('/:id/pins', ensureAuthenticated, async (req, res) => {
+  const { imageId, position } = req.body || {};
+
+  if (!imageId) {
+    return res.status(400).json({ message: 'Image ID is required' });
+  }
+
+  try {
+    const board = await Board.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!board) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+
+    const imageExists = await Image.exists({ _id: imageId });
+    if (!imageExists) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    // Adding a pin that is already on the board is a no-op
+    if (!board.pins.some(pin => pin.toString() === imageId)) {
+      const index = Number.isInteger(position)
+        ? Math.min(Math.max(position, 0), board.pins.length)
+        : board.pins.length;
+
+      board.pins.splice(index, 0, imageId);
+      board.updatedAt = Date.now();
+      await board.save();
+    }
+
+    res.json({ boardId: board._id, imageId, pinCount: board.pins.length });
+  } catch (err) {
+    console.error('Error adding pin to board:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Remove a pin from a board
+ * @route   DELETE /boards/:id/pins/:imageId
+ * @access  Private (owner only)
+ */
+router.delete('/:id/pins/:imageId', ensureAuthenticated, async (req, res) => {
+  try {
+    const board = await Board.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!board) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+
+    board.pins.pull(req.params.imageId);
+    if (board.coverImage && board.coverImage.toString() === req.params.imageId) {
+      board.coverImage = undefined;
+    }
+    board.updatedAt = Date.now();
+    await board.save();
+
+    res.json({ boardId: board._id, imageId: req.params.imageId, pinCount: board.pins.length });
+  } catch (err) {
+    console.error('Error removing pin from board:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { ensureAuthenticated, checkAuthentication } = require('../middleware/authMiddleware');
+const Comment = require('../models/Comment');
+const Image = require('../models/Image');
+const { parseLimit, decodeCursor, afterCursorFilter, buildPage } = require('../utils/pagination');
+
+const AUTHOR_FIELDS = 'username displayName avatarUrl';
+
+/**
+ * Hides the author and text of deleted comments that are kept for their replies
+ *
+ * @param {Object} comment - Lean comment with user populated
+ * @returns {Object} Comment safe to send to the client
+ */
+function toPublicComment(comment) {
+  if (!comment.isDeleted) return comment;
+  return { ...comment, user: null, text: '' };
+}
+
+/**
+ * Sends a 400 response for mongoose validation errors
+ *
+ * @param {Error} err - Error thrown while saving a comment
+ * @param {Object} res - Express response object
+ * @returns {boolean} Whether a response was sent
+ */
+function handleValidationError(err, res) {
+  if (err.name !== 'ValidationError') return false;
+
+  const messages = Object.values(err.errors).map(error => error.message);
+  res.status(400).json({ message: messages[0], errors: messages });
+  return true;
+}
+
+/**
+ * @desc    Get comments on an image: top-level comments newest first, or the
+ *          replies of one comment oldest first when `parent` is given
+ * @route   GET /images/:id/comments?parent=&after=&limit=
+ * @access  Public
+ */
+router.get('/', checkAuthentication, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Invalid image ID format' });
+    }
+
+    const imageExists = await Image.exists({ _id: req.params.id });
+    if (!imageExists) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const { parent, after } = req.query;
+
+    if (parent && !mongoose.isValidObjectId(parent)) {
+      return res.status(400).json({ message: 'Invalid parent comment ID' });
+    }
+
+    const cursor = after ? decodeCursor(after) : null;
+    if (after && !cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const limit = parseLimit(req.query.limit, parent ? 10 : 20, 50);
+    const direction = parent ? 1 : -1;
+
+    const query = { image: req.params.id, parent: parent || null };
+    if (cursor) {
+      Object.assign(query, afterCursorFilter('createdAt', direction, cursor));
+    }
+
+    const comments = await Comment.find(query)
+      .populate('user', AUTHOR_FIELDS)
+      .sort({ createdAt: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+
+    const { items, pagination } = buildPage(comments, limit, 'createdAt');
+
+    res.json({ comments: items.map(toPublicComment), pagination });
+  } catch (err) {
+    console.error('Error fetching comments:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Post a comment, or a reply when `parentId` is given
+ * @route   POST /images/:id/comments
+ * @access  Private
+ */
+router.post('/', ensureAuthenticated, async (req, res) => {
+  const { text, parentId } = req.body || {};
+
+  try {
+    const image = await Image.findById(req.params.id).select('_id');
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, image: image._id, isDeleted: false });
+      if (!parent) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      // Replying to a reply continues the same thread
+      if (parent.parent) {
+        parent = await Comment.findById(parent.parent);
+      }
+    }
+
+    const comment = await new Comment({
+      image: image._id,
+      user: req.user._id,
+      parent: parent ? parent._id : null,
+      text
+    }).save();
+
+    await Image.updateOne({ _id: image._id }, { $inc: { commentCount: 1 } });
+    await Image.refreshTrendingScore({ _id: image._id });
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+
+    await comment.populate('user', AUTHOR_FIELDS);
+
+    res.status(201).json(comment);
+  } catch (err) {
+    if (handleValidationError(err, res)) return;
+
+    console.error('Error posting comment:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Edit a comment's text
+ * @route   PATCH /images/:id/comments/:commentId
+ * @access  Private (author only)
+ */
+router.patch('/:commentId', ensureAuthenticated, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      image: req.params.id,
+      isDeleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    comment.text = req.body?.text;
+    comment.updatedAt = Date.now();
+    await comment.save();
+    await comment.populate('user', AUTHOR_FIELDS);
+
+    res.json(comment);
+  } catch (err) {
+    if (handleValidationError(err, res)) return;
+
+    console.error('Error updating comment:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Delete a comment. A comment that still has replies is blanked out
+ *          instead of removed so the thread stays readable
+ * @route   DELETE /images/:id/comments/:commentId
+ * @access  Private (author, pin owner or admin)
+ */
+router.delete('/:commentId', ensureAuthenticated, async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id).select('user');
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      image: image._id,
+      isDeleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const canDelete = comment.user.toString() === req.user.id ||
+      image.user.toString() === req.user.id ||
+      req.user.role === 'admin';
+
+    if (!canDelete) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    let removed = true;
+
+    if (comment.replyCount > 0) {
+      comment.isDeleted = true;
+      comment.text = '';
+      await comment.save();
+      removed = false;
+    } else {
+      await comment.deleteOne();
+
+      if (comment.parent) {
+        const parent = await Comment.findOneAndUpdate(
+          { _id: comment.parent, replyCount: { $gt: 0 } },
+          { $inc: { replyCount: -1 } },
+          { new: true }
+        );
+
+        // Drop a deleted parent once its last reply is gone
+        if (parent && parent.isDeleted && parent.replyCount === 0) {
+          await parent.deleteOne();
+        }
+      }
+    }
+
+    await Image.updateOne(
+      { _id: image._id, commentCount: { $gt: 0 } },
+      { $inc: { commentCount: -1 } }
+    );
+    await Image.refreshTrendingScore({ _id: image._id });
+
+    res.json({
+      message: 'Comment successfully removed',
+      commentId: comment._id,
+      parentId: comment.parent,
+      removed
+    });
+  } catch (err) {
+    console.error('Error deleting comment:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+module.exports = router;
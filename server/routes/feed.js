@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const Image = require('../models/Image');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { parseLimit, decodeCursor, afterCursorFilter, buildPage } = require('../utils/pagination');
+const { withViewerState } = require('../utils/viewerState');
+const { normalizeTag } = require('../utils/searchFilters');
+
+const MAX_FOLLOWED_TAGS = 50;
+
+/**
+ * @desc    Get the personalised feed: pins from followed users and followed tags,
+ *          newest first. Falls back to every pin while the user follows nothing
+ *          that has been pinned yet
+ * @route   GET /feed?after=&limit=
+ * @access  Private
+ */
+router.get('/', ensureAuthenticated, async (req, res) => {
+  try {
+    const cursor = req.query.after ? decodeCursor(req.query.after) : null;
+    if (req.query.after && !cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const limit = parseLimit(req.query.limit, 30);
+    const followingIds = await Follow.find({ follower: req.user._id }).distinct('following');
+    const followedTags = req.user.followedTags || [];
+
+    const sources = [];
+    if (followingIds.length) sources.push({ user: { $in: followingIds } });
+    if (followedTags.length) sources.push({ tags: { $in: followedTags } });
+
+    let baseQuery = {};
+    let source = 'everyone';
+
+    if (sources.length) {
+      const followingQuery = { $or: sources, user: { $ne: req.user._id } };
+      if (await Image.exists(followingQuery)) {
+        baseQuery = followingQuery;
+        source = 'following';
+      }
+    }
+
+    const query = cursor
+      ? { $and: [baseQuery, afterCursorFilter('createdAt', -1, cursor)] }
+      : baseQuery;
+
+    const images = await Image.find(query)
+      .populate('user', 'username displayName avatarUrl')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const { items, pagination } = buildPage(images, limit, 'createdAt');
+
+    res.json({
+      images: await withViewerState(items, req.user),
+      pagination,
+      source
+    });
+  } catch (err) {
+    console.error('Error fetching feed:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Get the tags the logged-in user follows
+ * @route   GET /feed/tags
+ * @access  Private
+ */
+router.get('/tags', ensureAuthenticated, (req, res) => {
+  res.json({ tags: req.user.followedTags || [] });
+});
+
+/**
+ * @desc    Follow a tag so its pins show up in the feed
+ * @route   POST /feed/tags
+ * @access  Private
+ */
+router.post('/tags', ensureAuthenticated, async (req, res) => {
+  const tag = normalizeTag(req.body.tag);
+
+  if (!tag || tag.length > 30) {
+    return res.status(400).json({ message: 'Tag must be between 1 and 30 characters' });
+  }
+
+  try {
+    const followedTags = req.user.followedTags || [];
+
+    if (!followedTags.includes(tag) && followedTags.length >= MAX_FOLLOWED_TAGS) {
+      return res.status(400).json({ message: `You can follow at most ${MAX_FOLLOWED_TAGS} tags` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $addToSet: { followedTags: tag } },
+      { new: true }
+    ).select('followedTags');
+
+    res.json({ tag, tags: user.followedTags });
+  } catch (err) {
+    console.error('Error following tag:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Stop following a tag
+ * @route   DELETE /feed/tags/:tag
+ * @access  Private
+ */
+router.delete('/tags/:tag', ensureAuthenticated, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { followedTags: tag } },
+      { new: true }
+    ).select('followedTags');
+
+    res.json({ tag, tags: user.followedTags });
+  } catch (err) {
+    console.error('Error unfollowing tag:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+module.exports = router;
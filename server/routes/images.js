@@ -1,112 +1,304 @@
 const express = require('express');
 const router = express.Router();
-const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const { ensureAuthenticated, checkAuthentication } = require('../middleware/authMiddleware');
 const Image = require('../models/Image');
 const User = require('../models/User');
-const axios = require('axios');
+const Board = require('../models/Board');
+const Save = require('../models/Save');
+const Comment = require('../models/Comment');
+const { trackClientAbort } = require('../middleware/abortMiddleware');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, '../uploads');
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with original extension
-    const uniqueFilename = `${uuidv4()}${path.extname(file.originalname)}`;
-    cb(null, uniqueFilename);
-  }
-});
+const storage = require('../storage');
+const { withViewerState } = require('../utils/viewerState');
+const { parseLimit, decodeCursor, afterCursorFilter, buildPage } = require('../utils/pagination');
+const { analyzeImage, ImageProcessingError } = require('../utils/imageProcessing');
+const { RemoteFetchError } = require('../utils/safeFetch');
+const { fetchLinkTarget } = require('../utils/pageMetadata');
+const { IMAGE_TYPES } = require('../utils/imageType');
+const {
+  parseSearchFilters,
+  resolveUploader,
+  buildFilterMatch,
+  findSearchFacets
+} = require('../utils/searchFilters');
+const {
+  UNSUPPORTED_TYPE_MESSAGE,
+  storeImage,
+  getStorageKeys,
+  findOwnedBoard,
+  addToBoard,
+  createImage,
+  createUploadedImage
+} = require('../utils/imageIngest');
+
+// Largest image accepted, whether uploaded or downloaded from a URL
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
 
-// Filter function to validate file types
+// URL pins are copied into storage unless disabled here or per request
+const MIRROR_URL_PINS = process.env.MIRROR_URL_PINS !== 'false';
+
+// Early rejection based on the declared type; the contents are verified after upload
+const ALLOWED_MIME_TYPES = Object.values(IMAGE_TYPES).map(type => type.mimeType);
 const fileFilter = (req, file, cb) => {
-  // Accept only image files
-  if (file.mimetype.startsWith('image/')) {
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype) || file.mimetype === 'image/jpg') {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed!'), false);
+    const error = new Error(UNSUPPORTED_TYPE_MESSAGE);
+    error.code = 'UNSUPPORTED_TYPE';
+    cb(error, false);
   }
 };
 
-// Initialize multer with configuration
+// Uploads are kept in memory: they are checked and processed before anything is
+// written to the storage backend
 const upload = multer({ 
-  storage: storage,
+  storage: multer.memoryStorage(),
   fileFilter: fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 } // Limit to 10MB
+  limits: { fileSize: MAX_IMAGE_BYTES } // Limit to 10MB
+});
+
+// Fields GET /images can sort by; each has an index in the Image model
+const SORT_FIELDS = ['createdAt', 'likeCount', 'saveCount', 'commentCount', 'trendingScore'];
+
+// Images per page of a listing when the client doesn't ask for a size
+const IMAGE_PAGE_SIZE = 30;
+
+const USER_FIELDS = 'username displayName avatarUrl';
+
+// Most tags suggested when a search finds nothing
+const MAX_RELATED_TAGS = 8;
+
+// Recent pins whose tags are suggested when none start like the search words
+const RELATED_TAGS_SAMPLE = 500;
+
+// Most files accepted by one bulk upload request
+const MAX_BULK_FILES = 20;
+
+// Bulk uploads skip the declared-type filter so one wrong file doesn't fail the
+// whole batch; every file is sniffed and reported on individually instead
+const bulkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_BULK_FILES }
 });
 
 /**
- * Validates if a URL points to an accessible image
+ * Wraps a multer middleware so its errors become JSON responses instead of
+ * reaching the generic 500 handler
  * 
- * @param {string} url - URL to validate
- * @returns {Promise<boolean>} Whether the URL is a valid image
+ * @param {Function} receive - Multer middleware, e.g. upload.single('file')
+ * @returns {Function} Express middleware
  */
-async function isValidImageUrl(url) {
-  try {
-    if (!url) return false;
-    
-    // Basic URL validation
-    const pattern = /^(https?:\/\/)([\w.-]+)([/\w.-]*)*\/?$/;
-    if (!pattern.test(url)) return false;
-    
-    // Try to fetch headers to check content type
-    const response = await axios.head(url, { 
-      timeout: 5000, // 5 second timeout
-      validateStatus: status => status < 400 // Any success status code
+function receiveUpload(receive) {
+  return (req, res, next) => {
+    receive(req, res, (err) => {
+      if (!err) return next();
+
+      if (err.code === 'UNSUPPORTED_TYPE') {
+        return res.status(415).json({ message: err.message });
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: 'File size exceeds the 10MB limit' });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({ message: `You can upload up to ${MAX_BULK_FILES} images at once` });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ message: err.message });
+      }
+      next(err);
     });
-    
-    const contentType = response.headers['content-type'];
-    return contentType && contentType.startsWith('image/');
-  } catch (error) {
-    console.error(`Error validating image URL ${url}:`, error.message);
+  };
+}
+
+/**
+ * Checks that tags sent by the client are a list of strings; the Image schema
+ * then trims, lowercases and length-checks each one
+ * 
+ * @param {*} tags - Tags from the request
+ * @returns {boolean} Whether the tags can be stored
+ */
+function isTagList(tags) {
+  return Array.isArray(tags) && tags.every(tag => typeof tag === 'string');
+}
+
+/**
+ * Checks that a page URL given for attribution is an absolute http(s) URL
+ * 
+ * @param {string} url - URL to check
+ * @returns {boolean} Whether the URL can be stored as a pin's source
+ */
+function isValidSourceUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
     return false;
   }
 }
 
+/**
+ * Shapes a fetched web page for responses
+ * 
+ * @param {Object} target - Page returned by fetchLinkTarget
+ * @returns {Object} `{ kind: 'page', url, title, description, images }`
+ */
+function toPagePreview({ kind, url, title, description, images }) {
+  return { kind, url, title, description, images };
+}
+
+/**
+ * Counts the tags of the matching images, most used first
+ * 
+ * @param {Array<Object>} stages - Pipeline stages selecting the images and their tags
+ * @returns {Promise<Array<string>>} Up to MAX_RELATED_TAGS tags
+ */
+async function countTags(stages) {
+  const counts = await Image.aggregate([
+    ...stages,
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_RELATED_TAGS }
+  ]);
+  return counts.map(({ _id }) => _id);
+}
+
+/**
+ * Finds tags to suggest when a search has no results: tags starting like one of
+ * the search words, or else the tags used most on recent pins
+ * 
+ * @param {string} q - Search query
+ * @returns {Promise<Array<string>>} Tags, most used first
+ */
+async function findRelatedTags(q) {
+  // Excluded words (-word) aren't suggested; quotes and # are ignored
+  const words = q.toLowerCase()
+    .split(/\s+/)
+    .filter(word => !word.startsWith('-'))
+    .map(word => word.replace(/["#]/g, ''))
+    .filter(word => word.length >= 3);
+
+  // Drop the last letters of longer words so plurals and other endings still match
+  const prefixes = words.map((word) => {
+    const stem = word.slice(0, Math.max(3, word.length - 2));
+    return new RegExp(`^${stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+  });
+
+  if (prefixes.length) {
+    const tags = await countTags([
+      { $match: { tags: { $in: prefixes } } },
+      { $unwind: '$tags' },
+      { $match: { tags: { $in: prefixes } } }
+    ]);
+    if (tags.length) return tags;
+  }
+
+  return countTags([
+    { $sort: { createdAt: -1 } },
+    { $limit: RELATED_TAGS_SAMPLE },
+    { $unwind: '$tags' }
+  ]);
+}
+
+/**
+ * @desc    Look up what a link points at before pinning it: an image, or a web
+ *          page with candidate images and a suggested title and description
+ * @route   POST /images/url/preview
+ * @access  Private
+ */
+router.post('/url/preview', ensureAuthenticated, async (req, res) => {
+  const { url } = req.body || {};
+
+  if (!url) {
+    return res.status(400).json({ message: 'URL is required' });
+  }
+
+  try {
+    const target = await fetchLinkTarget(url, { maxBytes: MAX_IMAGE_BYTES });
+
+    if (target.kind === 'image') {
+      return res.json({ kind: 'image', url: target.url });
+    }
+    res.json(toPagePreview(target));
+  } catch (err) {
+    console.error(`Error previewing URL ${url}:`, err.message);
+
+    if (err instanceof RemoteFetchError) {
+      return res.status(400).json({ message: `Invalid URL: ${err.message}` });
+    }
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
 /**
  * @desc    Add a new image via URL
  * @route   POST /images/url
  * @access  Private
  */
 router.post('/url', ensureAuthenticated, async (req, res) => {
-  const { imageUrl, title, description, tags } = req.body;
+  const { imageUrl, sourceUrl, title, description, tags, boardId, mirror } = req.body || {};
 
   if (!imageUrl) {
     return res.status(400).json({ message: 'Image URL is required' });
   }
 
+  // Set when the image was picked from a web page, which is then credited instead of the image itself
+  if (sourceUrl && !isValidSourceUrl(sourceUrl)) {
+    return res.status(400).json({ message: 'Source URL must be an http or https link' });
+  }
+
   try {
-    // Validate that the URL points to an actual image
-    const isValid = await isValidImageUrl(imageUrl);
-    if (!isValid) {
+    const board = await findOwnedBoard(boardId, req.user);
+    if (board === null) {
+      return res.status(400).json({ message: 'Board not found' });
+    }
+
+    // Download the image once through the SSRF-safe fetcher, which also checks that
+    // it really is an image
+    let target;
+    try {
+      target = await fetchLinkTarget(imageUrl, { maxBytes: MAX_IMAGE_BYTES });
+    } catch (fetchError) {
+      console.error(`Error fetching image URL ${imageUrl}:`, fetchError.message);
       return res.status(400).json({ 
-        message: 'Invalid image URL. Please provide a direct link to an image file.' 
+        message: fetchError instanceof RemoteFetchError
+          ? `Invalid image URL: ${fetchError.message}`
+          : 'Invalid image URL. Please provide a link to an image or a web page.'
+      });
+    }
+
+    // A link to a web page: send back its images so the user can pick one
+    if (target.kind === 'page') {
+      return res.status(422).json({
+        message: 'This link is a web page. Pick one of its images to pin.',
+        page: toPagePreview(target)
       });
     }
 
-    const newImage = new Image({
-      imageUrl,
+    // Mirrored pins are stored like uploads; hotlinked pins are still measured so
+    // the grid can reserve their box and paint a placeholder. Storage failures
+    // are left to the 500 handler below
+    let imageFields;
+    try {
+      if (MIRROR_URL_PINS && mirror !== false) {
+        imageFields = await storeImage(target.buffer, target.type);
+      } else {
+        imageFields = { imageUrl, ...await analyzeImage(target.buffer) };
+      }
+    } catch (processingError) {
+      if (!(processingError instanceof ImageProcessingError)) throw processingError;
+      console.error(`Error processing image URL ${imageUrl}:`, processingError.message);
+      return res.status(400).json({ message: 'Invalid image URL: the linked file could not be read as an image' });
+    }
+
+    const image = await createImage({
+      ...imageFields,
+      sourceUrl: sourceUrl || imageUrl,
       title: title || '',
       description: description || '',
       tags: Array.isArray(tags) ? tags : [],
       user: req.user.id
-    });
-
-    const image = await newImage.save();
-    
-    // Return the populated image for immediate display
-    const populatedImage = await Image.findById(image._id)
-      .populate('user', 'username displayName avatarUrl');
+    }, board);
       
-    res.status(201).json(populatedImage);
+    res.status(201).json(image);
   } catch (err) {
     console.error('Error creating image:', err.message);
     res.status(500).json({ message: 'Server Error', error: err.message });
@@ -118,91 +310,296 @@ router.post('/url', ensureAuthenticated, async (req, res) => {
  * @route   POST /images/upload
  * @access  Private
  */
-router.post('/upload', ensureAuthenticated, upload.single('file'), async (req, res) => {
+router.post('/upload', ensureAuthenticated, trackClientAbort, receiveUpload(upload.single('file')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No image file uploaded' });
     }
 
-    // Get file path and create URL for the uploaded file
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const relativePath = `/uploads/${req.file.filename}`;
-    const imageUrl = `${baseUrl}${relativePath}`;
+    // Multipart fields are strings, so the tags arrive as JSON
+    let tags;
+    try {
+      tags = req.body.tags ? JSON.parse(req.body.tags) : [];
+    } catch {
+      tags = null;
+    }
+    if (!isTagList(tags)) {
+      return res.status(400).json({ message: 'Tags must be a JSON array of strings' });
+    }
 
-    // Extract other form data
-    const title = req.body.title || '';
-    const description = req.body.description || '';
-    const tags = req.body.tags ? JSON.parse(req.body.tags) : [];
+    const board = await findOwnedBoard(req.body.boardId, req.user);
+    if (board === null) {
+      return res.status(400).json({ message: 'Board not found' });
+    }
 
-    const newImage = new Image({
-      imageUrl,
-      title,
-      description,
-      tags,
-      user: req.user.id
+    const result = await createUploadedImage(req.file, {
+      title: req.body.title,
+      description: req.body.description,
+      tags
+    }, {
+      user: req.user,
+      board,
+      captureExif: req.body.shareExif === 'true',
+      signal: req.abortSignal
     });
 
-    const image = await newImage.save();
-    
-    // Return the populated image for immediate display
-    const populatedImage = await Image.findById(image._id)
-      .populate('user', 'username displayName avatarUrl');
-      
-    res.status(201).json(populatedImage);
+    if (!result.image) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json(result.image);
   } catch (err) {
+    // The client cancelled, so there is no one left to answer
+    if (err.name === 'AbortError') return;
+
     console.error('Error uploading image:', err.message);
     res.status(500).json({ message: 'Server Error', error: err.message });
   }
 });
 
+/**
+ * @desc    Add several images in one request; each file is processed on its own
+ *          and gets its own result, so one bad file doesn't fail the batch
+ * @route   POST /images/upload/bulk
+ * @access  Private
+ */
+router.post('/upload/bulk', ensureAuthenticated, trackClientAbort, receiveUpload(bulkUpload.array('files', MAX_BULK_FILES)), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No image files uploaded' });
+    }
+
+    // Per-file title, description and tags, in the same order as the files
+    let items;
+    try {
+      items = req.body.items ? JSON.parse(req.body.items) : [];
+    } catch {
+      items = null;
+    }
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ message: 'Items must be a JSON array of file details' });
+    }
+
+    const board = await findOwnedBoard(req.body.boardId, req.user);
+    if (board === null) {
+      return res.status(400).json({ message: 'Board not found' });
+    }
+
+    const captureExif = req.body.shareExif === 'true';
+    const results = [];
+
+    // One file at a time keeps memory and CPU use flat for large batches
+    for (const [index, file] of files.entries()) {
+      const details = items[index] && typeof items[index] === 'object' ? items[index] : {};
+
+      try {
+        const result = await createUploadedImage(file, details, {
+          user: req.user,
+          board,
+          captureExif,
+          signal: req.abortSignal
+        });
+        results.push({ index, filename: file.originalname, ...result });
+      } catch (err) {
+        // Files already created stay; the rest of the batch is dropped
+        if (err.name === 'AbortError') throw err;
+        console.error(`Error uploading ${file.originalname}:`, err.message);
+        results.push({ index, filename: file.originalname, status: 500, message: 'The image could not be saved' });
+      }
+    }
+
+    const created = results.filter(result => result.image).length;
+
+    // 207 tells the client to look at each result when some files failed
+    res.status(created === results.length ? 201 : 207).json({
+      results,
+      created,
+      failed: results.length - created
+    });
+  } catch (err) {
+    // The client cancelled, so there is no one left to answer
+    if (err.name === 'AbortError') return;
+
+    console.error('Error bulk uploading images:', err.message);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * Reads the `after`, `limit` and `includeTotal` query parameters shared by the
+ * image listings
+ * 
+ * @param {Object} query - Express query object
+ * @returns {Object|null} `{ cursor, limit, includeTotal }`, or null when the cursor is invalid
+ */
+function parseListingQuery(query) {
+  const cursor = query.after ? decodeCursor(query.after) : null;
+  if (query.after && !cursor) return null;
+
+  return {
+    cursor,
+    limit: parseLimit(query.limit, IMAGE_PAGE_SIZE),
+    // Counting every match costs a second query, so clients ask for it when they show it
+    includeTotal: query.includeTotal === 'true'
+  };
+}
+
+/**
+ * Fetches one page of the images matching a filter, continuing after the cursor
+ * 
+ * @param {Object} filter - Images to list
+ * @param {Object} listing - Parameters returned by parseListingQuery
+ * @param {Object} [sort] - Sort order; newest first by default
+ * @param {string} [sort.field='createdAt'] - Indexed field to sort and page by
+ * @param {number} [sort.direction=-1] - 1 for ascending, -1 for descending
+ * @returns {Promise<Object>} `{ items, pagination }`; pagination has `total` when it was asked for
+ */
+async function findImagePage(filter, { cursor, limit, includeTotal }, { field = 'createdAt', direction = -1 } = {}) {
+  const query = cursor
+    ? { $and: [filter, afterCursorFilter(field, direction, cursor)] }
+    : filter;
+
+  const [images, total] = await Promise.all([
+    Image.find(query)
+      .populate('user', USER_FIELDS)
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1)
+      .lean(),
+    includeTotal ? Image.countDocuments(filter) : null
+  ]);
+
+  const page = buildPage(images, limit, field);
+  if (includeTotal) page.pagination.total = total;
+  return page;
+}
+
 /**
  * @desc    Get all images for the logged-in user
- * @route   GET /images/myimages
+ * @route   GET /images/myimages?after=&limit=&includeTotal=
  * @access  Private
  */
 router.get('/myimages', ensureAuthenticated, async (req, res) => {
+  const listing = parseListingQuery(req.query);
+  if (!listing) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
   try {
-    // Use lean() for better performance when we don't need full mongoose documents
-    const images = await Image.find({ user: req.user.id })
-      .sort({ createdAt: -1 })
-      .populate('user', 'username displayName avatarUrl')
-      .lean();
-      
-    res.json(images);
+    const { items, pagination } = await findImagePage({ user: req.user._id }, listing);
+
+    res.json({
+      images: await withViewerState(items, req.user),
+      pagination
+    });
   } catch (err) {
     console.error('Error fetching user images:', err.message);
     res.status(500).json({ message: 'Server Error', error: err.message });
   }
 });
 
+/**
+ * @desc    Get all images liked by the logged-in user
+ * @route   GET /images/liked?after=&limit=&includeTotal=
+ * @access  Private
+ */
+router.get('/liked', ensureAuthenticated, async (req, res) => {
+  const listing = parseListingQuery(req.query);
+  if (!listing) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
+  try {
+    const { items, pagination } = await findImagePage({ likes: req.user._id }, listing);
+
+    res.json({
+      images: await withViewerState(items, req.user),
+      pagination
+    });
+  } catch (err) {
+    console.error('Error fetching liked images:', err.message);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Get all images saved by the logged-in user, most recently saved first
+ * @route   GET /images/saved?after=&limit=&includeTotal=
+ * @access  Private
+ */
+router.get('/saved', ensureAuthenticated, async (req, res) => {
+  const listing = parseListingQuery(req.query);
+  if (!listing) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
+  try {
+    const { cursor, limit, includeTotal } = listing;
+    const filter = { user: req.user._id };
+
+    // Paged by when the image was saved, so the cursor points into the saves
+    const query = cursor
+      ? { $and: [filter, afterCursorFilter('createdAt', -1, cursor)] }
+      : filter;
+
+    const [saves, total] = await Promise.all([
+      Save.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate({
+          path: 'image',
+          populate: { path: 'user', select: USER_FIELDS }
+        })
+        .lean(),
+      includeTotal ? Save.countDocuments(filter) : null
+    ]);
+
+    const { items, pagination } = buildPage(saves, limit, 'createdAt');
+    if (includeTotal) pagination.total = total;
+
+    const images = items
+      .filter(save => save.image)
+      .map(save => ({ ...save.image, savedAt: save.createdAt, savedToBoard: save.board || null }));
+
+    res.json({
+      images: await withViewerState(images, req.user),
+      pagination
+    });
+  } catch (err) {
+    console.error('Error fetching saved images:', err.message);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
 /**
  * @desc    Get all public images
- * @route   GET /images
+ * @route   GET /images?sortBy=&sortOrder=&after=&limit=&includeTotal=
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', checkAuthentication, async (req, res) => {
+  const { sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+  if (!SORT_FIELDS.includes(sortBy)) {
+    return res.status(400).json({ message: `sortBy must be one of: ${SORT_FIELDS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return res.status(400).json({ message: "sortOrder must be either 'asc' or 'desc'" });
+  }
+
+  // A cursor only continues the sort it came from: dates for createdAt, numbers for the counters
+  const listing = parseListingQuery(req.query);
+  if (!listing || (listing.cursor && (listing.cursor.value instanceof Date) !== (sortBy === 'createdAt'))) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
   try {
-    const { limit = 50, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const images = await Image.find()
-      .populate('user', 'username displayName avatarUrl')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-      
-    // Get total count for pagination
-    const total = await Image.countDocuments();
-    
+    const { items, pagination } = await findImagePage({}, listing, {
+      field: sortBy,
+      direction: sortOrder === 'asc' ? 1 : -1
+    });
+
     res.json({
-      images,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      images: await withViewerState(items, req.user),
+      pagination
     });
   } catch (err) {
     console.error('Error fetching all images:', err.message);
@@ -212,10 +609,15 @@ router.get('/', async (req, res) => {
 
 /**
  * @desc    Get all images for a specific user by username
- * @route   GET /images/user/:username
+ * @route   GET /images/user/:username?after=&limit=&includeTotal=
  * @access  Public
  */
-router.get('/user/:username', async (req, res) => {
+router.get('/user/:username', checkAuthentication, async (req, res) => {
+  const listing = parseListingQuery(req.query);
+  if (!listing) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
   try {
     const user = await User.findOne({ username: req.params.username });
     
@@ -223,27 +625,11 @@ router.get('/user/:username', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const { limit = 50, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const images = await Image.find({ user: user._id })
-      .populate('user', 'username displayName avatarUrl')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-    
-    // Get total count for pagination
-    const total = await Image.countDocuments({ user: user._id });
+    const { items, pagination } = await findImagePage({ user: user._id }, listing);
     
     res.json({
-      images,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      },
+      images: await withViewerState(items, req.user),
+      pagination,
       user: {
         username: user.username,
         displayName: user.displayName,
@@ -257,43 +643,68 @@ router.get('/user/:username', async (req, res) => {
 });
 
 /**
- * @desc    Search for images by title, description, or tags
- * @route   GET /images/search
+ * @desc    Search for images by title, description, or tags, most relevant first.
+ *          Results can be filtered by tags (all or any of them), uploader,
+ *          created-at range, orientation, color and the viewer's likes, and the
+ *          first page can carry facet counts for each filter option.
+ *          A first page without results also suggests related tags
+ * @route   GET /images/search?q=&tags=&tagMode=&uploader=&from=&to=&orientation=&color=&likedByMe=&includeFacets=&after=&limit=&includeTotal=
  * @access  Public
  */
-router.get('/search', async (req, res) => {
+router.get('/search', checkAuthentication, async (req, res) => {
+  const { q } = req.query;
+
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).json({ message: 'Search query is required' });
+  }
+
+  const { filters, error } = parseSearchFilters(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  if (filters.likedByMe && !req.user) {
+    return res.status(401).json({ message: 'Log in to filter by your likes' });
+  }
+
+  // Search pages by relevance score rather than date
+  const listing = parseListingQuery(req.query);
+  if (!listing || (listing.cursor && typeof listing.cursor.value !== 'number')) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
   try {
-    const { q, limit = 50, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    if (!q) {
-      return res.status(400).json({ message: 'Search query is required' });
-    }
-    
-    // Create text search query
-    const query = {
-      $text: { $search: q }
-    };
-    
-    const images = await Image.find(query)
-      .populate('user', 'username displayName avatarUrl')
-      .sort({ score: { $meta: 'textScore' } }) // Sort by relevance
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-    
-    // Get total count for pagination
-    const total = await Image.countDocuments(query);
+    const { cursor, limit, includeTotal } = listing;
+    const includeFacets = req.query.includeFacets === 'true';
+
+    await resolveUploader(filters);
+    const filter = { $text: { $search: q }, ...buildFilterMatch(filters, req.user) };
+
+    // The relevance score only exists inside the pipeline, so the cursor is
+    // applied after it has been added
+    const [images, total, facets] = await Promise.all([
+      Image.aggregate([
+        { $match: filter },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        ...(cursor ? [{ $match: afterCursorFilter('score', -1, cursor) }] : []),
+        { $sort: { score: -1, _id: -1 } },
+        { $limit: limit + 1 }
+      ]),
+      includeTotal ? Image.countDocuments(filter) : null,
+      includeFacets ? findSearchFacets(q, filters, req.user) : null
+    ]);
+    await Image.populate(images, { path: 'user', select: USER_FIELDS });
+
+    const { items, pagination } = buildPage(images, limit, 'score');
+    if (includeTotal) pagination.total = total;
+
+    const relatedTags = !cursor && !items.length ? await findRelatedTags(q) : undefined;
     
     res.json({
-      images,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      },
-      query: q
+      images: await withViewerState(items, req.user),
+      pagination,
+      query: q,
+      ...(facets && { facets }),
+      ...(relatedTags && { relatedTags })
     });
   } catch (err) {
     console.error('Error searching images:', err.message);
@@ -306,16 +717,18 @@ router.get('/search', async (req, res) => {
  * @route   GET /images/:id
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', checkAuthentication, async (req, res) => {
   try {
     const image = await Image.findById(req.params.id)
-      .populate('user', 'username displayName avatarUrl');
+      .populate('user', USER_FIELDS)
+      .populate('repinnedFrom.user', USER_FIELDS)
+      .lean();
     
     if (!image) {
       return res.status(404).json({ message: 'Image not found' });
     }
     
-    res.json(image);
+    res.json((await withViewerState([image], req.user))[0]);
   } catch (err) {
     console.error('Error fetching image by ID:', err);
     
@@ -327,6 +740,108 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @desc    Download the original file of a stored pin through a short-lived signed URL
+ * @route   GET /images/:id/download
+ * @access  Public
+ */
+router.get('/:id/download', async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id).select('title storageKey').lean();
+
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    if (!image.storageKey) {
+      return res.status(404).json({ message: 'This pin links to an external image and has no stored file' });
+    }
+
+    const slug = (image.title || 'pin').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pin';
+    const extension = image.storageKey.split('.').pop();
+    const signedUrl = await storage.getSignedUrl(image.storageKey, {
+      expiresIn: 300,
+      downloadName: `${slug}.${extension}`
+    });
+
+    res.redirect(signedUrl);
+  } catch (err) {
+    console.error('Error creating download URL:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid image ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Update an image's title, description or tags, or remove its photo details
+ * @route   PATCH /images/:id
+ * @access  Private
+ */
+router.patch('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id);
+
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    // Check if user is authorized (owner or admin)
+    const isAdmin = req.user.role === 'admin';
+    const isOwner = image.user.toString() === req.user.id;
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized to edit this image' });
+    }
+
+    const { title, description, tags, exif } = req.body || {};
+
+    if (title === undefined && description === undefined && tags === undefined && exif === undefined) {
+      return res.status(400).json({ message: 'Provide a title, description or tags to update' });
+    }
+
+    // Camera details can only be withdrawn; they are read from the file at upload
+    if (exif !== undefined && exif !== null) {
+      return res.status(400).json({ message: 'Photo details can only be removed' });
+    }
+
+    if (tags !== undefined && !isTagList(tags)) {
+      return res.status(400).json({ message: 'Tags must be an array of strings' });
+    }
+
+    if (title !== undefined) image.title = title;
+    if (description !== undefined) image.description = description;
+    if (tags !== undefined) image.tags = tags;
+    if (exif === null) image.exif = undefined;
+    image.updatedAt = Date.now();
+
+    // save() runs the ImageSchema validators on the modified fields
+    await image.save();
+
+    const populatedImage = await Image.findById(image._id)
+      .populate('user', USER_FIELDS)
+      .lean();
+
+    res.json((await withViewerState([populatedImage], req.user))[0]);
+  } catch (err) {
+    console.error('Error updating image:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: messages[0], errors: messages });
+    }
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid image ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
 /**
  * @desc    Delete an image
  * @route   DELETE /images/:id
@@ -348,17 +863,31 @@ router.delete('/:id', ensureAuthenticated, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this image' });
     }
 
-    // Delete the file if it's a local upload
-    if (image.imageUrl.includes('/uploads/')) {
-      const filePath = image.imageUrl.split('/uploads/')[1];
-      const fullPath = path.join(__dirname, '../uploads', filePath);
-      
-      if (fs.existsSync(fullPath)) {
-        fs.unlinkSync(fullPath);
-      }
+    // Repins share the original's files, so whichever of them is deleted last
+    // removes the files; until then another pin still points at them
+    const storageKeys = getStorageKeys(image);
+    const isAssetShared = storageKeys.length > 0 &&
+      await Image.exists({ _id: { $ne: image._id }, storageKey: image.storageKey });
+
+    if (storageKeys.length && !isAssetShared) {
+      await Promise.all(storageKeys.map(key => storage.delete(key)));
     }
 
     await Image.findByIdAndDelete(req.params.id);
+    await Save.deleteMany({ image: image._id });
+    await Comment.deleteMany({ image: image._id });
+
+    if (image.repinnedFrom?.image) {
+      await Image.updateOne(
+        { _id: image.repinnedFrom.image, repinCount: { $gt: 0 } },
+        { $inc: { repinCount: -1 } }
+      );
+      await Image.refreshTrendingScore({ _id: image.repinnedFrom.image });
+    }
+
+    // Remove the pin from every board it was added to
+    await Board.updateMany({ pins: image._id }, { $pull: { pins: image._id } });
+    await Board.updateMany({ coverImage: image._id }, { $unset: { coverImage: 1 } });
     res.json({ message: 'Image successfully removed', imageId: req.params.id });
   } catch (err) {
     console.error('Error deleting image:', err);
@@ -371,4 +900,234 @@ router.delete('/:id', ensureAuthenticated, async (req, res) => {
   }
 });
 
+/**
+ * @desc    Like or unlike an image
+ * @route   POST /images/:id/like
+ * @access  Private
+ */
+router.post('/:id/like', ensureAuthenticated, async (req, res) => {
+  const { action } = req.body || {};
+
+  if (!['like', 'unlike'].includes(action)) {
+    return res.status(400).json({ message: "Action must be either 'like' or 'unlike'" });
+  }
+
+  try {
+    // Only a real change moves the counter, which keeps repeated requests idempotent
+    const [filter, update] = action === 'like'
+      ? [{ likes: { $ne: req.user._id } }, { $push: { likes: req.user._id }, $inc: { likeCount: 1 } }]
+      : [{ likes: req.user._id }, { $pull: { likes: req.user._id }, $inc: { likeCount: -1 } }];
+
+    const changed = await Image.findOneAndUpdate({ _id: req.params.id, ...filter }, update, { new: true })
+      .select('likeCount');
+    const image = changed || await Image.findById(req.params.id).select('likeCount');
+
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    if (changed) {
+      await Image.refreshTrendingScore({ _id: image._id });
+    }
+
+    res.json({
+      imageId: image._id,
+      likeCount: image.likeCount,
+      likedByMe: action === 'like'
+    });
+  } catch (err) {
+    console.error('Error updating image like:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid image ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Save an image, optionally placing it on one of the user's boards
+ * @route   POST /images/:id/save
+ * @access  Private
+ */
+router.post('/:id/save', ensureAuthenticated, async (req, res) => {
+  try {
+    const board = await findOwnedBoard(req.body.boardId, req.user);
+    if (board === null) {
+      return res.status(400).json({ message: 'Board not found' });
+    }
+
+    const imageExists = await Image.exists({ _id: req.params.id });
+    if (!imageExists) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    // Upsert keeps repeated saves idempotent; only a new save bumps the counter.
+    // The save comes back as it was, so a move to another board can be seen
+    const saveFilter = { user: req.user._id, image: req.params.id };
+    const saveUpdate = {
+      $setOnInsert: { createdAt: Date.now() },
+      ...(board ? { $set: { board: board._id } } : {})
+    };
+    let previousSave;
+    let isNewSave;
+    try {
+      const result = await Save.findOneAndUpdate(saveFilter, saveUpdate, { upsert: true, includeResultMetadata: true });
+      previousSave = result.value;
+      isNewSave = !result.lastErrorObject.updatedExisting;
+    } catch (saveError) {
+      // A concurrent first save won the unique index, so this one already exists
+      if (saveError.code !== 11000) throw saveError;
+      previousSave = await Save.findOneAndUpdate(saveFilter, saveUpdate);
+      isNewSave = false;
+    }
+
+    const image = isNewSave
+      ? await Image.findByIdAndUpdate(req.params.id, { $inc: { saveCount: 1 } }, { new: true }).select('saveCount')
+      : await Image.findById(req.params.id).select('saveCount');
+
+    if (isNewSave) {
+      await Image.refreshTrendingScore({ _id: image._id });
+    }
+
+    // Saving to another board moves the pin off the one it was saved to before
+    if (board && previousSave?.board && !previousSave.board.equals(board._id)) {
+      await Board.updateOne({ _id: previousSave.board, user: req.user._id }, { $pull: { pins: image._id } });
+    }
+    await addToBoard(board, image);
+
+    res.status(isNewSave ? 201 : 200).json({
+      imageId: image._id,
+      saveCount: image.saveCount,
+      savedByMe: true,
+      boardId: board ? board._id : previousSave?.board || null
+    });
+  } catch (err) {
+    console.error('Error saving image:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid image ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Remove an image from the user's saved pins
+ * @route   DELETE /images/:id/save
+ * @access  Private
+ */
+router.delete('/:id/save', ensureAuthenticated, async (req, res) => {
+  try {
+    const save = await Save.findOneAndDelete({ user: req.user._id, image: req.params.id });
+
+    const image = save
+      ? await Image.findOneAndUpdate(
+        { _id: req.params.id, saveCount: { $gt: 0 } },
+        { $inc: { saveCount: -1 } },
+        { new: true }
+      ).select('saveCount')
+      : await Image.findById(req.params.id).select('saveCount');
+
+    if (save && image) {
+      await Image.refreshTrendingScore({ _id: image._id });
+    }
+
+    // The pin also leaves the board it was saved to
+    if (save && save.board) {
+      await Board.updateOne({ _id: save.board, user: req.user._id }, { $pull: { pins: save.image } });
+    }
+
+    res.json({
+      imageId: req.params.id,
+      saveCount: image ? image.saveCount : 0,
+      savedByMe: false
+    });
+  } catch (err) {
+    console.error('Error unsaving image:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid image ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Repin another user's image with attribution to the original pin
+ * @route   POST /images/:id/repin
+ * @access  Private
+ */
+router.post('/:id/repin', ensureAuthenticated, async (req, res) => {
+  const { title, description, tags, boardId } = req.body || {};
+
+  try {
+    const source = await Image.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    // Repins of repins are credited to the pin that was first posted
+    const original = source.repinnedFrom?.image
+      ? (await Image.findById(source.repinnedFrom.image)) || source
+      : source;
+
+    if (original.user.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot repin your own pin' });
+    }
+
+    const board = await findOwnedBoard(boardId, req.user);
+    if (board === null) {
+      return res.status(400).json({ message: 'Board not found' });
+    }
+
+    const repin = await new Image({
+      imageUrl: source.imageUrl,
+      storageKey: source.storageKey,
+      sourceUrl: source.sourceUrl,
+      width: source.width,
+      height: source.height,
+      dominantColor: source.dominantColor,
+      placeholder: source.placeholder,
+      variants: source.variants,
+      title: title !== undefined ? title : source.title,
+      description: description !== undefined ? description : source.description,
+      tags: Array.isArray(tags) ? tags : source.tags,
+      user: req.user.id,
+      repinnedFrom: {
+        image: original._id,
+        user: original.user
+      }
+    }).save();
+
+    await Image.updateOne({ _id: original._id }, { $inc: { repinCount: 1 } });
+    await Image.refreshTrendingScore({ _id: original._id });
+    await addToBoard(board, repin);
+
+    const populatedImage = await Image.findById(repin._id)
+      .populate('user', USER_FIELDS)
+      .populate('repinnedFrom.user', USER_FIELDS)
+      .lean();
+
+    res.status(201).json((await withViewerState([populatedImage], req.user))[0]);
+  } catch (err) {
+    console.error('Error repinning image:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: messages[0], errors: messages });
+    }
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invalid image ID format' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,386 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const { trackClientAbort } = require('../middleware/abortMiddleware');
+const Upload = require('../models/Upload');
+const { SNIFF_LENGTH, detectImageType } = require('../utils/imageType');
+const {
+  UNSUPPORTED_TYPE_MESSAGE,
+  findOwnedBoard,
+  createUploadedImage
+} = require('../utils/imageIngest');
+
+// Largest file accepted; sending it in chunks makes sizes beyond the 10MB
+// single-request limit practical
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+// Largest chunk accepted per request, and the chunk size suggested to clients
+const MAX_CHUNK_BYTES = 5 * 1024 * 1024;
+const CHUNK_SIZE = 2 * 1024 * 1024;
+
+// Unfinished uploads are discarded after a day
+const UPLOAD_TTL = 24 * 60 * 60 * 1000;
+
+// How long a request may hold the claim on the next offset while it writes its chunk
+const WRITE_CLAIM_TTL = 60 * 1000;
+
+// Each upload's chunks are written into one file in this directory
+const UPLOAD_DIR = process.env.RESUMABLE_UPLOAD_DIR || path.join(os.tmpdir(), 'pinterest-clone-uploads');
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Reads a chunk body and turns body-parser errors into JSON responses instead
+ * of letting them reach the generic 500 handler
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function receiveChunk(req, res, next) {
+  express.raw({ type: CHUNK_CONTENT_TYPE, limit: MAX_CHUNK_BYTES })(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ message: 'Chunks cannot exceed 5MB' });
+    }
+    next(err);
+  });
+}
+
+/**
+ * Path of the file holding an upload's received bytes
+ *
+ * @param {Object} upload - Upload document
+ * @returns {string} Absolute file path
+ */
+function getChunkPath(upload) {
+  return path.join(UPLOAD_DIR, `${upload._id}.part`);
+}
+
+/**
+ * Shapes an upload for responses
+ *
+ * @param {Object} upload - Upload document
+ * @returns {Object} `{ id, filename, size, offset, chunkSize, expiresAt }`
+ */
+function toUploadStatus(upload) {
+  return {
+    id: upload._id,
+    filename: upload.filename,
+    size: upload.size,
+    offset: upload.offset,
+    chunkSize: CHUNK_SIZE,
+    expiresAt: upload.expiresAt
+  };
+}
+
+/**
+ * Deletes an upload and its received bytes
+ *
+ * @param {Object} upload - Upload document
+ * @returns {Promise<void>}
+ */
+async function removeUpload(upload) {
+  await fs.promises.rm(getChunkPath(upload), { force: true });
+  await Upload.deleteOne({ _id: upload._id });
+}
+
+/**
+ * Deletes chunk files left by uploads that expired without being finished
+ *
+ * @returns {Promise<void>}
+ */
+async function sweepExpiredChunks() {
+  const cutoff = Date.now() - UPLOAD_TTL;
+  const filenames = await fs.promises.readdir(UPLOAD_DIR);
+
+  await Promise.all(filenames
+    .filter(filename => filename.endsWith('.part'))
+    .map(async (filename) => {
+      const filePath = path.join(UPLOAD_DIR, filename);
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    }));
+}
+
+/**
+ * @desc    Start a resumable upload
+ * @route   POST /uploads
+ * @access  Private
+ */
+router.post('/', ensureAuthenticated, async (req, res) => {
+  const { filename, size } = req.body || {};
+
+  if (!Number.isInteger(size) || size < 1) {
+    return res.status(400).json({ message: 'File size must be a positive number of bytes' });
+  }
+
+  if (size > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ message: 'File size exceeds the 50MB limit' });
+  }
+
+  try {
+    const upload = new Upload({
+      user: req.user._id,
+      filename: typeof filename === 'string' ? filename.slice(0, 255) : '',
+      size,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL)
+    });
+
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+    await fs.promises.writeFile(getChunkPath(upload), '');
+    await upload.save();
+
+    // Starting an upload is a good moment to clear out abandoned ones
+    sweepExpiredChunks().catch(err => console.error('Error sweeping expired uploads:', err.message));
+
+    res.status(201)
+      .location(`${req.baseUrl}/${upload._id}`)
+      .set('Upload-Offset', '0')
+      .json(toUploadStatus(upload));
+  } catch (err) {
+    console.error('Error starting upload:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: messages[0], errors: messages });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Get how much of an upload has been received, to resume it
+ * @route   GET /uploads/:id
+ * @access  Private
+ */
+router.get('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const upload = await Upload.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    res.set('Upload-Offset', String(upload.offset)).json(toUploadStatus(upload));
+  } catch (err) {
+    console.error('Error fetching upload:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Append a chunk at the offset given in the Upload-Offset header
+ * @route   PATCH /uploads/:id
+ * @access  Private
+ */
+router.patch('/:id', ensureAuthenticated, receiveChunk, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ message: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}` });
+    }
+
+    const upload = await Upload.findOne({ _id: req.params.id, user: req.user._id });
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    // The client must continue exactly where the server left off; after a
+    // dropped connection it asks for the offset and resends from there
+    const offset = Number(req.get('Upload-Offset'));
+    if (offset !== upload.offset) {
+      return res.status(409).json({ message: 'Upload offset does not match', offset: upload.offset });
+    }
+
+    const chunk = req.body;
+    if (chunk.length === 0) {
+      return res.status(400).json({ message: 'Chunk is empty' });
+    }
+    if (offset + chunk.length > upload.size) {
+      return res.status(400).json({ message: 'Chunk goes past the end of the file' });
+    }
+
+    // Reject non-images as soon as their first bytes arrive instead of after the whole file
+    if (offset === 0 && (chunk.length >= SNIFF_LENGTH || chunk.length === upload.size) && !detectImageType(chunk)) {
+      await removeUpload(upload);
+      return res.status(415).json({ message: UNSUPPORTED_TYPE_MESSAGE });
+    }
+
+    // Claim the offset before touching the file, so a concurrent request sending
+    // the same offset can't write over this chunk with different bytes
+    const now = new Date();
+    const writingUntil = new Date(now.getTime() + WRITE_CLAIM_TTL);
+    const claimed = await Upload.findOneAndUpdate(
+      {
+        _id: upload._id,
+        offset,
+        // null also matches uploads with no claim at all
+        $or: [{ writingUntil: null }, { writingUntil: { $lte: now } }]
+      },
+      { $set: { writingUntil } }
+    );
+    if (!claimed) {
+      const current = await Upload.findById(upload._id);
+      return res.status(409).json({ message: 'Upload offset does not match', offset: current ? current.offset : 0 });
+    }
+
+    let file;
+    try {
+      file = await fs.promises.open(getChunkPath(upload), 'r+');
+    } catch (openError) {
+      if (openError.code !== 'ENOENT') {
+        await Upload.updateOne({ _id: upload._id, writingUntil }, { $unset: { writingUntil: 1 } });
+        throw openError;
+      }
+
+      // The bytes received so far are gone, so the upload can't be resumed
+      await Upload.deleteOne({ _id: upload._id });
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    try {
+      await file.write(chunk, 0, chunk.length, offset);
+    } catch (writeError) {
+      // Let the client resend the chunk
+      await Upload.updateOne({ _id: upload._id, writingUntil }, { $unset: { writingUntil: 1 } });
+      throw writeError;
+    } finally {
+      await file.close();
+    }
+
+    // Advance and release the claim, unless it lapsed and another request took over
+    const updated = await Upload.findOneAndUpdate(
+      { _id: upload._id, offset, writingUntil },
+      { $inc: { offset: chunk.length }, $unset: { writingUntil: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await Upload.findById(upload._id);
+      return res.status(409).json({ message: 'Upload offset does not match', offset: current ? current.offset : 0 });
+    }
+
+    res.set('Upload-Offset', String(updated.offset)).json(toUploadStatus(updated));
+  } catch (err) {
+    console.error('Error receiving upload chunk:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Turn a fully received upload into a pin, the same way as POST /images/upload
+ * @route   POST /uploads/:id/finalize
+ * @access  Private
+ */
+router.post('/:id/finalize', ensureAuthenticated, trackClientAbort, async (req, res) => {
+  // Every detail is optional, so the request may come without a body
+  const { title, description, tags, boardId, shareExif } = req.body || {};
+  let claimedUpload = null;
+
+  try {
+    const upload = await Upload.findOne({ _id: req.params.id, user: req.user._id });
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    if (upload.offset !== upload.size) {
+      return res.status(409).json({ message: 'Upload is not complete', offset: upload.offset });
+    }
+
+    const board = await findOwnedBoard(boardId, req.user);
+    if (board === null) {
+      return res.status(400).json({ message: 'Board not found' });
+    }
+
+    // Only one request may turn the bytes into a pin; a retried or repeated
+    // finalize gets 409 instead of creating a second one
+    claimedUpload = await Upload.findOneAndUpdate(
+      { _id: upload._id, offset: upload.size, finalizing: { $ne: true } },
+      { $set: { finalizing: true } }
+    );
+    if (!claimedUpload) {
+      return res.status(409).json({ message: 'Upload is already being finalized' });
+    }
+
+    const buffer = await fs.promises.readFile(getChunkPath(upload));
+
+    const result = await createUploadedImage({ buffer, originalname: upload.filename }, {
+      title,
+      description,
+      tags
+    }, {
+      user: req.user,
+      board,
+      captureExif: shareExif === true || shareExif === 'true',
+      signal: req.abortSignal
+    });
+
+    // Whether it became a pin or was rejected, the received bytes are no longer needed
+    claimedUpload = null;
+    await removeUpload(upload);
+
+    if (!result.image) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json(result.image);
+  } catch (err) {
+    // Let the upload be finalized again, since no pin was made from it
+    if (claimedUpload) {
+      await Upload.updateOne({ _id: claimedUpload._id }, { $set: { finalizing: false } }).catch(() => {});
+    }
+
+    // The client cancelled, so there is no one left to answer
+    if (err.name === 'AbortError') return;
+
+    console.error('Error finalizing upload:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Cancel an upload and discard what was received
+ * @route   DELETE /uploads/:id
+ * @access  Private
+ */
+router.delete('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const upload = await Upload.findOne({ _id: req.params.id, user: req.user._id });
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    await removeUpload(upload);
+    res.json({ message: 'Upload cancelled' });
+  } catch (err) {
+    console.error('Error cancelling upload:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Upload not found or expired' });
+    }
+
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { parseLimit, decodeCursor, afterCursorFilter, buildPage } = require('../utils/pagination');
+
+const PROFILE_FIELDS = 'username displayName avatarUrl followerCount followingCount';
+
+/**
+ * Lists one side of a user's follow relationships, newest first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} matchField - Follow field matching the profile user ('following' for followers)
+ * @param {string} userField - Follow field holding the users to list
+ * @returns {Promise<void>}
+ */
+async function listFollows(req, res, matchField, userField) {
+  const user = await User.findOne({ username: req.params.username }).select('_id');
+
+  if (!user) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  const cursor = req.query.after ? decodeCursor(req.query.after) : null;
+  if (req.query.after && !cursor) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
+  const limit = parseLimit(req.query.limit);
+  const query = { [matchField]: user._id };
+  if (cursor) {
+    Object.assign(query, afterCursorFilter('createdAt', -1, cursor));
+  }
+
+  const follows = await Follow.find(query)
+    .populate(userField, PROFILE_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const { items, pagination } = buildPage(follows, limit, 'createdAt');
+
+  res.json({
+    users: items
+      .filter(follow => follow[userField])
+      .map(follow => ({ ...follow[userField], followedAt: follow.createdAt })),
+    pagination
+  });
+}
+
+/**
+ * @desc    Follow a user
+ * @route   POST /users/:username/follow
+ * @access  Private
+ */
+router.post('/:username/follow', ensureAuthenticated, async (req, res) => {
+  try {
+    const target = await User.findOne({ username: req.params.username }).select('_id username');
+
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (target._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+
+    // Only count the follow once, even if the request is repeated
+    let isNewFollow;
+    try {
+      const result = await Follow.findOneAndUpdate(
+        { follower: req.user._id, following: target._id },
+        { $setOnInsert: { createdAt: Date.now() } },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      isNewFollow = !result.lastErrorObject?.updatedExisting;
+    } catch (followError) {
+      // A concurrent follow won the unique index, so the user already follows
+      if (followError.code !== 11000) throw followError;
+      isNewFollow = false;
+    }
+    if (isNewFollow) {
+      await User.updateOne({ _id: target._id }, { $inc: { followerCount: 1 } });
+      await User.updateOne({ _id: req.user._id }, { $inc: { followingCount: 1 } });
+    }
+
+    const { followerCount } = await User.findById(target._id).select('followerCount').lean();
+
+    res.status(isNewFollow ? 201 : 200).json({
+      username: target.username,
+      followerCount,
+      followedByMe: true
+    });
+  } catch (err) {
+    console.error('Error following user:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Unfollow a user
+ * @route   DELETE /users/:username/follow
+ * @access  Private
+ */
+router.delete('/:username/follow', ensureAuthenticated, async (req, res) => {
+  try {
+    const target = await User.findOne({ username: req.params.username }).select('_id username');
+
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const follow = await Follow.findOneAndDelete({ follower: req.user._id, following: target._id });
+
+    if (follow) {
+      await User.updateOne(
+        { _id: target._id, followerCount: { $gt: 0 } },
+        { $inc: { followerCount: -1 } }
+      );
+      await User.updateOne(
+        { _id: req.user._id, followingCount: { $gt: 0 } },
+        { $inc: { followingCount: -1 } }
+      );
+    }
+
+    const { followerCount } = await User.findById(target._id).select('followerCount').lean();
+
+    res.json({
+      username: target.username,
+      followerCount,
+      followedByMe: false
+    });
+  } catch (err) {
+    console.error('Error unfollowing user:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Get the users following a user, newest first
+ * @route   GET /users/:username/followers?after=&limit=
+ * @access  Public
+ */
+router.get('/:username/followers', async (req, res) => {
+  try {
+    await listFollows(req, res, 'following', 'follower');
+  } catch (err) {
+    console.error('Error fetching followers:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+/**
+ * @desc    Get the users a user follows, newest first
+ * @route   GET /users/:username/following?after=&limit=
+ * @access  Public
+ */
+router.get('/:username/following', async (req, res) => {
+  try {
+    await listFollows(req, res, 'follower', 'following');
+  } catch (err) {
+    console.error('Error fetching followed users:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+});
+
+module.exports = router;
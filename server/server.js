@@ -97,7 +97,7 @@ try {
   // Continue without session store
 }
 
-// Serve static files from the uploads directory with explicit CORS headers
+// Serve files stored by the local storage driver (and older uploads) with explicit CORS headers
 app.use('/uploads', (req, res, next) => {
   // Explicitly set all headers needed for cross-origin image loading
   res.removeHeader('Cross-Origin-Resource-Policy');
@@ -119,7 +119,12 @@ app.use('/uploads', (req, res, next) => {
 try {
   // API Routes with '/api' prefix
   app.use('/api/auth', require('./routes/auth'));
+  app.use('/api/images/:id/comments', require('./routes/comments'));
   app.use('/api/images', require('./routes/images'));
+  app.use('/api/uploads', require('./routes/uploads'));
+  app.use('/api/boards', require('./routes/boards'));
+  app.use('/api/users', require('./routes/users'));
+  app.use('/api/feed', require('./routes/feed'));
 
   // API health check endpoint
   app.get('/api/health', (req, res) => {
@@ -0,0 +1,59 @@
+/**
+ * Storage adapter for pin files
+ * Every driver exposes the same interface, so routes never touch the disk or a
+ * bucket directly:
+ *   - put(key, body, { contentType }): Promise<void>
+ *   - get(key): Promise<Buffer>
+ *   - exists(key): Promise<boolean>
+ *   - delete(key): Promise<void> (missing keys are ignored)
+ *   - getPublicUrl(key): string
+ *   - getSignedUrl(key, { expiresIn, downloadName }): Promise<string>
+ * 
+ * The driver is chosen with STORAGE_DRIVER ('local' by default, or 's3'). Public
+ * URLs are built from PUBLIC_ASSET_BASE_URL when it is set. The local driver only
+ * falls back to localhost in development; anywhere else the variable is required.
+ * 
+ * @module storage
+ */
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+/**
+ * Creates the storage driver configured by the environment
+ * 
+ * @returns {Object} Storage driver
+ */
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.PUBLIC_ASSET_BASE_URL || process.env.S3_PUBLIC_URL
+    });
+  }
+
+  if (driver !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use "local" or "s3"`);
+  }
+
+  // A deploy that forgot the variable would otherwise hand out localhost URLs for every pin
+  const isDevelopment = (process.env.NODE_ENV || 'development') === 'development';
+  if (!process.env.PUBLIC_ASSET_BASE_URL && !isDevelopment) {
+    throw new Error('PUBLIC_ASSET_BASE_URL must be set for the local storage driver outside development');
+  }
+
+  return createLocalStorage({
+    root: path.join(__dirname, '../uploads'),
+    // server.js serves the directory under /uploads
+    publicUrl: process.env.PUBLIC_ASSET_BASE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`
+  });
+}
+
+module.exports = createStorage();
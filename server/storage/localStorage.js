@@ -0,0 +1,81 @@
+/**
+ * Local filesystem storage driver
+ * Stores pin files in a directory that server.js serves under /uploads
+ * @module storage/localStorage
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a storage driver backed by a local directory
+ *
+ * @param {Object} options - Driver options
+ * @param {string} options.root - Directory the files are written to
+ * @param {string} options.publicUrl - Public URL the directory is served under, e.g. https://api.example.com/uploads
+ * @returns {Object} Storage driver implementing put, get, exists, delete, getPublicUrl and getSignedUrl
+ */
+function createLocalStorage({ root, publicUrl }) {
+  const baseUrl = publicUrl.replace(/\/$/, '');
+
+  if (!fs.existsSync(root)) {
+    fs.mkdirSync(root, { recursive: true });
+  }
+
+  /**
+   * Maps a key to a path inside the root, refusing keys that would escape it
+   *
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        // Deleting a file that is already gone is not an error
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    getPublicUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    // Local files are served publicly, so the public URL doubles as the signed one
+    async getSignedUrl(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+}
+
+module.exports = createLocalStorage;
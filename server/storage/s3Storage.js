@@ -0,0 +1,105 @@
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 and with self-hosted servers such as MinIO
+ * (set an endpoint and path-style addressing for those)
+ * @module storage/s3Storage
+ */
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Pin files never change once written, so they can be cached indefinitely
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Creates a storage driver backed by an S3-compatible bucket
+ *
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region='us-east-1'] - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. http://localhost:9000 for MinIO
+ * @param {boolean} [options.forcePathStyle=false] - Address buckets as endpoint/bucket (needed by MinIO)
+ * @param {string} [options.accessKeyId] - Access key; falls back to the SDK's default credential chain
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @param {string} [options.publicUrl] - Public base URL of the bucket, e.g. a CDN origin
+ * @returns {Object} Storage driver implementing put, get, exists, delete, getPublicUrl and getSignedUrl
+ */
+function createS3Storage({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl
+}) {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket name (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Without an explicit public URL, objects are addressed the way the client addresses them
+  const bucketUrl = (publicUrl || (endpoint
+    ? forcePathStyle ? `${endpoint}/${bucket}` : endpoint.replace('://', `://${bucket}.`)
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: CACHE_CONTROL
+      }));
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    // S3 deletes are idempotent, so missing keys need no special handling
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getPublicUrl(key) {
+      return `${bucketUrl}/${key}`;
+    },
+
+    async getSignedUrl(key, { expiresIn = 300, downloadName } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: downloadName ? `attachment; filename="${downloadName}"` : undefined
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    }
+  };
+}
+
+module.exports = createS3Storage;
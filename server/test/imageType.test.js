@@ -0,0 +1,56 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { IMAGE_TYPES, SNIFF_LENGTH, detectImageType } = require('../utils/imageType');
+
+describe('detectImageType', () => {
+  const samples = {};
+
+  before(async () => {
+    const image = sharp({ create: { width: 8, height: 8, channels: 3, background: '#e60023' } });
+
+    for (const format of Object.keys(IMAGE_TYPES)) {
+      samples[format] = await image.clone().toFormat(format).toBuffer();
+    }
+  });
+
+  it('recognises every accepted type from its first bytes', () => {
+    for (const [format, type] of Object.entries(IMAGE_TYPES)) {
+      const detected = detectImageType(samples[format].subarray(0, SNIFF_LENGTH));
+      assert.deepEqual(detected, { format, ...type }, format);
+    }
+  });
+
+  it('rejects other files', () => {
+    const files = [
+      Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'),
+      Buffer.from('<!DOCTYPE html><html></html>'),
+      Buffer.from('%PDF-1.7\n'),
+      Buffer.from([0x42, 0x4d, 0x36, 0x00, 0x00, 0x00]),
+      Buffer.from('II*\0')
+    ];
+
+    for (const file of files) {
+      assert.equal(detectImageType(file), null);
+    }
+  });
+
+  it('rejects ISO-BMFF files without an AVIF brand', () => {
+    const ftyp = Buffer.alloc(24);
+    ftyp.writeUInt32BE(24, 0);
+    ftyp.write('ftypisom', 4, 'ascii');
+    ftyp.write('mp41', 16, 'ascii');
+    ftyp.write('avif', 12, 'ascii'); // In the minor version slot, not a brand
+
+    assert.equal(detectImageType(ftyp), null);
+  });
+
+  it('rejects RIFF files that are not WebP', () => {
+    assert.equal(detectImageType(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+  });
+
+  it('rejects truncated and empty buffers', () => {
+    assert.equal(detectImageType(samples.png.subarray(0, 4)), null);
+    assert.equal(detectImageType(Buffer.alloc(0)), null);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  afterCursorFilter,
+  buildPage
+} = require('../utils/pagination');
+
+describe('parseLimit', () => {
+  it('falls back to the default for missing or invalid limits', () => {
+    assert.equal(parseLimit(undefined), DEFAULT_LIMIT);
+    assert.equal(parseLimit('abc'), DEFAULT_LIMIT);
+    assert.equal(parseLimit('0'), DEFAULT_LIMIT);
+    assert.equal(parseLimit('-5', 10), 10);
+  });
+
+  it('caps the limit', () => {
+    assert.equal(parseLimit('500'), MAX_LIMIT);
+    assert.equal(parseLimit('80', 10, 50), 50);
+    assert.equal(parseLimit('7'), 7);
+  });
+});
+
+describe('encodeCursor and decodeCursor', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it('round-trips dates', () => {
+    const createdAt = new Date('2024-05-01T12:30:00.000Z');
+    const cursor = decodeCursor(encodeCursor(createdAt, id));
+
+    assert.ok(cursor.value instanceof Date);
+    assert.equal(cursor.value.getTime(), createdAt.getTime());
+    assert.ok(cursor.id.equals(id));
+  });
+
+  it('round-trips numbers and strings', () => {
+    assert.equal(decodeCursor(encodeCursor(42, id)).value, 42);
+    assert.equal(decodeCursor(encodeCursor('sunset', id.toString())).value, 'sunset');
+  });
+
+  it('produces URL-safe cursors', () => {
+    assert.match(encodeCursor(new Date(), id), /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('rejects malformed cursors', () => {
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    assert.equal(decodeCursor(undefined), null);
+    assert.equal(decodeCursor(['a']), null);
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(encode(null)), null);
+    assert.equal(decodeCursor(encode({ v: 1, d: false, id: 'nope' })), null);
+    assert.equal(decodeCursor(encode({ v: 'yesterday', d: true, id: id.toString() })), null);
+  });
+});
+
+describe('afterCursorFilter', () => {
+  const cursor = { value: 5, id: new mongoose.Types.ObjectId() };
+
+  it('continues after the cursor when sorting ascending', () => {
+    assert.deepEqual(afterCursorFilter('likeCount', 1, cursor), {
+      $or: [
+        { likeCount: { $gt: 5 } },
+        { likeCount: 5, _id: { $gt: cursor.id } }
+      ]
+    });
+  });
+
+  it('continues after the cursor when sorting descending', () => {
+    assert.deepEqual(afterCursorFilter('likeCount', -1, cursor), {
+      $or: [
+        { likeCount: { $lt: 5 } },
+        { likeCount: 5, _id: { $lt: cursor.id } }
+      ]
+    });
+  });
+});
+
+describe('buildPage', () => {
+  const items = [1, 2, 3].map(n => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(2024, 0, n) }));
+
+  it('trims the extra item and points the cursor at the last one kept', () => {
+    const { items: page, pagination } = buildPage(items, 2, 'createdAt');
+
+    assert.deepEqual(page, items.slice(0, 2));
+    assert.equal(pagination.limit, 2);
+    assert.equal(pagination.hasMore, true);
+
+    const cursor = decodeCursor(pagination.nextCursor);
+    assert.equal(cursor.value.getTime(), items[1].createdAt.getTime());
+    assert.ok(cursor.id.equals(items[1]._id));
+  });
+
+  it('has no next cursor on the last page', () => {
+    assert.deepEqual(buildPage(items, 3, 'createdAt').pagination, { limit: 3, hasMore: false, nextCursor: null });
+    assert.deepEqual(buildPage([], 3, 'createdAt'), {
+      items: [],
+      pagination: { limit: 3, hasMore: false, nextCursor: null }
+    });
+  });
+});
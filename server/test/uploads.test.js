@@ -0,0 +1,383 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+
+// The router reads the chunk directory when it loads
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+process.env.RESUMABLE_UPLOAD_DIR = uploadDir;
+
+const Upload = require('../models/Upload');
+const User = require('../models/User');
+const imageIngest = require('../utils/imageIngest');
+
+// Replaced before the router picks it up; each test sets what it returns
+const createUploadedImage = mock.method(imageIngest, 'createUploadedImage');
+const uploadsRouter = require('../routes/uploads');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+user.id = user._id.toString();
+
+/**
+ * In-memory stand-in for the uploads collection, answering the queries the
+ * router makes
+ */
+const uploads = new Map();
+
+/**
+ * Compares a stored value with one from a query
+ *
+ * @param {*} actual - Stored value
+ * @param {*} expected - Queried value
+ * @returns {boolean} Whether they are equal
+ */
+function isEqual(actual, expected) {
+  if (expected === null) return actual == null;
+  if (expected instanceof Date) return actual instanceof Date && actual.getTime() === expected.getTime();
+  return String(actual) === String(expected);
+}
+
+/**
+ * Checks a stored upload against a query filter
+ *
+ * @param {Object} doc - Stored upload
+ * @param {Object} filter - Query filter using equality, $or, $ne and $lte
+ * @returns {boolean} Whether the upload matches
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(branch => matches(doc, branch));
+
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+      return Object.entries(condition).every(([op, value]) => {
+        if (op === '$ne') return !isEqual(doc[field], value);
+        if (op === '$lte') return doc[field] != null && doc[field] <= value;
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return isEqual(doc[field], condition);
+  });
+}
+
+/**
+ * Applies $set, $unset and $inc to a stored upload
+ *
+ * @param {Object} doc - Stored upload, changed in place
+ * @param {Object} update - Update document
+ */
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set);
+  Object.keys(update.$unset || {}).forEach(field => delete doc[field]);
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => { doc[field] += amount; });
+}
+
+/**
+ * Finds the first stored upload matching a filter
+ *
+ * @param {Object} filter - Query filter
+ * @returns {Object|undefined} The stored upload itself
+ */
+function findStored(filter) {
+  return [...uploads.values()].find(doc => matches(doc, filter));
+}
+
+/**
+ * Adds an upload to the store, as if a client had started it earlier
+ *
+ * @param {Object} fields - Fields to override
+ * @returns {Object} The stored upload
+ */
+function seedUpload(fields) {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    filename: 'cat.png',
+    offset: 0,
+    finalizing: false,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  };
+  uploads.set(String(doc._id), doc);
+  return doc;
+}
+
+describe('resumable uploads', () => {
+  let server;
+  let baseUrl;
+  let image;
+
+  /**
+   * Sends a request to the uploads router
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /uploads
+   * @param {Object} [options] - `json` body, or a `chunk` with its `offset`
+   * @returns {Promise<Object>} `{ status, headers, body }`
+   */
+  async function request(method, path, { json, chunk, offset } = {}) {
+    const headers = {};
+    let body;
+
+    if (json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(json);
+    }
+    if (chunk !== undefined) {
+      headers['Content-Type'] = 'application/offset+octet-stream';
+      headers['Upload-Offset'] = String(offset);
+      body = chunk;
+    }
+
+    const response = await fetch(`${baseUrl}/uploads${path}`, { method, headers, body });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  /**
+   * Path of the file holding an upload's received bytes
+   *
+   * @param {Object} upload - Stored upload
+   * @returns {string} File path
+   */
+  const chunkPath = upload => path.join(uploadDir, `${upload._id}.part`);
+
+  /**
+   * Seeds an upload whose bytes have all been received
+   *
+   * @returns {Object} The stored upload
+   */
+  function seedCompleteUpload() {
+    const upload = seedUpload({ size: image.length, offset: image.length });
+    fs.writeFileSync(chunkPath(upload), image);
+    return upload;
+  }
+
+  before(async () => {
+    // Noise keeps the PNG from compressing below a couple of chunks
+    const pixels = Buffer.alloc(32 * 32 * 3).map(() => Math.floor(Math.random() * 256));
+    image = await sharp(pixels, { raw: { width: 32, height: 32, channels: 3 } }).png().toBuffer();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { userId: user.id };
+      next();
+    });
+    app.use('/uploads', uploadsRouter);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    uploads.clear();
+
+    mock.method(User, 'findById', async id => (String(id) === user.id ? user : null));
+    mock.method(Upload.prototype, 'save', async function () {
+      uploads.set(String(this._id), this.toObject());
+      return this;
+    });
+    mock.method(Upload, 'findOne', async filter => {
+      const doc = findStored(filter);
+      return doc ? { ...doc } : null;
+    });
+    mock.method(Upload, 'findById', async id => {
+      const doc = uploads.get(String(id));
+      return doc ? { ...doc } : null;
+    });
+    mock.method(Upload, 'findOneAndUpdate', async (filter, update, options = {}) => {
+      const doc = findStored(filter);
+      if (!doc) return null;
+
+      const before = { ...doc };
+      applyUpdate(doc, update);
+      return options.new ? { ...doc } : before;
+    });
+    mock.method(Upload, 'updateOne', async (filter, update) => {
+      const doc = findStored(filter);
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0 };
+    });
+    mock.method(Upload, 'deleteOne', async (filter) => {
+      const doc = findStored(filter);
+      if (doc) uploads.delete(String(doc._id));
+      return { deletedCount: doc ? 1 : 0 };
+    });
+
+    createUploadedImage.mock.resetCalls();
+    createUploadedImage.mock.mockImplementation(async () => ({ image: { _id: 'pin-1', title: 'Cat' } }));
+  });
+
+  afterEach(() => {
+    // Leaves the router's createUploadedImage mock in place
+    mock.restoreAll();
+  });
+
+  it('starts an upload at offset 0', async () => {
+    const { status, headers, body } = await request('POST', '/', { json: { filename: 'cat.png', size: image.length } });
+
+    assert.equal(status, 201);
+    assert.equal(headers.get('upload-offset'), '0');
+    assert.equal(headers.get('location'), `/uploads/${body.id}`);
+    assert.equal(body.offset, 0);
+    assert.equal(body.size, image.length);
+    assert.ok(fs.existsSync(path.join(uploadDir, `${body.id}.part`)));
+  });
+
+  it('rejects sizes that are missing or too large', async () => {
+    assert.equal((await request('POST', '/', { json: { size: 0 } })).status, 400);
+    assert.equal((await request('POST', '/', { json: { size: 51 * 1024 * 1024 } })).status, 413);
+  });
+
+  it('appends chunks in order and reports the new offset', async () => {
+    const { body: started } = await request('POST', '/', { json: { filename: 'cat.png', size: image.length } });
+
+    const first = await request('PATCH', `/${started.id}`, { chunk: image.subarray(0, 100), offset: 0 });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('upload-offset'), '100');
+
+    const second = await request('PATCH', `/${started.id}`, { chunk: image.subarray(100), offset: 100 });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.offset, image.length);
+
+    assert.ok(fs.readFileSync(path.join(uploadDir, `${started.id}.part`)).equals(image));
+    assert.equal(uploads.get(started.id).writingUntil, undefined);
+  });
+
+  it('answers a chunk at the wrong offset with 409 and the current offset', async () => {
+    const upload = seedUpload({ size: image.length, offset: 100 });
+    fs.writeFileSync(chunkPath(upload), image.subarray(0, 100));
+
+    const { status, body } = await request('PATCH', `/${upload._id}`, { chunk: image.subarray(0, 100), offset: 0 });
+
+    assert.equal(status, 409);
+    assert.equal(body.offset, 100);
+    assert.equal(uploads.get(String(upload._id)).offset, 100);
+  });
+
+  it('rejects a chunk while another request is writing at the same offset', async () => {
+    const upload = seedUpload({ size: image.length, writingUntil: new Date(Date.now() + 30 * 1000) });
+    fs.writeFileSync(chunkPath(upload), '');
+
+    const { status, body } = await request('PATCH', `/${upload._id}`, { chunk: image.subarray(0, 100), offset: 0 });
+
+    assert.equal(status, 409);
+    assert.equal(body.offset, 0);
+    assert.equal(fs.statSync(chunkPath(upload)).size, 0);
+  });
+
+  it('takes over a write claim that has lapsed', async () => {
+    const upload = seedUpload({ size: image.length, writingUntil: new Date(Date.now() - 1000) });
+    fs.writeFileSync(chunkPath(upload), '');
+
+    const { status, body } = await request('PATCH', `/${upload._id}`, { chunk: image.subarray(0, 100), offset: 0 });
+
+    assert.equal(status, 200);
+    assert.equal(body.offset, 100);
+  });
+
+  it('rejects chunks that go past the declared size', async () => {
+    const upload = seedUpload({ size: 100 });
+    fs.writeFileSync(chunkPath(upload), '');
+
+    const { status } = await request('PATCH', `/${upload._id}`, { chunk: image.subarray(0, 101), offset: 0 });
+
+    assert.equal(status, 400);
+  });
+
+  it('discards the upload when the first bytes are not an image', async () => {
+    const upload = seedUpload({ size: 1000 });
+    fs.writeFileSync(chunkPath(upload), '');
+
+    const { status } = await request('PATCH', `/${upload._id}`, { chunk: Buffer.alloc(100, 'a'), offset: 0 });
+
+    assert.equal(status, 415);
+    assert.equal(uploads.size, 0);
+    assert.equal(fs.existsSync(chunkPath(upload)), false);
+  });
+
+  it('does not finalize an upload that is still receiving chunks', async () => {
+    const upload = seedUpload({ size: image.length, offset: 100 });
+
+    const { status, body } = await request('POST', `/${upload._id}/finalize`);
+
+    assert.equal(status, 409);
+    assert.equal(body.offset, 100);
+    assert.equal(createUploadedImage.mock.callCount(), 0);
+  });
+
+  it('turns a complete upload into a pin and discards the upload', async () => {
+    const upload = seedCompleteUpload();
+
+    const { status, body } = await request('POST', `/${upload._id}/finalize`, {
+      json: { title: 'Cat', tags: ['cats'], shareExif: 'true' }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body._id, 'pin-1');
+
+    const [file, fields, options] = createUploadedImage.mock.calls[0].arguments;
+    assert.ok(file.buffer.equals(image));
+    assert.equal(file.originalname, 'cat.png');
+    assert.deepEqual(fields, { title: 'Cat', description: undefined, tags: ['cats'] });
+    assert.equal(options.captureExif, true);
+
+    assert.equal(uploads.size, 0);
+    assert.equal(fs.existsSync(chunkPath(upload)), false);
+  });
+
+  it('makes one pin when the same upload is finalized twice at once', async () => {
+    const upload = seedCompleteUpload();
+    createUploadedImage.mock.mockImplementation(async () => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return { image: { _id: 'pin-1' } };
+    });
+
+    const responses = await Promise.all([
+      request('POST', `/${upload._id}/finalize`),
+      request('POST', `/${upload._id}/finalize`)
+    ]);
+
+    assert.deepEqual(responses.map(({ status }) => status).sort(), [201, 409]);
+    assert.equal(responses.find(({ status }) => status === 409).body.message, 'Upload is already being finalized');
+    assert.equal(createUploadedImage.mock.callCount(), 1);
+  });
+
+  it('passes on a rejected file and discards the upload', async () => {
+    const upload = seedCompleteUpload();
+    createUploadedImage.mock.mockImplementation(async () => ({ status: 400, message: 'The image could not be processed' }));
+
+    const { status, body } = await request('POST', `/${upload._id}/finalize`);
+
+    assert.equal(status, 400);
+    assert.equal(body.message, 'The image could not be processed');
+    assert.equal(uploads.size, 0);
+  });
+
+  it('lets an upload be finalized again after a server error', async () => {
+    const upload = seedCompleteUpload();
+    mock.method(console, 'error', () => {});
+    createUploadedImage.mock.mockImplementationOnce(async () => {
+      throw new Error('Storage unavailable');
+    });
+
+    const failed = await request('POST', `/${upload._id}/finalize`);
+    assert.equal(failed.status, 500);
+    assert.equal(uploads.get(String(upload._id)).finalizing, false);
+
+    const retried = await request('POST', `/${upload._id}/finalize`);
+    assert.equal(retried.status, 201);
+  });
+});
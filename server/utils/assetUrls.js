@@ -0,0 +1,31 @@
+/**
+ * Resolves the public URLs of stored pin files at response time
+ * Stored pins only keep storage keys, so moving the API, putting it behind a
+ * proxy or switching to a CDN only means changing PUBLIC_ASSET_BASE_URL
+ * @module utils/assetUrls
+ */
+const storage = require('../storage');
+
+/**
+ * Fills in imageUrl and variant URLs of an image from its storage keys;
+ * hotlinked pins keep their stored URL
+ * 
+ * @param {Object|null} image - Lean image object
+ * @returns {Object|null} Copy of the image with public URLs set
+ */
+function withAssetUrls(image) {
+  if (!image) return image;
+
+  return {
+    ...image,
+    imageUrl: image.storageKey ? storage.getPublicUrl(image.storageKey) : image.imageUrl,
+    ...(image.variants && {
+      variants: image.variants.map(({ key, ...variant }) => ({
+        ...variant,
+        url: key ? storage.getPublicUrl(key) : variant.url
+      }))
+    })
+  };
+}
+
+module.exports = { withAssetUrls };
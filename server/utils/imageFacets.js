@@ -0,0 +1,77 @@
+/**
+ * Derives the search facets stored with every pin from its layout data: the
+ * orientation from its dimensions and a named color bucket from its dominant
+ * color, so search can filter and count them without decoding hex colors in a query
+ * @module utils/imageFacets
+ */
+
+const ORIENTATIONS = ['portrait', 'landscape', 'square'];
+
+const COLOR_BUCKETS = ['red', 'orange', 'brown', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'black', 'white', 'gray'];
+
+// Images whose sides differ by less than this share of the longer side count as square
+const SQUARE_TOLERANCE = 0.1;
+
+// Upper hue bounds (degrees) of the chromatic buckets; hues past the last wrap back to red
+const HUE_BUCKETS = [
+  [15, 'red'],
+  [45, 'orange'],
+  [70, 'yellow'],
+  [165, 'green'],
+  [195, 'teal'],
+  [255, 'blue'],
+  [290, 'purple'],
+  [345, 'pink']
+];
+
+/**
+ * Classifies an image by the shape of its oriented dimensions
+ *
+ * @param {number} width - Pixel width
+ * @param {number} height - Pixel height
+ * @returns {string|undefined} 'portrait', 'landscape' or 'square', or undefined without dimensions
+ */
+function getOrientation(width, height) {
+  if (!(width > 0 && height > 0)) return undefined;
+  if (Math.abs(width - height) < Math.max(width, height) * SQUARE_TOLERANCE) return 'square';
+  return height > width ? 'portrait' : 'landscape';
+}
+
+/**
+ * Names the color family a hex color belongs to
+ *
+ * @param {string} hex - Color such as `#a1b2c3`
+ * @returns {string|undefined} One of COLOR_BUCKETS, or undefined for a malformed color
+ */
+function getColorBucket(hex) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return undefined;
+
+  const [r, g, b] = match.slice(1).map(channel => parseInt(channel, 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const chroma = max - min;
+  const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * lightness - 1));
+
+  if (lightness < 0.15) return 'black';
+  if (lightness > 0.9) return 'white';
+  if (saturation < 0.15) return 'gray';
+
+  let hue;
+  if (max === r) hue = 60 * (((g - b) / chroma + 6) % 6);
+  else if (max === g) hue = 60 * ((b - r) / chroma + 2);
+  else hue = 60 * ((r - g) / chroma + 4);
+
+  const [, bucket] = HUE_BUCKETS.find(([limit]) => hue < limit) || [null, 'red'];
+
+  // Dark oranges read as brown
+  return bucket === 'orange' && lightness < 0.4 ? 'brown' : bucket;
+}
+
+module.exports = {
+  ORIENTATIONS,
+  COLOR_BUCKETS,
+  getOrientation,
+  getColorBucket
+};
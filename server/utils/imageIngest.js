@@ -0,0 +1,203 @@
+/**
+ * Turns image bytes into a stored pin: checks the type, strips metadata, writes
+ * the original and its variants to storage and saves the Image. Shared by every
+ * route that accepts image files
+ * @module utils/imageIngest
+ */
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Image = require('../models/Image');
+const Board = require('../models/Board');
+const storage = require('../storage');
+const { withAssetUrls } = require('./assetUrls');
+const {
+  ImageProcessingError,
+  generateVariants,
+  analyzeImage,
+  readCameraDetails,
+  stripMetadata
+} = require('./imageProcessing');
+const { IMAGE_TYPES, detectImageType } = require('./imageType');
+
+const UNSUPPORTED_TYPE_MESSAGE = 'Unsupported file type. Please upload a JPEG, PNG, GIF, WebP or AVIF image.';
+
+/**
+ * Strips an image's metadata, measures it, generates its responsive variants and
+ * writes the original and every variant to the storage backend
+ * 
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} type - Detected image type (`{ format, extension, mimeType }`)
+ * @param {Object} [options] - Processing options
+ * @param {boolean} [options.captureExif=false] - Keep the safe camera details before stripping
+ * @param {AbortSignal} [options.signal] - Stops processing and removes any stored files when aborted
+ * @returns {Promise<Object>} Image fields: storageKey, width, height, dominantColor, placeholder,
+ *   variants (by storage key) and, when captured, exif. URLs are resolved at response time.
+ * @throws {ImageProcessingError} If the image cannot be decoded
+ * @throws {Error} If the image cannot be stored, or an AbortError when aborted
+ */
+async function storeImage(buffer, type, { captureExif = false, signal } = {}) {
+  // Read what the uploader agreed to share before GPS, serials and the rest are removed
+  const exif = captureExif ? await readCameraDetails(buffer) : null;
+  const original = await stripMetadata(buffer);
+
+  const layout = await analyzeImage(original);
+  const name = uuidv4();
+  const storageKey = `${name}.${type.extension}`;
+  const { variants } = await generateVariants(original, name);
+  signal?.throwIfAborted();
+
+  const storedKeys = [];
+  try {
+    await storage.put(storageKey, original, { contentType: type.mimeType });
+    storedKeys.push(storageKey);
+
+    for (const variant of variants.filter(variant => variant.buffer)) {
+      signal?.throwIfAborted();
+      await storage.put(variant.filename, variant.buffer, { contentType: IMAGE_TYPES[variant.format].mimeType });
+      storedKeys.push(variant.filename);
+    }
+  } catch (err) {
+    // Don't leave half a pin behind in the bucket, whether storage failed or the client left
+    await Promise.allSettled(storedKeys.map(key => storage.delete(key)));
+    throw err;
+  }
+
+  return {
+    storageKey,
+    ...layout,
+    variants: variants.map(({ filename, buffer, ...variant }) => ({ ...variant, key: filename })),
+    ...(exif && { exif })
+  };
+}
+
+/**
+ * Lists the storage keys of an image's original and variants
+ * 
+ * @param {Object} image - Image document
+ * @returns {Array<string>} Storage keys, empty for hotlinked pins
+ */
+function getStorageKeys(image) {
+  if (!image.storageKey) return [];
+  return [image.storageKey, ...image.variants.map(variant => variant.key).filter(Boolean)];
+}
+
+/**
+ * Finds a board owned by the user so a new pin can be placed on it
+ * 
+ * @param {string} boardId - Requested board ID (may be empty)
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object|null|undefined>} The board, null if it isn't the user's, or undefined when no board was requested
+ */
+async function findOwnedBoard(boardId, user) {
+  if (!boardId) return undefined;
+  if (!mongoose.isValidObjectId(boardId)) return null;
+
+  return Board.findOne({ _id: boardId, user: user._id });
+}
+
+/**
+ * Appends a newly created image to a board
+ * 
+ * @param {Object|undefined} board - Board document returned by findOwnedBoard
+ * @param {Object} image - Saved image document
+ * @returns {Promise<void>}
+ */
+async function addToBoard(board, image) {
+  if (!board) return;
+
+  await Board.updateOne(
+    { _id: board._id },
+    { $addToSet: { pins: image._id }, $set: { updatedAt: Date.now() } }
+  );
+}
+
+/**
+ * Saves a new image, places it on the board and loads it back with its uploader
+ * for immediate display
+ * 
+ * @param {Object} fields - Image fields, including the owning user
+ * @param {Object|undefined} board - Board document returned by findOwnedBoard
+ * @returns {Promise<Object>} The populated image with its asset URLs
+ */
+async function createImage(fields, board) {
+  const image = await new Image(fields).save();
+  await addToBoard(board, image);
+
+  const populatedImage = await Image.findById(image._id)
+    .populate('user', 'username displayName avatarUrl')
+    .lean();
+
+  return withAssetUrls(populatedImage);
+}
+
+/**
+ * Checks an uploaded file, stores it and creates its pin. Shared by the single,
+ * bulk and resumable upload routes; problems with the file itself are returned
+ * rather than thrown so a bulk upload can report them per file
+ * 
+ * @param {Object} file - Uploaded file held in memory (`{ buffer, originalname }`, as multer provides)
+ * @param {Object} details - Pin details
+ * @param {string} [details.title] - Pin title
+ * @param {string} [details.description] - Pin description
+ * @param {Array<string>} [details.tags] - Pin tags
+ * @param {Object} options - Upload context
+ * @param {Object} options.user - Authenticated user
+ * @param {Object|undefined} options.board - Board document returned by findOwnedBoard
+ * @param {boolean} [options.captureExif=false] - Keep the safe camera details
+ * @param {AbortSignal} [options.signal] - Aborts the upload before the pin is created; stored files are removed
+ * @returns {Promise<Object>} `{ status: 201, image }`, or `{ status, message }` when the file was rejected
+ * @throws {Error} On unexpected storage or database errors, or an AbortError when aborted
+ */
+async function createUploadedImage(file, { title, description, tags }, { user, board, captureExif = false, signal }) {
+  // Trust the file's contents, not the declared type or name; the stored
+  // file gets the extension of the detected type
+  const type = detectImageType(file.buffer);
+  if (!type) {
+    return { status: 415, message: UNSUPPORTED_TYPE_MESSAGE };
+  }
+
+  // Measure the image and resize it into the widths used by the grid; files that
+  // can't be decoded aren't images, while storage failures are the server's own
+  let imageFields;
+  try {
+    imageFields = await storeImage(file.buffer, type, { captureExif, signal });
+  } catch (processingError) {
+    if (!(processingError instanceof ImageProcessingError)) throw processingError;
+    console.error(`Error processing uploaded image ${file.originalname}:`, processingError.message);
+    return { status: 400, message: 'The uploaded file could not be read as an image' };
+  }
+
+  try {
+    // Last chance to back out: once saved, the pin stays even if the client is gone
+    signal?.throwIfAborted();
+
+    const image = await createImage({
+      ...imageFields,
+      title: title || '',
+      description: description || '',
+      tags: Array.isArray(tags) ? tags : [],
+      user: user.id
+    }, board);
+
+    return { status: 201, image };
+  } catch (err) {
+    // The pin was never created, so its stored files would be orphaned
+    await Promise.allSettled(getStorageKeys(imageFields).map(key => storage.delete(key)));
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(error => error.message);
+      return { status: 400, message: messages[0] };
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  UNSUPPORTED_TYPE_MESSAGE,
+  storeImage,
+  getStorageKeys,
+  findOwnedBoard,
+  addToBoard,
+  createImage,
+  createUploadedImage
+};
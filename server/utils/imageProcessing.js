@@ -0,0 +1,272 @@
+/**
+ * Image processing helpers built on sharp
+ * Generates the responsive width variants served to the masonry grid and the
+ * size, color and placeholder data used to lay out a pin before it loads, and
+ * strips the metadata phones embed in photos before they are served
+ * 
+ * @module utils/imageProcessing
+ */
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// Widths of the masonry tiles at 1x, 2x and 3x density
+const VARIANT_WIDTHS = [236, 474, 736];
+
+// Output formats keyed by sharp format name, with their file extension
+const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', options: { quality: 82, mozjpeg: true } },
+  png: { extension: 'png', options: { compressionLevel: 9 } },
+  webp: { extension: 'webp', options: { quality: 80 } },
+  gif: { extension: 'gif', options: {} },
+  avif: { extension: 'avif', options: { quality: 55 } }
+};
+
+// Width of the blurred preview embedded in each pin
+const PLACEHOLDER_WIDTH = 16;
+
+// Longest camera or lens name kept from EXIF
+const MAX_EXIF_TEXT_LENGTH = 100;
+
+/**
+ * Error raised when bytes can't be decoded or rewritten as an image, as opposed
+ * to a failure of the server itself
+ */
+class ImageProcessingError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [options] - Error options, such as the sharp error as `cause`
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ImageProcessingError';
+  }
+}
+
+/**
+ * Wraps a sharp-based helper so whatever it throws surfaces as an ImageProcessingError
+ *
+ * @param {Function} process - Async function that only reads and writes image bytes
+ * @returns {Function} The same function, with its errors wrapped
+ */
+function asImageProcessing(process) {
+  return async (...args) => {
+    try {
+      return await process(...args);
+    } catch (err) {
+      if (err instanceof ImageProcessingError) throw err;
+      throw new ImageProcessingError(err.message, { cause: err });
+    }
+  };
+}
+
+/**
+ * Reads the displayed width and height of an image, taking EXIF orientation into account
+ * 
+ * @param {Object} metadata - Metadata returned by sharp
+ * @returns {{ width: number, height: number }} Oriented dimensions
+ */
+function getOrientedSize(metadata) {
+  // Orientations 5-8 are rotated by 90 degrees, so width and height swap
+  const isRotated = metadata.orientation >= 5;
+  return isRotated
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Names the output format an image can be written back in. sharp reports AVIF
+ * as HEIF with AV1 compression, so it is told apart from other HEIF files here.
+ * 
+ * @param {Object} metadata - Metadata returned by sharp
+ * @returns {string|null} Key of OUTPUT_FORMATS, or null if the format can't be written
+ */
+function getOutputFormat(metadata) {
+  if (metadata.format === 'heif') {
+    return metadata.compression === 'av1' ? 'avif' : null;
+  }
+  return OUTPUT_FORMATS[metadata.format] ? metadata.format : null;
+}
+
+/**
+ * Generates WebP and original-format copies of an image at each variant width
+ * smaller than the image, plus a full-size WebP copy, named `<name>-<width>.<ext>`
+ * 
+ * @param {Buffer} input - Original image bytes
+ * @param {string} name - Base name of the original, without extension
+ * @returns {Promise<{ width: number, height: number, format: string, variants: Array<Object> }>}
+ *   Original dimensions and format, and the variants (filename, width, height, format, buffer)
+ *   ordered by width. The original itself is listed without a buffer.
+ * @throws {ImageProcessingError} If the input cannot be decoded as an image
+ */
+async function generateVariants(input, name) {
+  const metadata = await sharp(input).metadata();
+  const { width, height } = getOrientedSize(metadata);
+
+  if (!width || !height) {
+    throw new Error('Could not read image dimensions');
+  }
+
+  const originalFormat = getOutputFormat(metadata) || 'jpeg';
+  const isAnimated = (metadata.pages || 1) > 1;
+  const formats = [...new Set(['webp', originalFormat])];
+  const widths = [...VARIANT_WIDTHS.filter(variantWidth => variantWidth < width), width];
+  const variants = [];
+
+  for (const variantWidth of widths) {
+    for (const format of formats) {
+      // The stored original already covers its own format at full size
+      if (variantWidth === width && format === getOutputFormat(metadata)) {
+        variants.push({ filename: `${name}.${OUTPUT_FORMATS[format].extension}`, width, height, format });
+        continue;
+      }
+
+      const { extension, options } = OUTPUT_FORMATS[format];
+      const filename = `${name}-${variantWidth}.${extension}`;
+
+      let pipeline = sharp(input, { animated: isAnimated });
+      // Bake EXIF orientation into the pixels; sharp can't rotate animated images
+      if (!isAnimated) pipeline = pipeline.rotate();
+
+      const { data, info } = await pipeline
+        .resize({ width: variantWidth, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+
+      variants.push({
+        filename,
+        width: info.width,
+        height: isAnimated ? Math.round(info.width * height / width) : info.height,
+        format,
+        buffer: data
+      });
+    }
+  }
+
+  return { width, height, format: getOutputFormat(metadata) || metadata.format, variants };
+}
+
+/**
+ * Reads the camera details a photographer may choose to share. Only an
+ * allowlist of fields is read: location, serial numbers and owner names never are.
+ * 
+ * @param {string|Buffer} input - File path or image bytes
+ * @returns {Promise<Object|null>} Camera make and model, lens, focal length, aperture,
+ *   exposure time, ISO and taken-at date (each only when present), or null if there are none
+ */
+async function readCameraDetails(input) {
+  const { exif } = await sharp(input).metadata();
+  if (!exif) return null;
+
+  let tags;
+  try {
+    tags = exifReader(exif);
+  } catch {
+    return null;
+  }
+
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+  const text = value => (typeof value === 'string' && value.replace(/\0/g, '').trim().slice(0, MAX_EXIF_TEXT_LENGTH)) || undefined;
+  const number = value => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : undefined);
+  const takenAt = photo.DateTimeOriginal instanceof Date && !isNaN(photo.DateTimeOriginal)
+    ? photo.DateTimeOriginal
+    : undefined;
+
+  const details = {
+    cameraMake: text(image.Make),
+    cameraModel: text(image.Model),
+    lens: text(photo.LensModel),
+    focalLength: number(photo.FocalLength),
+    aperture: number(photo.FNumber),
+    exposureTime: number(photo.ExposureTime),
+    iso: number(photo.ISOSpeedRatings ?? photo.PhotographicSensitivity),
+    takenAt
+  };
+
+  Object.keys(details).forEach(key => details[key] === undefined && delete details[key]);
+  return Object.keys(details).length ? details : null;
+}
+
+/**
+ * Re-encodes an image without its EXIF, XMP, IPTC and text metadata, baking the
+ * EXIF orientation into the pixels. The color profile is kept. Images that carry
+ * no metadata are returned as they are to avoid re-encoding them.
+ * 
+ * @param {Buffer} input - Image bytes
+ * @returns {Promise<Buffer>} Image bytes without metadata
+ * @throws {ImageProcessingError} If the input cannot be decoded as an image, or carries
+ *   metadata in a format that can't be written back without it
+ */
+async function stripMetadata(input) {
+  const metadata = await sharp(input).metadata();
+  const hasMetadata = metadata.exif || metadata.xmp || metadata.iptc || metadata.comments?.length;
+  if (!hasMetadata) return input;
+
+  // Never store metadata that couldn't be removed
+  const format = getOutputFormat(metadata);
+  if (!format) {
+    throw new ImageProcessingError(`Cannot remove metadata from ${metadata.format} images`);
+  }
+
+  const isAnimated = (metadata.pages || 1) > 1;
+  let pipeline = sharp(input, { animated: isAnimated });
+  // sharp can't rotate animated images
+  if (!isAnimated) pipeline = pipeline.rotate();
+
+  return pipeline
+    .keepIccProfile()
+    .toFormat(format, OUTPUT_FORMATS[format].options)
+    .toBuffer();
+}
+
+/**
+ * Formats a sharp color channel object as a hex color
+ * 
+ * @param {{ r: number, g: number, b: number }} color - Color channels (0-255)
+ * @returns {string} Hex color such as `#a1b2c3`
+ */
+function toHexColor({ r, g, b }) {
+  return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Computes the layout data stored with every pin: oriented dimensions, the
+ * dominant color, and a tiny blurred WebP preview as a data URL (LQIP)
+ * 
+ * @param {string|Buffer} input - File path or image bytes
+ * @returns {Promise<{ width: number, height: number, dominantColor: string, placeholder: string }>}
+ * @throws {ImageProcessingError} If the input cannot be decoded as an image
+ */
+async function analyzeImage(input) {
+  const metadata = await sharp(input).metadata();
+  const { width, height } = getOrientedSize(metadata);
+
+  if (!width || !height) {
+    throw new Error('Could not read image dimensions');
+  }
+
+  const { dominant } = await sharp(input).stats();
+
+  const preview = await sharp(input)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH, withoutEnlargement: true })
+    .blur(1)
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    dominantColor: toHexColor(dominant),
+    placeholder: `data:image/webp;base64,${preview.toString('base64')}`
+  };
+}
+
+module.exports = {
+  VARIANT_WIDTHS,
+  ImageProcessingError,
+  generateVariants: asImageProcessing(generateVariants),
+  analyzeImage: asImageProcessing(analyzeImage),
+  readCameraDetails: asImageProcessing(readCameraDetails),
+  stripMetadata: asImageProcessing(stripMetadata)
+};
@@ -0,0 +1,80 @@
+/**
+ * Detects image types from their leading bytes rather than from a file name
+ * or a Content-Type header, both of which are supplied by the client
+ * @module utils/imageType
+ */
+
+// Image types the app accepts, keyed by sharp format name
+const IMAGE_TYPES = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  png: { extension: 'png', mimeType: 'image/png' },
+  gif: { extension: 'gif', mimeType: 'image/gif' },
+  webp: { extension: 'webp', mimeType: 'image/webp' },
+  avif: { extension: 'avif', mimeType: 'image/avif' }
+};
+
+// Bytes needed to identify every type above
+const SNIFF_LENGTH = 64;
+
+/**
+ * Checks whether the buffer holds the given bytes at an offset
+ *
+ * @param {Buffer} buffer - Bytes to inspect
+ * @param {Array<number>|string} signature - Expected bytes or ASCII text
+ * @param {number} [offset=0] - Position of the signature
+ * @returns {boolean} Whether the signature matches
+ */
+function hasSignature(buffer, signature, offset = 0) {
+  const expected = typeof signature === 'string' ? Buffer.from(signature, 'ascii') : Buffer.from(signature);
+  if (buffer.length < offset + expected.length) return false;
+  return buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Checks whether an ISO-BMFF file declares an AVIF brand in its ftyp box
+ *
+ * @param {Buffer} buffer - Bytes to inspect
+ * @returns {boolean} Whether the file is AVIF
+ */
+function isAvif(buffer) {
+  if (!hasSignature(buffer, 'ftyp', 4)) return false;
+
+  // The box holds the major brand, a minor version, then compatible brands
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+    if (offset === 12) continue;
+    const brand = buffer.toString('ascii', offset, offset + 4);
+    if (brand === 'avif' || brand === 'avis') return true;
+  }
+  return false;
+}
+
+/**
+ * Identifies an allowed image type from the start of a file
+ *
+ * @param {Buffer} buffer - The first bytes of the file (at least SNIFF_LENGTH when available)
+ * @returns {Object|null} `{ format, extension, mimeType }`, or null for anything else
+ */
+function detectImageType(buffer) {
+  let format = null;
+
+  if (hasSignature(buffer, [0xff, 0xd8, 0xff])) {
+    format = 'jpeg';
+  } else if (hasSignature(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    format = 'png';
+  } else if (hasSignature(buffer, 'GIF87a') || hasSignature(buffer, 'GIF89a')) {
+    format = 'gif';
+  } else if (hasSignature(buffer, 'RIFF') && hasSignature(buffer, 'WEBP', 8)) {
+    format = 'webp';
+  } else if (isAvif(buffer)) {
+    format = 'avif';
+  }
+
+  return format ? { format, ...IMAGE_TYPES[format] } : null;
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  SNIFF_LENGTH,
+  detectImageType
+};
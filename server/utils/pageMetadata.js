@@ -0,0 +1,214 @@
+/**
+ * Reads what a web page offers for pinning: its Open Graph and Twitter card
+ * images, the images in its markup and a suggested title and description, so a
+ * link to an article or product can be pinned like a link to an image
+ * @module utils/pageMetadata
+ */
+const { RemoteFetchError, safeFetch } = require('./safeFetch');
+const { detectImageType } = require('./imageType');
+
+// Most candidate images returned for one page
+const MAX_CANDIDATES = 24;
+
+// Images declared smaller than this are icons, spacers or tracking pixels
+const MIN_CANDIDATE_SIZE = 50;
+
+// Suggestions are cut to fit the pin's title and description limits
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Meta tags listing the page's preview image, by property or name
+const IMAGE_META_KEYS = ['og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src'];
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Replaces the HTML entities that commonly appear in titles and attributes
+ *
+ * @param {string} text - Raw HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Collapses whitespace and shortens a suggestion to a field's length limit
+ *
+ * @param {string|undefined} text - Decoded text
+ * @param {number} maxLength - Longest value accepted
+ * @returns {string} Cleaned-up text, empty when there is none
+ */
+function toSuggestion(text, maxLength) {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1).trimEnd()}…` : value;
+}
+
+/**
+ * Parses the attributes of a start tag
+ *
+ * @param {string} source - Everything between the tag name and the closing `>`
+ * @returns {Object} Decoded attribute values keyed by lower-case name
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  for (const [, name, doubleQuoted, singleQuoted, unquoted] of source.matchAll(pattern)) {
+    const key = name.toLowerCase();
+    if (!(key in attributes)) {
+      attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Decodes a page using the charset from its Content-Type or its own meta tag
+ *
+ * @param {Buffer} buffer - Page bytes
+ * @param {string} contentType - Content-Type response header
+ * @returns {string} Page markup
+ */
+function decodePage(buffer, contentType) {
+  const declared = /charset=["']?([\w-]+)/i.exec(contentType)
+    || /<meta[^>]+charset=["']?([\w-]+)/i.exec(buffer.subarray(0, 2048).toString('latin1'));
+
+  try {
+    return new TextDecoder(declared ? declared[1] : 'utf-8').decode(buffer);
+  } catch {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Resolves an image reference from the page into an absolute http(s) URL
+ *
+ * @param {string|undefined} reference - URL as written in the markup
+ * @param {string} baseUrl - URL relative references are resolved against
+ * @returns {string|null} Absolute URL, or null for data URIs, SVGs and malformed values
+ */
+function resolveImageUrl(reference, baseUrl) {
+  if (!reference || !reference.trim()) return null;
+
+  try {
+    const url = new URL(reference.trim(), baseUrl);
+    if (!['http:', 'https:'].includes(url.protocol) || /\.svgz?$/i.test(url.pathname)) return null;
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extracts candidate images and a suggested title and description from a page
+ *
+ * @param {string} html - Page markup
+ * @param {string} pageUrl - Final URL of the page, for resolving relative links
+ * @returns {Object} `{ title, description, images }` where images is an array of
+ *   `{ url, alt }`, card images first and then images in document order
+ */
+function parsePageMetadata(html, pageUrl) {
+  // Scripts, styles and comments can contain anything that looks like a tag
+  const markup = html.replace(/<!--[\s\S]*?-->|<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+
+  const meta = {};
+  const cardImages = [];
+  const inlineImages = [];
+  let baseUrl = pageUrl;
+
+  for (const [, tagName, attributeSource] of markup.matchAll(/<(meta|link|img|base)\b([^>]*)>/gi)) {
+    const attributes = parseAttributes(attributeSource);
+
+    switch (tagName.toLowerCase()) {
+      case 'base':
+        try {
+          if (attributes.href) baseUrl = new URL(attributes.href, pageUrl).href;
+        } catch {
+          // Malformed base; relative links fall back to the page URL
+        }
+        break;
+      case 'meta': {
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (IMAGE_META_KEYS.includes(key)) {
+          cardImages.push({ reference: attributes.content, alt: '' });
+        } else if (key && !(key in meta)) {
+          meta[key] = attributes.content;
+        }
+        break;
+      }
+      case 'link':
+        if ((attributes.rel || '').toLowerCase().split(/\s+/).includes('image_src')) {
+          cardImages.push({ reference: attributes.href, alt: '' });
+        }
+        break;
+      default: {
+        const width = Number(attributes.width);
+        const height = Number(attributes.height);
+        if (width < MIN_CANDIDATE_SIZE || height < MIN_CANDIDATE_SIZE) break;
+
+        // Lazy-loading scripts keep the real address in a data attribute
+        inlineImages.push({
+          reference: attributes['data-src'] || attributes['data-lazy-src'] || attributes.src,
+          alt: attributes.alt || ''
+        });
+      }
+    }
+  }
+
+  const images = [];
+  const seen = new Set();
+  for (const { reference, alt } of [...cardImages, ...inlineImages]) {
+    const url = resolveImageUrl(reference, baseUrl);
+    if (!url || seen.has(url)) continue;
+
+    seen.add(url);
+    images.push({ url, alt: toSuggestion(alt, MAX_TITLE_LENGTH) });
+    if (images.length === MAX_CANDIDATES) break;
+  }
+
+  const titleElement = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(markup);
+
+  return {
+    title: toSuggestion(meta['og:title'] || meta['twitter:title'] || (titleElement && decodeEntities(titleElement[1])), MAX_TITLE_LENGTH),
+    description: toSuggestion(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    images
+  };
+}
+
+/**
+ * Fetches a user-supplied link through safeFetch and works out what it points at
+ *
+ * @param {string} url - Link to an image or a web page
+ * @param {Object} [options] - Same limits as safeFetch
+ * @returns {Promise<Object>} `{ kind: 'image', url, buffer, type }` for images, or
+ *   `{ kind: 'page', url, title, description, images }` for HTML pages; url is the final URL
+ * @throws {RemoteFetchError} If the download fails or the link is neither an allowed image nor a page
+ */
+async function fetchLinkTarget(url, options) {
+  const response = await safeFetch(url, options);
+
+  const type = detectImageType(response.buffer);
+  if (type) {
+    return { kind: 'image', url: response.url, buffer: response.buffer, type };
+  }
+
+  if (/^(text\/html|application\/xhtml\+xml)\b/i.test(response.contentType)) {
+    const html = decodePage(response.buffer, response.contentType);
+    return { kind: 'page', url: response.url, ...parsePageMetadata(html, response.url) };
+  }
+
+  throw new RemoteFetchError('The URL does not point to a web page or a JPEG, PNG, GIF, WebP or AVIF image', 'NOT_AN_IMAGE');
+}
+
+module.exports = {
+  parsePageMetadata,
+  fetchLinkTarget
+};
@@ -0,0 +1,114 @@
+/**
+ * Helpers for opaque cursor (keyset) pagination
+ * Cursors encode the sort value and _id of the last item on a page so the next
+ * page can continue after it even when new documents are inserted
+ * 
+ * @module utils/pagination
+ */
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parses a client supplied page size, falling back to a default and capping it
+ * 
+ * @param {string|number} value - Requested limit
+ * @param {number} [defaultLimit=20] - Limit used when none or an invalid one is given
+ * @param {number} [maxLimit=100] - Largest limit allowed
+ * @returns {number} Page size between 1 and maxLimit
+ */
+function parseLimit(value, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+}
+
+/**
+ * Encodes the position after a document as an opaque cursor string
+ * 
+ * @param {*} value - Sort value of the last document (a Date, number or string)
+ * @param {ObjectId|string} id - _id of the last document, used as a tie-breaker
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(value, id) {
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor created by encodeCursor
+ * 
+ * @param {string} cursor - Cursor from the `after` query parameter
+ * @returns {{ value: *, id: ObjectId }|null} Decoded position, or null if the cursor is invalid
+ */
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !mongoose.isValidObjectId(payload.id)) return null;
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Builds the query condition selecting documents after a cursor position
+ * 
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @param {{ value: *, id: ObjectId }} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter to combine with the rest of the query
+ */
+function afterCursorFilter(field, direction, cursor) {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } }
+    ]
+  };
+}
+
+/**
+ * Trims a result fetched with limit + 1 and builds the pagination block
+ * 
+ * @param {Array<Object>} items - Documents fetched with one extra item
+ * @param {number} limit - Requested page size
+ * @param {string} field - Sort field used to build the next cursor
+ * @returns {{ items: Array<Object>, pagination: { limit: number, hasMore: boolean, nextCursor: string|null } }}
+ */
+function buildPage(items, limit, field) {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+  const last = pageItems[pageItems.length - 1];
+
+  return {
+    items: pageItems,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor(last[field], last._id) : null
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  afterCursorFilter,
+  buildPage
+};
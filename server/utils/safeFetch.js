@@ -0,0 +1,261 @@
+/**
+ * Hardened HTTP client for every request the server makes to a user-supplied URL
+ * Only public addresses are contacted: host names are resolved before connecting
+ * and every redirect hop is checked again, so a URL can't reach localhost, the
+ * cloud metadata endpoint or the private network. Redirects, bytes read and
+ * total time are all capped.
+ * @module utils/safeFetch
+ */
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 3;
+const DEFAULT_TIMEOUT = 10000;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local, shared, reserved and multicast ranges. BlockList
+// also applies the IPv4 ranges to IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1.
+// IPv6 ranges that embed an IPv4 address (IPv4-compatible, NAT64, 6to4 and Teredo)
+// are blocked whole, as a translator could carry them to a private IPv4 address
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001::', 32],
+  ['2002::', 16],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error raised when a remote resource can't or mustn't be fetched
+ * The message is safe to show to the user
+ */
+class RemoteFetchError extends Error {
+  /**
+   * @param {string} message - User-facing explanation
+   * @param {string} code - Machine-readable reason, e.g. 'BLOCKED_ADDRESS' or 'TOO_LARGE'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'RemoteFetchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Checks whether an IP address may be contacted
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is publicly routable
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup used for every outgoing connection; fails when any resolved
+ * address is not public, so the address that was checked is the one dialled
+ *
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - Lookup options passed by net.connect
+ * @param {Function} callback - Node-style lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(new RemoteFetchError('The image host could not be found', 'DNS_FAILED'));
+    }
+
+    if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new RemoteFetchError('URLs pointing to private network addresses are not allowed', 'BLOCKED_ADDRESS'));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Parses a URL and rejects schemes and literal IP hosts that aren't allowed
+ *
+ * @param {string|URL} url - URL to check
+ * @returns {URL} Parsed URL
+ * @throws {RemoteFetchError} If the URL is malformed, not http(s) or a non-public IP
+ */
+function parsePublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new RemoteFetchError('The URL is not valid', 'INVALID_URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new RemoteFetchError('Only http and https URLs are supported', 'INVALID_URL');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new RemoteFetchError('URLs with credentials are not supported', 'INVALID_URL');
+  }
+
+  // Literal IPs skip DNS, so they're checked here instead of in publicLookup
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    throw new RemoteFetchError('URLs pointing to private network addresses are not allowed', 'BLOCKED_ADDRESS');
+  }
+
+  return parsed;
+}
+
+/**
+ * Performs a single GET request without following redirects
+ *
+ * @param {URL} url - Already validated URL
+ * @param {Object} options - Request limits
+ * @param {number} options.maxBytes - Largest response body accepted
+ * @param {number} options.timeout - Milliseconds left before giving up
+ * @param {Object} options.headers - Extra request headers
+ * @returns {Promise<Object>} `{ status, headers, buffer }`; buffer is null for redirects
+ */
+function requestOnce(url, { maxBytes, timeout, headers }) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    let req;
+
+    // Settles the promise once and drops the connection
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err instanceof RemoteFetchError
+        ? err
+        : new RemoteFetchError('The remote file could not be downloaded', 'REQUEST_FAILED'));
+      req.destroy();
+    };
+
+    const timer = setTimeout(() => {
+      fail(new RemoteFetchError('The remote server took too long to respond', 'TIMEOUT'));
+    }, timeout);
+
+    req = client.get(url, {
+      lookup: publicLookup,
+      headers: { 'User-Agent': 'PinterestClone/1.0 (+image fetcher)', ...headers }
+    }, (res) => {
+      if (REDIRECT_STATUSES.includes(res.statusCode)) {
+        clearTimeout(timer);
+        res.resume();
+        return resolve({ status: res.statusCode, headers: res.headers, buffer: null });
+      }
+
+      const declaredLength = Number(res.headers['content-length']);
+      if (declaredLength > maxBytes) {
+        return fail(new RemoteFetchError('The remote file is too large', 'TOO_LARGE'));
+      }
+
+      const chunks = [];
+      let received = 0;
+
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          return fail(new RemoteFetchError('The remote file is too large', 'TOO_LARGE'));
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status: res.statusCode, headers: res.headers, buffer: Buffer.concat(chunks) });
+      });
+      res.on('error', fail);
+    });
+
+    req.on('error', fail);
+  });
+}
+
+/**
+ * Fetches a user-supplied URL, following a limited number of redirects
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Request limits
+ * @param {number} [options.maxBytes] - Largest response body accepted (default 10MB)
+ * @param {number} [options.maxRedirects] - Redirects followed before giving up (default 3)
+ * @param {number} [options.timeout] - Total milliseconds allowed, redirects included (default 10s)
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<Object>} `{ url, contentType, buffer }` where url is the final URL after redirects
+ * @throws {RemoteFetchError} If the URL is blocked, unreachable, too large or returns an error status
+ */
+async function safeFetch(url, {
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  timeout = DEFAULT_TIMEOUT,
+  headers = {}
+} = {}) {
+  const deadline = Date.now() + timeout;
+  let currentUrl = parsePublicUrl(url);
+
+  for (let redirects = 0; ; redirects++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new RemoteFetchError('The remote server took too long to respond', 'TIMEOUT');
+    }
+
+    const response = await requestOnce(currentUrl, { maxBytes, timeout: remaining, headers });
+
+    if (!response.buffer) {
+      if (redirects >= maxRedirects) {
+        throw new RemoteFetchError('The URL redirects too many times', 'TOO_MANY_REDIRECTS');
+      }
+      if (!response.headers.location) {
+        throw new RemoteFetchError('The remote file could not be downloaded', 'REQUEST_FAILED');
+      }
+      currentUrl = parsePublicUrl(new URL(response.headers.location, currentUrl));
+      continue;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new RemoteFetchError(`The remote server responded with status ${response.status}`, 'BAD_STATUS');
+    }
+
+    return {
+      url: currentUrl.href,
+      contentType: response.headers['content-type'] || '',
+      buffer: response.buffer
+    };
+  }
+}
+
+module.exports = {
+  RemoteFetchError,
+  isPublicAddress,
+  safeFetch
+};
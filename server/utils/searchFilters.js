@@ -0,0 +1,278 @@
+/**
+ * Filters and facet counts for image search: tags (all or any), uploader,
+ * created-at range, orientation, color bucket and the viewer's likes
+ * @module utils/searchFilters
+ */
+const Image = require('../models/Image');
+const User = require('../models/User');
+const { ORIENTATIONS, COLOR_BUCKETS } = require('./imageFacets');
+
+// Most tags one search can be filtered by
+const MAX_FILTER_TAGS = 10;
+
+// Most options listed in the tag and uploader facets
+const MAX_TAG_FACETS = 20;
+const MAX_UPLOADER_FACETS = 10;
+
+// Created-at facet options, as the number of days back they start
+const DATE_PRESETS = { day: 1, week: 7, month: 30, year: 365 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalises a tag the same way image tags are stored
+ *
+ * @param {*} tag - Tag from the request
+ * @returns {string} Trimmed lowercase tag, or an empty string if invalid
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return '';
+  return tag.trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Parses one end of the created-at range
+ *
+ * @param {*} value - Date from the query string
+ * @param {boolean} isEnd - Whether this is the end of the range; a date without a
+ *   time then covers that whole day
+ * @returns {Date|null|undefined} The bound, null if malformed, undefined if absent
+ */
+function parseDateBound(value, isEnd) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + DAY_MS - 1);
+  }
+  return date;
+}
+
+/**
+ * Reads and validates the filters of a search request
+ *
+ * @param {Object} query - Request query: `tags` (comma-separated), `tagMode` ('all' or 'any'),
+ *   `uploader` (username), `from` and `to` (ISO dates), `orientation`, `color` and `likedByMe`
+ * @returns {Object} `{ filters }`, or `{ error }` with a message for a 400 response
+ */
+function parseSearchFilters(query) {
+  const filters = { tagMode: query.tagMode ?? 'all' };
+
+  if (query.tags !== undefined) {
+    if (typeof query.tags !== 'string') {
+      return { error: 'tags must be a comma-separated list' };
+    }
+
+    const tags = [...new Set(query.tags.split(',').map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_FILTER_TAGS) {
+      return { error: `You can filter by at most ${MAX_FILTER_TAGS} tags` };
+    }
+    if (tags.length) filters.tags = tags;
+  }
+
+  if (!['all', 'any'].includes(filters.tagMode)) {
+    return { error: "tagMode must be either 'all' or 'any'" };
+  }
+
+  if (query.uploader !== undefined) {
+    if (typeof query.uploader !== 'string' || !query.uploader.trim()) {
+      return { error: 'uploader must be a username' };
+    }
+    filters.uploader = query.uploader.trim();
+  }
+
+  const from = parseDateBound(query.from, false);
+  const to = parseDateBound(query.to, true);
+  if (from === null || to === null) {
+    return { error: 'from and to must be ISO dates' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+
+  if (query.orientation !== undefined) {
+    if (!ORIENTATIONS.includes(query.orientation)) {
+      return { error: `orientation must be one of: ${ORIENTATIONS.join(', ')}` };
+    }
+    filters.orientation = query.orientation;
+  }
+
+  if (query.color !== undefined) {
+    if (!COLOR_BUCKETS.includes(query.color)) {
+      return { error: `color must be one of: ${COLOR_BUCKETS.join(', ')}` };
+    }
+    filters.color = query.color;
+  }
+
+  if (query.likedByMe !== undefined) {
+    if (!['true', 'false'].includes(query.likedByMe)) {
+      return { error: "likedByMe must be either 'true' or 'false'" };
+    }
+    filters.likedByMe = query.likedByMe === 'true';
+  }
+
+  return { filters };
+}
+
+/**
+ * Looks up the uploader filter, so it can be matched against image owners
+ *
+ * @param {Object} filters - Filters returned by parseSearchFilters; gets `uploaderId`,
+ *   null when no user has that username
+ * @returns {Promise<Object>} The same filters
+ */
+async function resolveUploader(filters) {
+  if (filters.uploader) {
+    const uploader = await User.findOne({ username: filters.uploader }).select('_id').lean();
+    filters.uploaderId = uploader ? uploader._id : null;
+  }
+  return filters;
+}
+
+/**
+ * Builds the match conditions for the filters, optionally leaving one out so a
+ * facet can count what each of its options would return
+ *
+ * @param {Object} filters - Filters with the uploader resolved
+ * @param {Object} viewer - Logged-in user, needed for likedByMe
+ * @param {string} [except] - Facet to leave out: 'tags', 'uploader', 'createdAt',
+ *   'orientation', 'color' or 'likedByMe'
+ * @returns {Object} Conditions for $match
+ */
+function buildFilterMatch(filters, viewer, except) {
+  const match = {};
+
+  if (filters.tags && except !== 'tags') {
+    match.tags = filters.tagMode === 'any' ? { $in: filters.tags } : { $all: filters.tags };
+  }
+  if (filters.uploader && except !== 'uploader') {
+    // An unknown username matches nothing
+    match.user = filters.uploaderId || { $in: [] };
+  }
+  if ((filters.from || filters.to) && except !== 'createdAt') {
+    match.createdAt = {
+      ...(filters.from && { $gte: filters.from }),
+      ...(filters.to && { $lte: filters.to })
+    };
+  }
+  if (filters.orientation && except !== 'orientation') {
+    match.orientation = filters.orientation;
+  }
+  if (filters.color && except !== 'color') {
+    match.colorBucket = filters.color;
+  }
+  if (filters.likedByMe && viewer && except !== 'likedByMe') {
+    match.likes = viewer._id;
+  }
+
+  return match;
+}
+
+/**
+ * Lists every option of a fixed facet with its count, including empty ones
+ *
+ * @param {Array<string>} options - Values the facet offers
+ * @param {Array<Object>} counts - `{ _id, count }` groups from the aggregation
+ * @returns {Array<Object>} `{ value, count }` for each option
+ */
+function withAllOptions(options, counts) {
+  const byValue = new Map(counts.map(({ _id, count }) => [_id, count]));
+  return options.map(value => ({ value, count: byValue.get(value) || 0 }));
+}
+
+/**
+ * Counts, for each filter option, how many results the search would return with
+ * that option chosen and the other filters kept. Tags are counted among the
+ * current results, so they show how the results can be narrowed down.
+ *
+ * @param {string} q - Text search query
+ * @param {Object} filters - Filters with the uploader resolved
+ * @param {Object} [viewer] - Logged-in user; the likedByMe facet is only counted for one
+ * @returns {Promise<Object>} `{ tags, uploaders, createdAt, orientation, color, likedByMe }`
+ *   where each is a list of `{ value, count }` (createdAt options also carry the `from`
+ *   date to filter by, uploaders their display name) and likedByMe is `{ count }` or null
+ */
+async function findSearchFacets(q, filters, viewer) {
+  // Presets start at midnight (UTC) so they can be passed back as the `from` date
+  const now = Date.now();
+  const presets = Object.entries(DATE_PRESETS)
+    .map(([value, days]) => ({ value, from: new Date(now - days * DAY_MS).toISOString().slice(0, 10) }));
+
+  const [result] = await Image.aggregate([
+    { $match: { $text: { $search: q } } },
+    {
+      $facet: {
+        tags: [
+          { $match: buildFilterMatch(filters, viewer) },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS }
+        ],
+        uploaders: [
+          { $match: buildFilterMatch(filters, viewer, 'uploader') },
+          { $group: { _id: '$user', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_UPLOADER_FACETS }
+        ],
+        createdAt: [
+          { $match: buildFilterMatch(filters, viewer, 'createdAt') },
+          {
+            $group: presets.reduce((group, { value, from }) => ({
+              ...group,
+              [value]: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(from)] }, 1, 0] } }
+            }), { _id: null })
+          }
+        ],
+        orientation: [
+          { $match: buildFilterMatch(filters, viewer, 'orientation') },
+          { $group: { _id: '$orientation', count: { $sum: 1 } } }
+        ],
+        color: [
+          { $match: buildFilterMatch(filters, viewer, 'color') },
+          { $group: { _id: '$colorBucket', count: { $sum: 1 } } }
+        ],
+        ...(viewer && {
+          likedByMe: [
+            { $match: { ...buildFilterMatch(filters, viewer, 'likedByMe'), likes: viewer._id } },
+            { $count: 'count' }
+          ]
+        })
+      }
+    }
+  ]);
+
+  const uploaders = await User.find({ _id: { $in: result.uploaders.map(({ _id }) => _id) } })
+    .select('username displayName')
+    .lean();
+  const uploadersById = new Map(uploaders.map(user => [user._id.toString(), user]));
+
+  const [dateCounts = {}] = result.createdAt;
+
+  return {
+    tags: result.tags.map(({ _id, count }) => ({ value: _id, count })),
+    uploaders: result.uploaders
+      .filter(({ _id }) => uploadersById.has(String(_id)))
+      .map(({ _id, count }) => {
+        const { username, displayName } = uploadersById.get(String(_id));
+        return { value: username, displayName, count };
+      }),
+    createdAt: presets.map(({ value, from }) => ({ value, from, count: dateCounts[value] || 0 })),
+    orientation: withAllOptions(ORIENTATIONS, result.orientation),
+    color: withAllOptions(COLOR_BUCKETS, result.color),
+    likedByMe: viewer ? { count: result.likedByMe[0]?.count || 0 } : null
+  };
+}
+
+module.exports = {
+  normalizeTag,
+  parseSearchFilters,
+  resolveUploader,
+  buildFilterMatch,
+  findSearchFacets
+};
@@ -0,0 +1,38 @@
+/**
+ * Helpers for adding per-viewer state to image listings
+ * @module utils/viewerState
+ */
+const Save = require('../models/Save');
+const { withAssetUrls } = require('./assetUrls');
+
+/**
+ * Adds viewer-specific like and save state to plain image objects, and resolves
+ * their public asset URLs so they are ready to be sent
+ * 
+ * @param {Array<Object>} images - Lean image objects
+ * @param {Object|null} viewer - Authenticated user or null
+ * @returns {Promise<Array<Object>>} Images with URLs, likeCount, likedByMe and savedByMe set
+ */
+async function withViewerState(images, viewer) {
+  const viewerId = viewer ? viewer._id.toString() : null;
+  let savedIds = new Set();
+
+  if (viewerId && images.length) {
+    const saves = await Save.find({ user: viewer._id, image: { $in: images.map(image => image._id) } })
+      .select('image')
+      .lean();
+    savedIds = new Set(saves.map(save => save.image.toString()));
+  }
+
+  return images.map(image => {
+    const likes = image.likes || [];
+    return {
+      ...withAssetUrls(image),
+      likeCount: likes.length,
+      likedByMe: !!viewerId && likes.some(id => id.toString() === viewerId),
+      savedByMe: savedIds.has(image._id.toString())
+    };
+  });
+}
+
+module.exports = { withViewerState };